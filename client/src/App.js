@@ -45,6 +45,10 @@ function App() {
           path="/chat/:userId" 
           element={isAuthenticated ? <Chat /> : <Navigate to="/login" />} 
         />
+        <Route 
+          path="/groups/:conversationId" 
+          element={isAuthenticated ? <Chat /> : <Navigate to="/login" />} 
+        />
         <Route 
           path="/profile" 
           element={isAuthenticated ? <Profile /> : <Navigate to="/login" />} 
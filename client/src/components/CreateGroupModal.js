@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { FiX, FiCheck } from 'react-icons/fi';
+import { getDisplayName, getAvatar } from '../utils/users';
+
+const CreateGroupModal = ({ friends, onClose, onCreated }) => {
+  const [name, setName] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [creating, setCreating] = useState(false);
+
+  const toggleFriend = (friendId) => {
+    setSelectedIds(prev =>
+      prev.includes(friendId) ? prev.filter(id => id !== friendId) : [...prev, friendId]
+    );
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || selectedIds.length === 0 || creating) return;
+
+    setCreating(true);
+    try {
+      const response = await axios.post('/api/conversations', {
+        name: name.trim(),
+        memberIds: selectedIds
+      });
+      toast.success('Group created');
+      onCreated(response.data.conversation);
+    } catch (error) {
+      console.error('Error creating group:', error);
+      toast.error(error.response?.data?.message || 'Failed to create group');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50">
+      <form onSubmit={handleCreate} className="bg-white rounded-lg shadow-lg w-full max-w-md">
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900">New Group</h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
+          >
+            <FiX size={18} />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Group name"
+            maxLength={100}
+            className="input-field"
+          />
+
+          <div className="max-h-64 overflow-y-auto space-y-1">
+            {friends.length === 0 ? (
+              <p className="text-sm text-gray-500 text-center py-4">Add some friends first</p>
+            ) : (
+              friends.map((friend) => {
+                const selected = selectedIds.includes(friend._id);
+                return (
+                  <button
+                    type="button"
+                    key={friend._id}
+                    onClick={() => toggleFriend(friend._id)}
+                    className={`w-full flex items-center justify-between p-2 rounded-lg ${
+                      selected ? 'bg-primary-50' : 'hover:bg-gray-50'
+                    }`}
+                  >
+                    <div className="flex items-center space-x-3">
+                      <img
+                        src={getAvatar(friend)}
+                        alt={getDisplayName(friend)}
+                        className="w-8 h-8 rounded-full object-cover"
+                      />
+                      <span className="text-sm text-gray-900">{getDisplayName(friend)}</span>
+                    </div>
+                    {selected && <FiCheck className="text-primary-600" size={16} />}
+                  </button>
+                );
+              })
+            )}
+          </div>
+        </div>
+
+        <div className="flex justify-end space-x-2 p-4 border-t border-gray-200">
+          <button type="button" onClick={onClose} className="btn-secondary">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!name.trim() || selectedIds.length === 0 || creating}
+            className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Create
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CreateGroupModal;
@@ -0,0 +1,70 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FiWatch, FiCheck } from 'react-icons/fi';
+
+const DISAPPEARING_TIMERS = [
+  { seconds: 0, label: 'Off' },
+  { seconds: 60 * 60, label: '1 hour' },
+  { seconds: 24 * 60 * 60, label: '24 hours' },
+  { seconds: 7 * 24 * 60 * 60, label: '7 days' }
+];
+
+// Header button for a conversation's disappearing messages timer
+const DisappearingTimerMenu = ({ value = 0, canChange, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const current = DISAPPEARING_TIMERS.find(timer => timer.seconds === value) || DISAPPEARING_TIMERS[0];
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className={`p-2 rounded-lg ${
+          value ? 'text-primary-600 bg-primary-50' : 'text-gray-500 hover:text-gray-700 hover:bg-gray-100'
+        }`}
+        title={value ? `Disappearing messages: ${current.label}` : 'Disappearing messages'}
+      >
+        <FiWatch size={20} />
+      </button>
+      {open && (
+        <div className="absolute z-20 right-0 top-full mt-1 w-56 bg-white border border-gray-200 rounded-lg shadow-lg text-sm text-gray-700">
+          <p className="px-3 pt-3 pb-1 text-xs font-medium text-gray-500">Disappearing messages</p>
+          <div className="py-1">
+            {DISAPPEARING_TIMERS.map(timer => (
+              <button
+                key={timer.seconds}
+                disabled={!canChange}
+                onClick={() => {
+                  setOpen(false);
+                  if (timer.seconds !== value) onChange(timer.seconds);
+                }}
+                className="w-full flex items-center justify-between px-3 py-2 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <span>{timer.label}</span>
+                {timer.seconds === value && <FiCheck size={14} className="text-primary-600" />}
+              </button>
+            ))}
+          </div>
+          {!canChange && (
+            <p className="px-3 pb-3 text-xs text-gray-500">Only group admins can change this</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DisappearingTimerMenu;
@@ -0,0 +1,60 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { format } from 'date-fns';
+import { FiX } from 'react-icons/fi';
+import FormattedMessage from './FormattedMessage';
+
+// Every version of an edited message, newest first
+const EditHistoryModal = ({ messageId, onClose }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    axios.get(`/api/messages/${messageId}/history`)
+      .then(response => setRevisions([...response.data.revisions].reverse()))
+      .catch(error => console.error('Error fetching edit history:', error))
+      .finally(() => setLoading(false));
+  }, [messageId]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-md">
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900">Edit history</h3>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
+          >
+            <FiX size={18} />
+          </button>
+        </div>
+
+        <div className="p-4 max-h-96 overflow-y-auto space-y-3">
+          {loading ? (
+            <div className="flex justify-center py-4">
+              <div className="loading-spinner"></div>
+            </div>
+          ) : revisions.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-4">No edit history available</p>
+          ) : (
+            revisions.map((revision, index) => (
+              <div key={index} className="border border-gray-200 rounded-lg p-3">
+                <div className="flex items-center justify-between mb-1">
+                  <span className="text-xs font-medium text-gray-500">
+                    {revision.current ? 'Current' : index === revisions.length - 1 ? 'Original' : 'Edited'}
+                  </span>
+                  <span className="text-xs text-gray-400">
+                    {format(new Date(revision.createdAt), 'MMM d, yyyy h:mm a')}
+                  </span>
+                </div>
+                <FormattedMessage content={revision.content} className="text-gray-900 break-words" />
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EditHistoryModal;
@@ -0,0 +1,122 @@
+import React, { useMemo } from 'react';
+import { parseBlocks, parseInline, unescapeContent } from '../utils/markdown';
+import { highlightCode } from '../utils/syntaxHighlight';
+
+const TOKEN_CLASSES = {
+  comment: 'text-gray-400 italic',
+  string: 'text-green-300',
+  number: 'text-yellow-300',
+  keyword: 'text-purple-300',
+  tag: 'text-sky-300'
+};
+
+const renderInline = (nodes, mentions) => nodes.map((node, index) => {
+  switch (node.type) {
+    case 'bold':
+      return <strong key={index}>{renderInline(node.children, mentions)}</strong>;
+    case 'italic':
+      return <em key={index}>{renderInline(node.children, mentions)}</em>;
+    case 'strike':
+      return <del key={index}>{renderInline(node.children, mentions)}</del>;
+    case 'mention': {
+      // Only usernames of people in the chat are mentions; anything else stays plain text
+      const username = node.username.toLowerCase();
+      if (!mentions.usernames.includes(username)) {
+        return <React.Fragment key={index}>{node.text}</React.Fragment>;
+      }
+      return (
+        <span
+          key={index}
+          className={`font-semibold ${username === mentions.own ? 'px-0.5 rounded bg-yellow-200 text-gray-900' : ''}`}
+        >
+          {node.text}
+        </span>
+      );
+    }
+    case 'code':
+      return (
+        <code key={index} className="px-1 rounded bg-black bg-opacity-10 font-mono text-xs">
+          {node.text}
+        </code>
+      );
+    case 'link':
+      return (
+        <a
+          key={index}
+          href={node.href}
+          target="_blank"
+          rel="noopener noreferrer nofollow"
+          className="underline break-all"
+        >
+          {node.text}
+        </a>
+      );
+    default:
+      return <React.Fragment key={index}>{node.text}</React.Fragment>;
+  }
+});
+
+const CodeBlock = ({ code, language }) => (
+  <div className="rounded-md overflow-hidden bg-gray-900 text-gray-100">
+    {language && (
+      <div className="px-2 py-0.5 text-xs text-gray-400 border-b border-gray-700">{language}</div>
+    )}
+    <pre className="p-2 text-xs font-mono overflow-x-auto">
+      <code>
+        {highlightCode(code, language).map((token, index) => (
+          token.type === 'plain'
+            ? <React.Fragment key={index}>{token.text}</React.Fragment>
+            : <span key={index} className={TOKEN_CLASSES[token.type]}>{token.text}</span>
+        ))}
+      </code>
+    </pre>
+  </div>
+);
+
+const renderBlocks = (blocks, mentions) => blocks.map((block, index) => {
+  switch (block.type) {
+    case 'codeBlock':
+      return <CodeBlock key={index} code={block.code} language={block.language} />;
+    case 'quote':
+      return (
+        <blockquote key={index} className="pl-2 border-l-2 border-current opacity-80 space-y-1">
+          {renderBlocks(block.blocks, mentions)}
+        </blockquote>
+      );
+    case 'list': {
+      const ListTag = block.ordered ? 'ol' : 'ul';
+      return (
+        <ListTag
+          key={index}
+          start={block.ordered ? block.start : undefined}
+          className={`pl-5 ${block.ordered ? 'list-decimal' : 'list-disc'}`}
+        >
+          {block.items.map((item, itemIndex) => (
+            <li key={itemIndex}>{renderInline(parseInline(item), mentions)}</li>
+          ))}
+        </ListTag>
+      );
+    }
+    default:
+      return (
+        <p key={index} className="whitespace-pre-wrap">
+          {renderInline(parseInline(block.text), mentions)}
+        </p>
+      );
+  }
+});
+
+// Message text rendered from its markdown. Everything is built as React elements,
+// so nothing in a message can inject markup. people are the chat's participants, whose
+// @usernames are shown as mentions; ownUserId's own mentions stand out.
+const FormattedMessage = ({ content, people = [], ownUserId, className = '' }) => {
+  const blocks = useMemo(() => parseBlocks(unescapeContent(content)), [content]);
+  const mentions = useMemo(() => ({
+    usernames: people.filter(Boolean).map(person => person.username.toLowerCase()),
+    own: people.find(person => person?._id === ownUserId)?.username.toLowerCase()
+  }), [people, ownUserId]);
+
+  return <div className={`text-sm space-y-1 ${className}`.trim()}>{renderBlocks(blocks, mentions)}</div>;
+};
+
+export default FormattedMessage;
@@ -0,0 +1,58 @@
+import React from 'react';
+import { FiBold, FiItalic, FiCode, FiTerminal, FiList, FiEye, FiEyeOff } from 'react-icons/fi';
+import { applyFormat } from '../utils/markdown';
+
+const FORMATS = [
+  { format: 'bold', title: 'Bold (Ctrl+B)', icon: <FiBold size={14} /> },
+  { format: 'italic', title: 'Italic (Ctrl+I)', icon: <FiItalic size={14} /> },
+  { format: 'strike', title: 'Strikethrough', icon: <span className="text-sm leading-none line-through">S</span> },
+  { format: 'code', title: 'Inline code', icon: <FiCode size={14} /> },
+  { format: 'codeBlock', title: 'Code block', icon: <FiTerminal size={14} /> },
+  { format: 'quote', title: 'Quote', icon: <span className="text-base leading-none font-serif">&rdquo;</span> },
+  { format: 'bulletList', title: 'Bulleted list', icon: <FiList size={14} /> },
+  { format: 'numberedList', title: 'Numbered list', icon: <span className="text-xs leading-none font-semibold">1.</span> }
+];
+
+// Apply a format to the input's selection and put the selection back afterwards
+export const formatInput = (input, value, onChange, format) => {
+  const result = applyFormat(value, input.selectionStart, input.selectionEnd, format);
+  onChange(result.value);
+  requestAnimationFrame(() => {
+    input.focus();
+    input.setSelectionRange(result.selectionStart, result.selectionEnd);
+  });
+};
+
+// Markdown buttons above the message composer, with a toggle for the formatted preview
+const FormattingToolbar = ({ inputRef, value, onChange, preview, onTogglePreview }) => (
+  <div className="flex items-center justify-between mb-2">
+    <div className="flex items-center space-x-1">
+      {FORMATS.map(({ format, title, icon }) => (
+        <button
+          key={format}
+          type="button"
+          // Keep the textarea's selection instead of moving focus to the button
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => inputRef.current && formatInput(inputRef.current, value, onChange, format)}
+          className="w-7 h-7 flex items-center justify-center text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded"
+          title={title}
+        >
+          {icon}
+        </button>
+      ))}
+    </div>
+    <button
+      type="button"
+      onClick={onTogglePreview}
+      className={`flex items-center px-2 py-1 text-xs rounded ${
+        preview ? 'text-primary-600 bg-primary-50' : 'text-gray-500 hover:text-gray-700 hover:bg-gray-100'
+      }`}
+      title={preview ? 'Hide preview' : 'Show preview'}
+    >
+      {preview ? <FiEyeOff size={14} className="mr-1" /> : <FiEye size={14} className="mr-1" />}
+      Preview
+    </button>
+  </div>
+);
+
+export default FormattingToolbar;
@@ -0,0 +1,192 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { FiX, FiCheck, FiUsers, FiSearch } from 'react-icons/fi';
+import { getDisplayName, getAvatar } from '../utils/users';
+import { toPlainText } from '../utils/markdown';
+
+const MAX_FORWARD_TARGETS = 5;
+// Same limit as the server: content forwarded this often goes to one chat at a time
+export const FREQUENTLY_FORWARDED_COUNT = 5;
+
+// Recent chats first, then friends there's no chat with yet. Each entry knows how to
+// address a forwarded copy: { receiverId } for a friend or { conversationId } for a group.
+const buildChats = (conversations, friends) => {
+  const chats = conversations.map(conversation => (conversation.type === 'group'
+    ? { key: conversation.conversationId, name: conversation.name, target: { conversationId: conversation.conversationId } }
+    : { key: conversation.user._id, name: getDisplayName(conversation.user), user: conversation.user, target: { receiverId: conversation.user._id } }
+  ));
+
+  const known = new Set(chats.map(chat => chat.key));
+  friends
+    .filter(friend => !known.has(friend._id))
+    .forEach(friend => chats.push({
+      key: friend._id,
+      name: getDisplayName(friend),
+      user: friend,
+      target: { receiverId: friend._id }
+    }));
+
+  return chats;
+};
+
+// Pick the chats to forward a message to. onForwarded gets the copies that were sent.
+const ForwardDialog = ({ message, onClose, onForwarded }) => {
+  const [chats, setChats] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [query, setQuery] = useState('');
+  const [selectedKeys, setSelectedKeys] = useState([]);
+  const [sending, setSending] = useState(false);
+
+  const maxTargets = message.forwardCount >= FREQUENTLY_FORWARDED_COUNT ? 1 : MAX_FORWARD_TARGETS;
+
+  useEffect(() => {
+    Promise.all([
+      axios.get('/api/messages/conversations'),
+      axios.get('/api/friends/list')
+    ])
+      .then(([conversationsResponse, friendsResponse]) => {
+        setChats(buildChats(conversationsResponse.data.conversations || [], friendsResponse.data.friends || []));
+      })
+      .catch(error => {
+        console.error('Error fetching chats to forward to:', error);
+        toast.error('Failed to load your chats');
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const toggleChat = (key) => {
+    if (selectedKeys.includes(key)) {
+      setSelectedKeys(prev => prev.filter(item => item !== key));
+    } else if (maxTargets === 1) {
+      setSelectedKeys([key]);
+    } else if (selectedKeys.length < maxTargets) {
+      setSelectedKeys(prev => [...prev, key]);
+    } else {
+      toast.error(`You can forward to at most ${maxTargets} chats at once`);
+    }
+  };
+
+  const handleForward = async (e) => {
+    e.preventDefault();
+    if (selectedKeys.length === 0 || sending) return;
+
+    setSending(true);
+    try {
+      const targets = chats.filter(chat => selectedKeys.includes(chat.key)).map(chat => chat.target);
+      const response = await axios.post(`/api/messages/${message._id}/forward`, { targets });
+      const { messages, failed } = response.data;
+
+      if (failed.length > 0) {
+        toast.error(`Couldn't forward to ${failed.length} ${failed.length === 1 ? 'chat' : 'chats'}: ${failed[0].message}`);
+      } else {
+        toast.success(messages.length === 1 ? 'Message forwarded' : `Forwarded to ${messages.length} chats`);
+      }
+      onForwarded(messages);
+      onClose();
+    } catch (error) {
+      console.error('Error forwarding message:', error);
+      toast.error(error.response?.data?.message || 'Failed to forward message');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const search = query.trim().toLowerCase();
+  const visibleChats = search ? chats.filter(chat => chat.name.toLowerCase().includes(search)) : chats;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50">
+      <form onSubmit={handleForward} className="bg-white rounded-lg shadow-lg w-full max-w-md">
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900">Forward message</h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
+          >
+            <FiX size={18} />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          <p className="text-sm text-gray-600 bg-gray-50 rounded-lg px-3 py-2 line-clamp-2 break-words">
+            {toPlainText(message.content)}
+          </p>
+
+          <div className="relative">
+            <FiSearch size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search chats"
+              className="input-field pl-9"
+            />
+          </div>
+
+          {maxTargets === 1 && (
+            <p className="text-xs text-gray-500">
+              This message has been forwarded many times, so it can only be sent to one chat at a time.
+            </p>
+          )}
+
+          <div className="max-h-64 overflow-y-auto space-y-1">
+            {loading ? (
+              <div className="flex justify-center py-4">
+                <div className="loading-spinner"></div>
+              </div>
+            ) : visibleChats.length === 0 ? (
+              <p className="text-sm text-gray-500 text-center py-4">No chats found</p>
+            ) : (
+              visibleChats.map(chat => {
+                const selected = selectedKeys.includes(chat.key);
+                return (
+                  <button
+                    type="button"
+                    key={chat.key}
+                    onClick={() => toggleChat(chat.key)}
+                    className={`w-full flex items-center justify-between p-2 rounded-lg ${
+                      selected ? 'bg-primary-50' : 'hover:bg-gray-50'
+                    }`}
+                  >
+                    <div className="flex items-center space-x-3 min-w-0">
+                      {chat.user ? (
+                        <img
+                          src={getAvatar(chat.user)}
+                          alt={chat.name}
+                          className="w-8 h-8 rounded-full object-cover flex-shrink-0"
+                        />
+                      ) : (
+                        <div className="w-8 h-8 flex-shrink-0 rounded-full bg-primary-100 flex items-center justify-center">
+                          <FiUsers size={14} className="text-primary-600" />
+                        </div>
+                      )}
+                      <span className="text-sm text-gray-900 truncate">{chat.name}</span>
+                    </div>
+                    {selected && <FiCheck className="text-primary-600 flex-shrink-0" size={16} />}
+                  </button>
+                );
+              })
+            )}
+          </div>
+        </div>
+
+        <div className="flex justify-end space-x-2 p-4 border-t border-gray-200">
+          <button type="button" onClick={onClose} className="btn-secondary">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={selectedKeys.length === 0 || sending}
+            className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {sending ? 'Forwarding...' : selectedKeys.length > 1 ? `Forward to ${selectedKeys.length}` : 'Forward'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ForwardDialog;
@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { FiX, FiEdit2, FiUserPlus, FiLogOut } from 'react-icons/fi';
+import { getDisplayName, getAvatar } from '../utils/users';
+
+const GroupMembersPanel = ({ conversation, currentUserId, onClose, onUpdated, onLeft }) => {
+  const [friends, setFriends] = useState([]);
+  const [renaming, setRenaming] = useState(false);
+  const [groupName, setGroupName] = useState(conversation.name);
+  const [showAddMembers, setShowAddMembers] = useState(false);
+
+  const currentMember = conversation.members.find(m => m.user._id === currentUserId);
+  const isAdmin = currentMember?.role === 'admin';
+  const memberIds = conversation.members.map(m => m.user._id);
+  const addableFriends = friends.filter(friend => !memberIds.includes(friend._id));
+
+  useEffect(() => {
+    if (!isAdmin) return;
+
+    axios.get('/api/friends/list')
+      .then(response => setFriends(response.data.friends || []))
+      .catch(error => console.error('Error fetching friends:', error));
+  }, [isAdmin]);
+
+  const runAction = async (request, successMessage) => {
+    try {
+      const response = await request();
+      if (successMessage) toast.success(successMessage);
+      return response.data;
+    } catch (error) {
+      console.error('Group action failed:', error);
+      toast.error(error.response?.data?.message || 'Something went wrong');
+      return null;
+    }
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (!groupName.trim()) return;
+
+    const data = await runAction(
+      () => axios.put(`/api/conversations/${conversation._id}`, { name: groupName.trim() }),
+      'Group renamed'
+    );
+    if (data) {
+      onUpdated(data.conversation);
+      setRenaming(false);
+    }
+  };
+
+  const handleAddMember = async (friendId) => {
+    const data = await runAction(
+      () => axios.post(`/api/conversations/${conversation._id}/members`, { userIds: [friendId] })
+    );
+    if (data) onUpdated(data.conversation);
+  };
+
+  const handleChangeRole = async (memberId, role) => {
+    const data = await runAction(
+      () => axios.put(`/api/conversations/${conversation._id}/members/${memberId}`, { role })
+    );
+    if (data) onUpdated(data.conversation);
+  };
+
+  const handleRemoveMember = async (memberId) => {
+    const data = await runAction(
+      () => axios.delete(`/api/conversations/${conversation._id}/members/${memberId}`)
+    );
+    if (data?.conversation) onUpdated(data.conversation);
+  };
+
+  const handleLeave = async () => {
+    const data = await runAction(
+      () => axios.delete(`/api/conversations/${conversation._id}/members/${currentUserId}`),
+      'You left the group'
+    );
+    if (data) onLeft();
+  };
+
+  return (
+    <div className="w-72 bg-white border-l border-gray-200 flex flex-col">
+      <div className="flex items-center justify-between p-4 border-b border-gray-200">
+        <h3 className="font-semibold text-gray-900">Group info</h3>
+        <button
+          onClick={onClose}
+          className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
+        >
+          <FiX size={18} />
+        </button>
+      </div>
+
+      <div className="p-4 border-b border-gray-200">
+        {renaming ? (
+          <form onSubmit={handleRename} className="flex items-center space-x-2">
+            <input
+              type="text"
+              value={groupName}
+              onChange={(e) => setGroupName(e.target.value)}
+              maxLength={100}
+              className="input-field"
+            />
+            <button type="submit" className="btn-primary">Save</button>
+          </form>
+        ) : (
+          <div className="flex items-center justify-between">
+            <p className="font-medium text-gray-900">{conversation.name}</p>
+            {isAdmin && (
+              <button
+                onClick={() => setRenaming(true)}
+                className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
+                title="Rename group"
+              >
+                <FiEdit2 size={16} />
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4">
+        <div className="flex items-center justify-between mb-3">
+          <h4 className="text-sm font-semibold text-gray-700">
+            {conversation.members.length} members
+          </h4>
+          {isAdmin && (
+            <button
+              onClick={() => setShowAddMembers(prev => !prev)}
+              className="p-2 text-primary-600 hover:bg-primary-50 rounded-lg"
+              title="Add members"
+            >
+              <FiUserPlus size={16} />
+            </button>
+          )}
+        </div>
+
+        {showAddMembers && (
+          <div className="mb-4 space-y-1 border border-gray-200 rounded-lg p-2">
+            {addableFriends.length === 0 ? (
+              <p className="text-sm text-gray-500 text-center py-2">No friends to add</p>
+            ) : (
+              addableFriends.map(friend => (
+                <button
+                  key={friend._id}
+                  onClick={() => handleAddMember(friend._id)}
+                  className="w-full flex items-center space-x-2 p-2 rounded-lg hover:bg-gray-50 text-left"
+                >
+                  <img
+                    src={getAvatar(friend)}
+                    alt={getDisplayName(friend)}
+                    className="w-6 h-6 rounded-full object-cover"
+                  />
+                  <span className="text-sm text-gray-900">{getDisplayName(friend)}</span>
+                </button>
+              ))
+            )}
+          </div>
+        )}
+
+        <div className="space-y-2">
+          {conversation.members.map(({ user: member, role }) => (
+            <div key={member._id} className="flex items-center justify-between">
+              <div className="flex items-center space-x-2">
+                <img
+                  src={getAvatar(member)}
+                  alt={getDisplayName(member)}
+                  className="w-8 h-8 rounded-full object-cover"
+                />
+                <div>
+                  <p className="text-sm text-gray-900">
+                    {getDisplayName(member)}
+                    {member._id === currentUserId && ' (you)'}
+                  </p>
+                  {role === 'admin' && <p className="text-xs text-primary-600">Admin</p>}
+                </div>
+              </div>
+              {isAdmin && member._id !== currentUserId && (
+                <div className="flex items-center space-x-1">
+                  <button
+                    onClick={() => handleChangeRole(member._id, role === 'admin' ? 'member' : 'admin')}
+                    className="text-xs text-gray-500 hover:text-gray-700"
+                  >
+                    {role === 'admin' ? 'Demote' : 'Make admin'}
+                  </button>
+                  <button
+                    onClick={() => handleRemoveMember(member._id)}
+                    className="text-xs text-red-600 hover:text-red-700"
+                  >
+                    Remove
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="p-4 border-t border-gray-200">
+        <button
+          onClick={handleLeave}
+          className="w-full flex items-center justify-center space-x-2 text-red-600 hover:bg-red-50 rounded-lg py-2"
+        >
+          <FiLogOut size={16} />
+          <span>Leave group</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default GroupMembersPanel;
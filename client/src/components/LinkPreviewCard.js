@@ -0,0 +1,42 @@
+import React, { useState } from 'react';
+
+// Card for a link's title, description and image, shown under the message that links to it.
+// Styled with translucent shades so it suits both sent and received bubbles.
+const LinkPreviewCard = ({ preview }) => {
+  const [imageFailed, setImageFailed] = useState(false);
+  const showImage = preview.image && !imageFailed;
+
+  return (
+    <a
+      href={preview.url}
+      target="_blank"
+      rel="noopener noreferrer nofollow"
+      className="block mt-2 rounded-md overflow-hidden bg-black bg-opacity-5 hover:bg-opacity-10"
+    >
+      {showImage && (
+        <img
+          src={preview.image}
+          alt=""
+          loading="lazy"
+          // Don't tell the site which conversation its image was shown in
+          referrerPolicy="no-referrer"
+          onError={() => setImageFailed(true)}
+          className="w-full max-h-40 object-cover"
+        />
+      )}
+      <div className="px-2 py-1.5">
+        {preview.siteName && (
+          <p className="text-xs opacity-70 truncate">{preview.siteName}</p>
+        )}
+        {preview.title && (
+          <p className="text-sm font-semibold break-words line-clamp-2">{preview.title}</p>
+        )}
+        {preview.description && (
+          <p className="text-xs opacity-80 break-words line-clamp-3">{preview.description}</p>
+        )}
+      </div>
+    </a>
+  );
+};
+
+export default LinkPreviewCard;
@@ -0,0 +1,141 @@
+import React, { useState, useEffect } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { FiMapPin, FiExternalLink } from 'react-icons/fi';
+import { formatCoordinates, mapLink, toMetres, isLive } from '../utils/location';
+
+const MAP_WIDTH = 240;
+const MAP_HEIGHT = 140;
+// Metres across the map, and between its grid lines
+const MAP_SPAN_METRES = 1000;
+const GRID_METRES = 100;
+const WORLD_WIDTH = 48;
+const WORLD_HEIGHT = 24;
+
+// Grid line positions across one side of the map, shifted with the position so it moves
+// under the pin as a live location updates
+const gridLines = (offsetMetres, size) => {
+  const scale = MAP_WIDTH / MAP_SPAN_METRES;
+  const step = GRID_METRES * scale;
+  const shift = (((offsetMetres % GRID_METRES) + GRID_METRES) % GRID_METRES) * scale;
+  const lines = [];
+  for (let position = (size / 2 - shift) % step; position <= size; position += step) {
+    lines.push(position);
+  }
+  return lines;
+};
+
+// A shared location drawn as a plain SVG map (grid, pin, accuracy circle and a small world
+// locator), so it shows offline and without loading tiles from anywhere. Live locations show
+// how long they have left, and their sender can stop sharing.
+const LocationMessage = ({ location, isOwn, onStop }) => {
+  const [, setTick] = useState(0);
+  const live = isLive(location);
+
+  // Redraw when sharing runs out, and now and then for the "updated ... ago" time
+  useEffect(() => {
+    if (!live) return;
+    const timer = setInterval(() => setTick(prev => prev + 1), 15000);
+    const end = setTimeout(() => setTick(prev => prev + 1), new Date(location.liveUntil) - Date.now());
+    return () => {
+      clearInterval(timer);
+      clearTimeout(end);
+    };
+  }, [live, location.liveUntil]);
+
+  const { lat, lng, accuracy, label } = location;
+  const { x, y } = toMetres(lat, lng);
+  const accuracyRadius = accuracy ? Math.min((accuracy / MAP_SPAN_METRES) * MAP_WIDTH, MAP_WIDTH) : 0;
+  const worldX = ((lng + 180) / 360) * WORLD_WIDTH;
+  const worldY = ((90 - lat) / 180) * WORLD_HEIGHT;
+
+  return (
+    <div className="w-60 max-w-full">
+      <svg
+        viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`}
+        className="w-full rounded-md bg-emerald-50 text-gray-800"
+        role="img"
+        aria-label={`Map of ${label || formatCoordinates(lat, lng)}`}
+      >
+        {gridLines(x, MAP_WIDTH).map(position => (
+          <line key={`x${position}`} x1={position} y1={0} x2={position} y2={MAP_HEIGHT} stroke="#d1d5db" strokeWidth={1} />
+        ))}
+        {/* North is up, so the grid moves down as the position moves north */}
+        {gridLines(-y, MAP_HEIGHT).map(position => (
+          <line key={`y${position}`} x1={0} y1={position} x2={MAP_WIDTH} y2={position} stroke="#d1d5db" strokeWidth={1} />
+        ))}
+        {accuracyRadius > 0 && (
+          <circle
+            cx={MAP_WIDTH / 2}
+            cy={MAP_HEIGHT / 2}
+            r={accuracyRadius}
+            fill="#3b82f6"
+            fillOpacity={0.15}
+            stroke="#3b82f6"
+            strokeOpacity={0.4}
+          />
+        )}
+        <g transform={`translate(${MAP_WIDTH / 2} ${MAP_HEIGHT / 2})`}>
+          {live && (
+            <circle
+              r={10}
+              fill="#ef4444"
+              fillOpacity={0.3}
+              className="animate-ping"
+              style={{ transformBox: 'fill-box', transformOrigin: 'center' }}
+            />
+          )}
+          <path d="M0 0 C-4 -8 -9 -12 -9 -18 A9 9 0 0 1 9 -18 C9 -12 4 -8 0 0 Z" fill="#ef4444" stroke="#fff" strokeWidth={1.5} />
+          <circle cy={-18} r={3} fill="#fff" />
+        </g>
+        <g transform={`translate(${MAP_WIDTH - WORLD_WIDTH - 6} 6)`}>
+          <rect width={WORLD_WIDTH} height={WORLD_HEIGHT} rx={2} fill="#fff" fillOpacity={0.85} stroke="#9ca3af" strokeWidth={0.5} />
+          <line x1={0} y1={WORLD_HEIGHT / 2} x2={WORLD_WIDTH} y2={WORLD_HEIGHT / 2} stroke="#d1d5db" strokeWidth={0.5} />
+          <line x1={WORLD_WIDTH / 2} y1={0} x2={WORLD_WIDTH / 2} y2={WORLD_HEIGHT} stroke="#d1d5db" strokeWidth={0.5} />
+          <circle cx={worldX} cy={worldY} r={1.5} fill="#ef4444" />
+        </g>
+        <text x={6} y={MAP_HEIGHT - 6} fontSize={9} fill="#6b7280">{GRID_METRES} m grid</text>
+      </svg>
+
+      <div className="mt-1.5 text-sm">
+        <p className="flex items-center font-medium break-words">
+          <FiMapPin size={14} className="mr-1 flex-shrink-0" />
+          {label || (location.liveUntil ? 'Live location' : 'Location')}
+        </p>
+        <p className="text-xs opacity-80 tabular-nums">
+          {formatCoordinates(lat, lng)}
+          {accuracy ? ` · ±${accuracy} m` : ''}
+        </p>
+        {location.liveUntil && (
+          <p className="text-xs opacity-80">
+            {live
+              ? `Live until ${new Date(location.liveUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` +
+                (location.positionAt ? ` · updated ${formatDistanceToNow(new Date(location.positionAt), { addSuffix: true })}` : '')
+              : 'Live location ended'}
+          </p>
+        )}
+        <div className="flex items-center justify-between mt-1">
+          <a
+            href={mapLink(lat, lng)}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="flex items-center text-xs underline opacity-80 hover:opacity-100"
+          >
+            Open map
+            <FiExternalLink size={12} className="ml-1" />
+          </a>
+          {live && isOwn && onStop && (
+            <button
+              type="button"
+              onClick={onStop}
+              className="px-2 py-0.5 text-xs font-semibold rounded-full bg-black bg-opacity-10 hover:bg-opacity-20"
+            >
+              Stop sharing
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LocationMessage;
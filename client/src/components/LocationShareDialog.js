@@ -0,0 +1,158 @@
+import React, { useState, useEffect } from 'react';
+import { FiX, FiMapPin, FiRefreshCw } from 'react-icons/fi';
+import { formatCoordinates } from '../utils/location';
+
+// How long a live location can be shared for, as the server allows
+const LIVE_OPTIONS = [
+  { minutes: 15, label: '15 minutes' },
+  { minutes: 60, label: '1 hour' },
+  { minutes: 480, label: '8 hours' }
+];
+
+// Modal for sharing where you are, once or live for a while. Finds the position as soon as it
+// opens. onSubmit gets { lat, lng, accuracy, label, liveMinutes } and resolves to true when sent.
+const LocationShareDialog = ({ onSubmit, onClose }) => {
+  const [position, setPosition] = useState(null);
+  const [locating, setLocating] = useState(true);
+  const [error, setError] = useState(null);
+  const [label, setLabel] = useState('');
+  const [liveMinutes, setLiveMinutes] = useState(null);
+  const [sending, setSending] = useState(false);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!navigator.geolocation) {
+      setLocating(false);
+      setError('Your browser can\'t share its location');
+      return;
+    }
+
+    let cancelled = false;
+    setLocating(true);
+    setError(null);
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        if (cancelled) return;
+        setPosition({ lat: coords.latitude, lng: coords.longitude, accuracy: coords.accuracy });
+        setLocating(false);
+      },
+      (positionError) => {
+        if (cancelled) return;
+        setError(positionError.code === positionError.PERMISSION_DENIED
+          ? 'Allow location access to share where you are'
+          : 'Couldn\'t find your location');
+        setLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 15000 }
+    );
+
+    return () => {
+      cancelled = true;
+    };
+  }, [attempt]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!position || sending) return;
+
+    setSending(true);
+    const sent = await onSubmit({ ...position, label: label.trim() || undefined, liveMinutes: liveMinutes || undefined });
+    setSending(false);
+    if (sent) onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-lg w-full max-w-md">
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900">Share Location</h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
+          >
+            <FiX size={18} />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          <div className="flex items-center space-x-2 text-sm">
+            <FiMapPin size={16} className="text-primary-600 flex-shrink-0" />
+            {locating ? (
+              <span className="text-gray-500">Finding your location...</span>
+            ) : error ? (
+              <>
+                <span className="flex-1 text-red-600">{error}</span>
+                <button
+                  type="button"
+                  onClick={() => setAttempt(prev => prev + 1)}
+                  className="flex items-center text-primary-600 hover:underline"
+                >
+                  <FiRefreshCw size={14} className="mr-1" />
+                  Retry
+                </button>
+              </>
+            ) : (
+              <span className="text-gray-700">
+                {formatCoordinates(position.lat, position.lng)}
+                {position.accuracy ? ` (±${Math.round(position.accuracy)} m)` : ''}
+              </span>
+            )}
+          </div>
+
+          <input
+            type="text"
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            placeholder="Add a label (optional)"
+            maxLength={200}
+            className="input-field"
+          />
+
+          <div className="space-y-2 text-sm text-gray-700">
+            <label className="flex items-center space-x-2">
+              <input
+                type="radio"
+                name="location-mode"
+                checked={!liveMinutes}
+                onChange={() => setLiveMinutes(null)}
+              />
+              <span>Send current location</span>
+            </label>
+            {LIVE_OPTIONS.map(option => (
+              <label key={option.minutes} className="flex items-center space-x-2">
+                <input
+                  type="radio"
+                  name="location-mode"
+                  checked={liveMinutes === option.minutes}
+                  onChange={() => setLiveMinutes(option.minutes)}
+                />
+                <span>Share live location for {option.label}</span>
+              </label>
+            ))}
+            {liveMinutes && (
+              <p className="text-xs text-gray-500">
+                Your location keeps updating while this page stays open. You can stop sharing at any time.
+              </p>
+            )}
+          </div>
+        </div>
+
+        <div className="flex justify-end space-x-2 p-4 border-t border-gray-200">
+          <button type="button" onClick={onClose} className="btn-secondary">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!position || sending}
+            className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {liveMinutes ? 'Share Live' : 'Send Location'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default LocationShareDialog;
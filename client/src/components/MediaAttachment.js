@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { FiImage } from 'react-icons/fi';
+
+const MAX_WIDTH = 240;
+const MAX_HEIGHT = 320;
+
+// Display size for media of the given dimensions, fitted inside MAX_WIDTH x MAX_HEIGHT
+const fitSize = (media) => {
+  if (!media?.width || !media?.height) {
+    return { width: MAX_WIDTH, height: MAX_WIDTH * 0.75 };
+  }
+  const scale = Math.min(MAX_WIDTH / media.width, MAX_HEIGHT / media.height, 1);
+  return { width: Math.round(media.width * scale), height: Math.round(media.height * scale) };
+};
+
+// An image or video message. Space is reserved from the stored dimensions and the blurred
+// placeholder shows until the thumbnail (or video poster) has loaded; images open in full
+// when clicked. Attachments sent before thumbnails existed fall back to the file itself; ones
+// still being processed can't be loaded yet (the server holds them back until their location
+// data is gone).
+const MediaAttachment = ({ message }) => {
+  const { fileUrl, fileName, thumbnail, media, messageType } = message;
+  const [loaded, setLoaded] = useState(false);
+  const processing = media?.status === 'processing';
+  const size = fitSize(media);
+
+  if (messageType === 'video') {
+    return (
+      <video
+        src={processing ? undefined : fileUrl}
+        poster={thumbnail || undefined}
+        controls
+        preload={thumbnail ? 'none' : 'metadata'}
+        className="rounded-md bg-black max-w-full"
+        style={{ width: size.width, height: size.height }}
+      />
+    );
+  }
+
+  const src = thumbnail || (processing ? null : fileUrl);
+
+  return (
+    <a
+      href={fileUrl}
+      onClick={processing ? event => event.preventDefault() : undefined}
+      target="_blank"
+      rel="noopener noreferrer"
+      title={fileName}
+      className="relative block overflow-hidden rounded-md bg-black bg-opacity-10 max-w-full"
+      style={{ width: size.width, height: size.height }}
+    >
+      {media?.placeholder && !loaded && (
+        <img
+          src={media.placeholder}
+          alt=""
+          aria-hidden="true"
+          className="absolute inset-0 w-full h-full object-cover blur-md scale-110"
+        />
+      )}
+      {src ? (
+        <img
+          src={src}
+          alt={fileName || 'Image'}
+          loading="lazy"
+          onLoad={() => setLoaded(true)}
+          className={`relative w-full h-full object-cover transition-opacity ${loaded ? 'opacity-100' : 'opacity-0'}`}
+        />
+      ) : (
+        <span className="absolute inset-0 flex items-center justify-center opacity-60 animate-pulse">
+          <FiImage size={28} />
+        </span>
+      )}
+    </a>
+  );
+};
+
+export default MediaAttachment;
@@ -0,0 +1,49 @@
+import React from 'react';
+import { getDisplayName, getAvatar } from '../utils/users';
+
+const MAX_SUGGESTIONS = 6;
+// An @ being typed at the caret, not right after a word (emails) or inside another mention
+const MENTION_QUERY = /(^|[^\w@.])@([\w.-]*)$/;
+
+// The partly typed @mention ending at the caret, as { start, query }, or null.
+// start is where the @ is, so the finished mention can replace it.
+export const getMentionQuery = (value, caret) => {
+  const match = MENTION_QUERY.exec(value.slice(0, caret));
+  return match ? { start: caret - match[2].length - 1, query: match[2].toLowerCase() } : null;
+};
+
+// People whose username or name starts with the query
+export const findMentionCandidates = (people, query) => people
+  .filter(person => (
+    person.username.toLowerCase().startsWith(query) ||
+    getDisplayName(person).toLowerCase().split(' ').some(part => part.startsWith(query))
+  ))
+  .slice(0, MAX_SUGGESTIONS);
+
+// Autocomplete list shown above the composer while an @mention is being typed
+const MentionSuggestions = ({ candidates, activeIndex, onSelect }) => (
+  <div className="absolute z-20 bottom-full left-0 mb-1 w-64 bg-white border border-gray-200 rounded-lg shadow-lg py-1">
+    {candidates.map((person, index) => (
+      <button
+        key={person._id}
+        type="button"
+        // Keep focus (and the caret) in the composer
+        onMouseDown={(e) => e.preventDefault()}
+        onClick={() => onSelect(person)}
+        className={`w-full flex items-center px-3 py-2 text-left text-sm ${
+          index === activeIndex ? 'bg-primary-50' : 'hover:bg-gray-50'
+        }`}
+      >
+        <img
+          src={getAvatar(person)}
+          alt={getDisplayName(person)}
+          className="w-6 h-6 rounded-full object-cover mr-2"
+        />
+        <span className="truncate text-gray-900">{getDisplayName(person)}</span>
+        <span className="ml-1 truncate text-gray-500">@{person.username}</span>
+      </button>
+    ))}
+  </div>
+);
+
+export default MentionSuggestions;
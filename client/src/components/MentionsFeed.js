@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { format } from 'date-fns';
+import { FiAtSign, FiX } from 'react-icons/fi';
+import { getDisplayName, getAvatar } from '../utils/users';
+import { toPlainText } from '../utils/markdown';
+
+// Messages that @mention the current user, newest first. Mentions arriving while
+// the feed is open are added to the top.
+const MentionsFeed = ({ onClose }) => {
+  const navigate = useNavigate();
+
+  const [mentions, setMentions] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  useEffect(() => {
+    axios.get('/api/messages/mentions')
+      .then(response => {
+        setMentions(response.data.mentions);
+        setHasMore(response.data.hasMore);
+      })
+      .catch(error => {
+        console.error('Error fetching mentions:', error);
+        setMentions([]);
+        setHasMore(false);
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  useEffect(() => {
+    const handleMentioned = (event) => {
+      const { message, conversationId, conversationType, conversationName, sender } = event.detail;
+      const mention = {
+        _id: message._id,
+        sender: message.sender,
+        content: message.content,
+        messageType: message.messageType,
+        createdAt: message.createdAt,
+        threadRoot: message.threadRoot,
+        conversation: conversationType === 'group'
+          ? { type: 'group', _id: conversationId, name: conversationName }
+          : { type: 'direct', _id: conversationId, user: sender }
+      };
+      setMentions(prev => [mention, ...prev.filter(item => item._id !== mention._id)]);
+    };
+
+    window.addEventListener('mentioned', handleMentioned);
+    return () => window.removeEventListener('mentioned', handleMentioned);
+  }, []);
+
+  const loadMore = async () => {
+    if (loadingMore || mentions.length === 0) return;
+
+    setLoadingMore(true);
+    try {
+      const response = await axios.get('/api/messages/mentions', {
+        params: { before: mentions[mentions.length - 1]._id }
+      });
+      setMentions(prev => [...prev, ...response.data.mentions]);
+      setHasMore(response.data.hasMore);
+    } catch (error) {
+      console.error('Error loading more mentions:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleSelect = (mention) => {
+    const { conversation } = mention;
+    const path = conversation.type === 'group'
+      ? `/groups/${conversation._id}`
+      : `/chat/${conversation.user._id}`;
+
+    // Thread replies aren't in the main history: jump to their root and open the thread
+    navigate(mention.threadRoot
+      ? `${path}?message=${mention.threadRoot}&thread=${mention.threadRoot}`
+      : `${path}?message=${mention._id}`);
+  };
+
+  return (
+    <div className="flex flex-col h-full bg-white">
+      <div className="p-4 border-b border-gray-200 flex items-center space-x-2">
+        <FiAtSign size={18} className="text-primary-600" />
+        <h3 className="flex-1 font-semibold text-gray-900">Mentions</h3>
+        {onClose && (
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
+          >
+            <FiX size={18} />
+          </button>
+        )}
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-2">
+        {loading ? (
+          <div className="flex justify-center py-4">
+            <div className="loading-spinner"></div>
+          </div>
+        ) : mentions.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-4">
+            Messages that @mention you will show up here
+          </p>
+        ) : (
+          mentions.map(mention => (
+            <button
+              key={mention._id}
+              onClick={() => handleSelect(mention)}
+              className="w-full flex items-start space-x-3 p-3 rounded-lg text-left hover:bg-gray-50"
+            >
+              <img
+                src={getAvatar(mention.sender)}
+                alt={getDisplayName(mention.sender)}
+                className="w-8 h-8 rounded-full object-cover flex-shrink-0"
+              />
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center justify-between">
+                  <p className="text-sm font-medium text-gray-900 truncate">
+                    {getDisplayName(mention.sender)}
+                    <span className="text-gray-500 font-normal">
+                      {mention.conversation.type === 'group'
+                        ? ` in ${mention.conversation.name}`
+                        : ' · Direct message'}
+                    </span>
+                  </p>
+                  <span className="text-xs text-gray-400 ml-2 flex-shrink-0">
+                    {format(new Date(mention.createdAt), 'MMM d, h:mm a')}
+                  </span>
+                </div>
+                <p className="text-sm text-gray-700 break-words line-clamp-3">{toPlainText(mention.content)}</p>
+              </div>
+            </button>
+          ))
+        )}
+
+        {hasMore && !loading && (
+          <button
+            onClick={loadMore}
+            disabled={loadingMore}
+            className="w-full py-2 text-sm text-primary-600 hover:underline disabled:opacity-50"
+          >
+            {loadingMore ? 'Loading...' : 'Load more'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MentionsFeed;
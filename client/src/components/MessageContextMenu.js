@@ -0,0 +1,135 @@
+import React, { useEffect, useRef } from 'react';
+import { FiEdit2, FiTrash2, FiMessageSquare, FiBookmark, FiStar, FiCornerUpRight } from 'react-icons/fi';
+
+export const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+// Actions for a single message, opened by right-clicking it or from its menu button.
+// A message already deleted for everyone can only be cleared from your own view.
+const MessageContextMenu = ({
+  message,
+  isOwn,
+  isPinned,
+  isStarred,
+  onReact,
+  onReplyInThread,
+  onTogglePin,
+  onToggleStar,
+  onForward,
+  onEdit,
+  onDelete,
+  onDeleteForEveryone,
+  onClose
+}) => {
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        onClose();
+      }
+    };
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [onClose]);
+
+  const runAndClose = (action) => () => {
+    action();
+    onClose();
+  };
+
+  return (
+    <div
+      ref={menuRef}
+      className={`absolute z-20 bottom-full mb-1 ${isOwn ? 'right-0' : 'left-0'} bg-white border border-gray-200 rounded-lg shadow-lg text-gray-700 text-sm`}
+    >
+      {!message.deletedForEveryone && (
+        <div className="flex items-center px-2 py-1 space-x-1 border-b border-gray-100">
+          {QUICK_REACTIONS.map(emoji => (
+            <button
+              key={emoji}
+              onClick={runAndClose(() => onReact(emoji))}
+              className="p-1 text-lg rounded hover:bg-gray-100"
+            >
+              {emoji}
+            </button>
+          ))}
+        </div>
+      )}
+      {!message.deletedForEveryone && (
+        <div className="py-1 border-b border-gray-100">
+          <button
+            onClick={runAndClose(onReplyInThread)}
+            className="w-full flex items-center px-3 py-2 hover:bg-gray-50"
+          >
+            <FiMessageSquare size={14} className="mr-2" />
+            Reply in thread
+          </button>
+          <button
+            onClick={runAndClose(onTogglePin)}
+            className="w-full flex items-center px-3 py-2 hover:bg-gray-50"
+          >
+            <FiBookmark size={14} className="mr-2" />
+            {isPinned ? 'Unpin' : 'Pin'}
+          </button>
+          <button
+            onClick={runAndClose(onToggleStar)}
+            className="w-full flex items-center px-3 py-2 hover:bg-gray-50"
+          >
+            <FiStar size={14} className="mr-2" />
+            {isStarred ? 'Unstar' : 'Star'}
+          </button>
+          {message.messageType !== 'poll' && (
+            <button
+              onClick={runAndClose(onForward)}
+              className="w-full flex items-center px-3 py-2 hover:bg-gray-50"
+            >
+              <FiCornerUpRight size={14} className="mr-2" />
+              Forward
+            </button>
+          )}
+        </div>
+      )}
+      {isOwn && (
+        <div className="py-1">
+          {message.messageType === 'text' && !message.deletedForEveryone && (
+            <button
+              onClick={runAndClose(onEdit)}
+              className="w-full flex items-center px-3 py-2 hover:bg-gray-50"
+            >
+              <FiEdit2 size={14} className="mr-2" />
+              Edit
+            </button>
+          )}
+          <button
+            onClick={runAndClose(onDelete)}
+            className="w-full flex items-center px-3 py-2 text-red-600 hover:bg-red-50"
+          >
+            <FiTrash2 size={14} className="mr-2" />
+            Delete for me
+          </button>
+          {!message.deletedForEveryone && (
+            <button
+              onClick={runAndClose(onDeleteForEveryone)}
+              className="w-full flex items-center px-3 py-2 text-red-600 hover:bg-red-50"
+            >
+              <FiTrash2 size={14} className="mr-2" />
+              Delete for everyone
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MessageContextMenu;
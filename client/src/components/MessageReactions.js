@@ -0,0 +1,32 @@
+import React from 'react';
+
+// Reaction counts under a message; clicking one toggles the current user's reaction
+const MessageReactions = ({ reactions = [], currentUserId, onToggle }) => {
+  if (reactions.length === 0) return null;
+
+  const counts = reactions.reduce((groups, reaction) => {
+    const group = groups.get(reaction.emoji) || { count: 0, mine: false };
+    group.count += 1;
+    group.mine = group.mine || reaction.user === currentUserId;
+    return groups.set(reaction.emoji, group);
+  }, new Map());
+
+  return (
+    <div className="flex flex-wrap gap-1 mt-1">
+      {[...counts.entries()].map(([emoji, { count, mine }]) => (
+        <button
+          key={emoji}
+          onClick={() => onToggle(emoji)}
+          className={`flex items-center px-1.5 py-0.5 rounded-full border text-xs ${
+            mine ? 'bg-primary-50 border-primary-300 text-primary-700' : 'bg-white border-gray-200 text-gray-700'
+          }`}
+        >
+          <span>{emoji}</span>
+          {count > 1 && <span className="ml-1">{count}</span>}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default MessageReactions;
@@ -0,0 +1,227 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { format } from 'date-fns';
+import { FiSearch, FiX, FiPaperclip } from 'react-icons/fi';
+import { getDisplayName, getAvatar } from '../utils/users';
+
+const MESSAGE_TYPES = ['text', 'image', 'file', 'audio', 'video', 'location'];
+
+// Render a snippet with its highlight ranges as <mark> elements
+const HighlightedSnippet = ({ snippet }) => {
+  const parts = [];
+  let cursor = 0;
+
+  snippet.highlights.forEach(({ start, end }, index) => {
+    if (start > cursor) {
+      parts.push(<span key={`text-${index}`}>{snippet.text.slice(cursor, start)}</span>);
+    }
+    parts.push(
+      <mark key={`mark-${index}`} className="bg-yellow-200 text-gray-900 rounded px-0.5">
+        {snippet.text.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+
+  if (cursor < snippet.text.length) {
+    parts.push(<span key="text-end">{snippet.text.slice(cursor)}</span>);
+  }
+
+  return (
+    <p className="text-sm text-gray-700 break-words">
+      {snippet.truncatedStart && '…'}
+      {parts}
+      {snippet.truncatedEnd && '…'}
+    </p>
+  );
+};
+
+// scope is { userId } for a direct chat, { conversationId } for a group, or omitted for everything
+const MessageSearch = ({ scope, people = [], onClose }) => {
+  const navigate = useNavigate();
+
+  const [query, setQuery] = useState('');
+  const [from, setFrom] = useState('');
+  const [messageType, setMessageType] = useState('');
+  const [hasAttachment, setHasAttachment] = useState(false);
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+
+  const scopeUserId = scope?.userId;
+  const scopeConversationId = scope?.conversationId;
+
+  useEffect(() => {
+    if (query.trim().length < 2) {
+      setResults([]);
+      return;
+    }
+
+    // Debounce so we don't search on every keystroke
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const params = { q: query.trim() };
+        if (scopeUserId) params.userId = scopeUserId;
+        if (scopeConversationId) params.conversationId = scopeConversationId;
+        if (from) params.from = from;
+        if (messageType) params.messageType = messageType;
+        if (hasAttachment) params.hasAttachment = 'true';
+        if (startDate) params.startDate = new Date(startDate).toISOString();
+        if (endDate) params.endDate = new Date(`${endDate}T23:59:59`).toISOString();
+
+        const response = await axios.get('/api/messages/search', { params });
+        setResults(response.data.results || []);
+      } catch (error) {
+        console.error('Error searching messages:', error);
+        setResults([]);
+      } finally {
+        setSearching(false);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [query, from, messageType, hasAttachment, startDate, endDate, scopeUserId, scopeConversationId]);
+
+  const handleSelect = (result) => {
+    const { conversation } = result;
+    const path = conversation.type === 'group'
+      ? `/groups/${conversation._id}`
+      : `/chat/${conversation.user._id}`;
+
+    // Thread replies aren't in the main history: jump to their root and open the thread
+    navigate(result.threadRoot
+      ? `${path}?message=${result.threadRoot}&thread=${result.threadRoot}`
+      : `${path}?message=${result._id}`);
+  };
+
+  return (
+    <div className="flex flex-col h-full bg-white">
+      <div className="p-4 border-b border-gray-200 space-y-3">
+        <div className="flex items-center space-x-2">
+          <div className="relative flex-1">
+            <FiSearch className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={16} />
+            <input
+              type="text"
+              autoFocus
+              placeholder="Search messages..."
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            />
+          </div>
+          {onClose && (
+            <button
+              onClick={onClose}
+              className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
+            >
+              <FiX size={18} />
+            </button>
+          )}
+        </div>
+
+        <div className="grid grid-cols-2 gap-2 text-sm">
+          {people.length > 0 && (
+            <select
+              value={from}
+              onChange={(e) => setFrom(e.target.value)}
+              className="border border-gray-300 rounded-lg px-2 py-1"
+            >
+              <option value="">From anyone</option>
+              {people.map(person => (
+                <option key={person._id} value={person._id}>{getDisplayName(person)}</option>
+              ))}
+            </select>
+          )}
+          <select
+            value={messageType}
+            onChange={(e) => setMessageType(e.target.value)}
+            className="border border-gray-300 rounded-lg px-2 py-1"
+          >
+            <option value="">Any type</option>
+            {MESSAGE_TYPES.map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={startDate}
+            onChange={(e) => setStartDate(e.target.value)}
+            className="border border-gray-300 rounded-lg px-2 py-1"
+            title="From date"
+          />
+          <input
+            type="date"
+            value={endDate}
+            onChange={(e) => setEndDate(e.target.value)}
+            className="border border-gray-300 rounded-lg px-2 py-1"
+            title="To date"
+          />
+          <label className="flex items-center space-x-2 text-gray-600">
+            <input
+              type="checkbox"
+              checked={hasAttachment}
+              onChange={(e) => setHasAttachment(e.target.checked)}
+            />
+            <span>Has attachment</span>
+          </label>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-2">
+        {searching && (
+          <div className="flex justify-center py-4">
+            <div className="loading-spinner"></div>
+          </div>
+        )}
+
+        {!searching && query.trim().length >= 2 && results.length === 0 && (
+          <p className="text-sm text-gray-500 text-center py-4">No messages found</p>
+        )}
+
+        {results.map(result => (
+          <button
+            key={result._id}
+            onClick={() => handleSelect(result)}
+            className="w-full text-left p-3 rounded-lg hover:bg-gray-50 flex items-start space-x-3"
+          >
+            <img
+              src={getAvatar(result.sender)}
+              alt={getDisplayName(result.sender)}
+              className="w-8 h-8 rounded-full object-cover flex-shrink-0"
+            />
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center justify-between">
+                <p className="text-sm font-medium text-gray-900 truncate">
+                  {getDisplayName(result.sender)}
+                  {!scope && (
+                    <span className="text-gray-500 font-normal">
+                      {' in '}
+                      {result.conversation.type === 'group'
+                        ? result.conversation.name
+                        : getDisplayName(result.conversation.user)}
+                    </span>
+                  )}
+                </p>
+                <span className="text-xs text-gray-400 ml-2 flex-shrink-0">
+                  {format(new Date(result.createdAt), 'MMM d, yyyy')}
+                </span>
+              </div>
+              <HighlightedSnippet snippet={result.snippet} />
+              {result.fileName && (
+                <p className="text-xs text-gray-500 flex items-center mt-1">
+                  <FiPaperclip size={12} className="mr-1" />
+                  {result.fileName}
+                </p>
+              )}
+            </div>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default MessageSearch;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { BsCheck2, BsCheck2All } from 'react-icons/bs';
+
+// Work out a sent message's receipt state. Direct messages track delivery and read per message;
+// group messages count as read once every other member has read past them.
+export const getMessageStatus = (message, conversation, currentUserId) => {
+  if (!conversation) {
+    if (message.isRead) return 'read';
+    if (message.deliveredAt) return 'delivered';
+    return 'sent';
+  }
+
+  const createdAt = new Date(message.createdAt);
+  const others = conversation.members.filter(member => member.user._id !== currentUserId);
+  const readByAll = others.length > 0 && others.every(
+    member => member.lastReadAt && new Date(member.lastReadAt) >= createdAt
+  );
+
+  return readByAll ? 'read' : 'sent';
+};
+
+const STATUS_LABELS = {
+  sent: 'Sent',
+  delivered: 'Delivered',
+  read: 'Read'
+};
+
+const MessageStatus = ({ status }) => {
+  const Icon = status === 'sent' ? BsCheck2 : BsCheck2All;
+
+  return (
+    <span
+      className={`inline-flex ml-2 align-middle ${status === 'read' ? 'text-cyan-300' : ''}`}
+      title={STATUS_LABELS[status]}
+    >
+      <Icon size={14} />
+    </span>
+  );
+};
+
+export default MessageStatus;
@@ -0,0 +1,49 @@
+import React from 'react';
+import { FiClock, FiAlertCircle, FiRefreshCw, FiTrash2 } from 'react-icons/fi';
+import FormattedMessage from './FormattedMessage';
+
+// A message from the outbox that the server hasn't acknowledged yet
+const OutboxMessage = ({ entry, onRetry, onDiscard }) => {
+  const failed = entry.status === 'failed';
+
+  return (
+    <div className="flex items-end justify-end">
+      <div className={`max-w-xs lg:max-w-md rounded-lg message-sent ${failed ? 'ring-2 ring-red-400' : 'opacity-70'}`}>
+        <div className="message-bubble">
+          <FormattedMessage content={entry.content} />
+          {failed ? (
+            <div className="flex items-center justify-between mt-1 space-x-3 text-xs">
+              <span className="flex items-center" title={entry.error || undefined}>
+                <FiAlertCircle size={12} className="mr-1" />
+                Not sent
+              </span>
+              <span className="flex items-center space-x-2">
+                <button
+                  onClick={() => onRetry(entry.clientMessageId)}
+                  className="flex items-center hover:underline"
+                >
+                  <FiRefreshCw size={12} className="mr-1" />
+                  Retry
+                </button>
+                <button
+                  onClick={() => onDiscard(entry.clientMessageId)}
+                  className="flex items-center hover:underline"
+                  title="Delete"
+                >
+                  <FiTrash2 size={12} />
+                </button>
+              </span>
+            </div>
+          ) : (
+            <p className="text-xs opacity-70 mt-1 flex items-center">
+              <FiClock size={12} className="mr-1" />
+              Sending…
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OutboxMessage;
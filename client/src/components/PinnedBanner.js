@@ -0,0 +1,59 @@
+import React, { useState, useEffect } from 'react';
+import { FiBookmark, FiX } from 'react-icons/fi';
+import { getDisplayName } from '../utils/users';
+import { toPlainText } from '../utils/markdown';
+
+const pinPreview = (message) => (
+  message.messageType === 'text' ? toPlainText(message.content) : message.fileName || 'Attachment'
+);
+
+// Pinned messages above the chat, newest first. Clicking the banner jumps to the
+// pinned message shown and then moves on to the next one.
+const PinnedBanner = ({ pins, onJump, onUnpin }) => {
+  const [index, setIndex] = useState(0);
+
+  useEffect(() => {
+    if (index >= pins.length) {
+      setIndex(0);
+    }
+  }, [index, pins.length]);
+
+  if (pins.length === 0) return null;
+
+  const pin = pins[Math.min(index, pins.length - 1)];
+
+  const handleClick = () => {
+    onJump(pin.message._id);
+    setIndex(prev => (prev + 1) % pins.length);
+  };
+
+  return (
+    <div className="flex items-center bg-white border-b border-gray-200 px-4 py-2">
+      <button
+        onClick={handleClick}
+        className="flex-1 flex items-center min-w-0 text-left"
+        title="Go to pinned message"
+      >
+        <FiBookmark size={16} className="text-primary-600 mr-3 flex-shrink-0" />
+        <div className="min-w-0">
+          <p className="text-xs font-medium text-primary-600">
+            Pinned message{pins.length > 1 ? ` ${index + 1} of ${pins.length}` : ''}
+          </p>
+          <p className="text-sm text-gray-700 truncate">
+            <span className="font-medium">{getDisplayName(pin.message.sender)}:</span>{' '}
+            {pinPreview(pin.message)}
+          </p>
+        </div>
+      </button>
+      <button
+        onClick={() => onUnpin(pin.message._id)}
+        className="ml-2 p-1 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded"
+        title="Unpin"
+      >
+        <FiX size={16} />
+      </button>
+    </div>
+  );
+};
+
+export default PinnedBanner;
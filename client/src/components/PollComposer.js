@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { FiX, FiPlus, FiTrash2 } from 'react-icons/fi';
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+
+// Modal for writing a poll. onSubmit resolves to true when the poll was sent.
+const PollComposer = ({ onSubmit, onClose }) => {
+  const [question, setQuestion] = useState('');
+  const [options, setOptions] = useState(['', '']);
+  const [allowMultiple, setAllowMultiple] = useState(false);
+  const [anonymous, setAnonymous] = useState(false);
+  const [sending, setSending] = useState(false);
+
+  const filledOptions = options.map(option => option.trim()).filter(Boolean);
+  const canSend = question.trim() && filledOptions.length >= MIN_OPTIONS && !sending;
+
+  const updateOption = (index, value) => {
+    setOptions(prev => prev.map((option, i) => (i === index ? value : option)));
+  };
+
+  const removeOption = (index) => {
+    setOptions(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSend) return;
+
+    setSending(true);
+    const sent = await onSubmit({
+      question: question.trim(),
+      options: filledOptions,
+      allowMultiple,
+      anonymous
+    });
+    setSending(false);
+    if (sent) onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-lg w-full max-w-md">
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900">New Poll</h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
+          >
+            <FiX size={18} />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4">
+          <input
+            type="text"
+            value={question}
+            onChange={(e) => setQuestion(e.target.value)}
+            placeholder="Ask a question"
+            maxLength={300}
+            className="input-field"
+          />
+
+          <div className="space-y-2">
+            {options.map((option, index) => (
+              <div key={index} className="flex items-center space-x-2">
+                <input
+                  type="text"
+                  value={option}
+                  onChange={(e) => updateOption(index, e.target.value)}
+                  placeholder={`Option ${index + 1}`}
+                  maxLength={100}
+                  className="input-field"
+                />
+                {options.length > MIN_OPTIONS && (
+                  <button
+                    type="button"
+                    onClick={() => removeOption(index)}
+                    className="p-2 text-gray-400 hover:text-red-600 rounded-lg"
+                    title="Remove option"
+                  >
+                    <FiTrash2 size={16} />
+                  </button>
+                )}
+              </div>
+            ))}
+            {options.length < MAX_OPTIONS && (
+              <button
+                type="button"
+                onClick={() => setOptions(prev => [...prev, ''])}
+                className="flex items-center text-sm text-primary-600 hover:underline"
+              >
+                <FiPlus size={14} className="mr-1" />
+                Add option
+              </button>
+            )}
+          </div>
+
+          <div className="space-y-2 text-sm text-gray-700">
+            <label className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={allowMultiple}
+                onChange={(e) => setAllowMultiple(e.target.checked)}
+              />
+              <span>Allow multiple answers</span>
+            </label>
+            <label className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={anonymous}
+                onChange={(e) => setAnonymous(e.target.checked)}
+              />
+              <span>Anonymous voting</span>
+            </label>
+          </div>
+        </div>
+
+        <div className="flex justify-end space-x-2 p-4 border-t border-gray-200">
+          <button type="button" onClick={onClose} className="btn-secondary">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!canSend}
+            className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Send Poll
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default PollComposer;
@@ -0,0 +1,84 @@
+import React from 'react';
+import { FiBarChart2, FiCheck, FiLock } from 'react-icons/fi';
+import { getDisplayName } from '../utils/users';
+
+// A poll inside a message bubble. Clicking an option votes for it; clicking your own pick
+// again takes the vote back. myVotes are the option IDs the current user picked.
+const PollMessage = ({ poll, myVotes = [], people = [], canClose, onVote, onUnvote, onClosePoll }) => {
+  const closed = !!poll.closedAt;
+  const totalVotes = poll.options.reduce((sum, option) => sum + option.voteCount, 0);
+  const maxVotes = Math.max(...poll.options.map(option => option.voteCount), 0);
+
+  const voterNames = (option) => option.voters
+    .map(voterId => getDisplayName(people.find(person => person._id === voterId)))
+    .join(', ');
+
+  const handleClick = (optionId) => {
+    if (closed) return;
+
+    if (myVotes.includes(optionId)) {
+      onUnvote(poll.allowMultiple ? optionId : null);
+    } else {
+      onVote(poll.allowMultiple ? [...myVotes, optionId] : [optionId]);
+    }
+  };
+
+  return (
+    <div className="w-64 max-w-full">
+      <p className="flex items-start text-sm font-medium">
+        <FiBarChart2 size={14} className="mr-1 mt-0.5 flex-shrink-0" />
+        <span className="break-words">{poll.question}</span>
+      </p>
+      <p className="text-xs opacity-70 mb-2">
+        {poll.allowMultiple ? 'Choose one or more' : 'Choose one'}
+        {poll.anonymous && ' · Anonymous'}
+      </p>
+
+      <div className="space-y-1">
+        {poll.options.map(option => {
+          const picked = myVotes.includes(option._id);
+          const percent = totalVotes ? Math.round((option.voteCount / totalVotes) * 100) : 0;
+
+          return (
+            <button
+              key={option._id}
+              onClick={() => handleClick(option._id)}
+              disabled={closed}
+              title={!poll.anonymous && option.voters.length > 0 ? voterNames(option) : undefined}
+              className="relative w-full text-left rounded-md overflow-hidden bg-black bg-opacity-5 disabled:cursor-default"
+            >
+              <div
+                className={`absolute inset-y-0 left-0 ${
+                  closed && option.voteCount === maxVotes && maxVotes > 0 ? 'bg-primary-400' : 'bg-primary-200'
+                } bg-opacity-60`}
+                style={{ width: `${percent}%` }}
+              />
+              <div className="relative flex items-center justify-between px-2 py-1 text-sm">
+                <span className="flex items-center min-w-0">
+                  {picked && <FiCheck size={12} className="mr-1 flex-shrink-0" />}
+                  <span className="truncate">{option.text}</span>
+                </span>
+                <span className="ml-2 text-xs flex-shrink-0">{option.voteCount}</span>
+              </div>
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="flex items-center justify-between mt-2 text-xs opacity-70">
+        <span className="flex items-center">
+          {closed && <FiLock size={10} className="mr-1" />}
+          {closed ? 'Closed · ' : ''}
+          {totalVotes === 1 ? '1 vote' : `${totalVotes} votes`}
+        </span>
+        {canClose && !closed && (
+          <button onClick={onClosePoll} className="hover:underline">
+            Close poll
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PollMessage;
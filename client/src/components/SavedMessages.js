@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { format } from 'date-fns';
+import { FiStar, FiX, FiPaperclip } from 'react-icons/fi';
+import { getDisplayName, getAvatar } from '../utils/users';
+import { toPlainText } from '../utils/markdown';
+
+const MESSAGE_TYPES = ['text', 'image', 'file', 'audio', 'video', 'location'];
+
+// The current user's starred messages from every conversation, most recently starred first
+const SavedMessages = ({ onClose }) => {
+  const navigate = useNavigate();
+
+  const [messageType, setMessageType] = useState('');
+  const [starred, setStarred] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  useEffect(() => {
+    setLoading(true);
+    axios.get('/api/messages/starred', { params: messageType ? { messageType } : {} })
+      .then(response => {
+        setStarred(response.data.starred);
+        setHasMore(response.data.hasMore);
+      })
+      .catch(error => {
+        console.error('Error fetching saved messages:', error);
+        setStarred([]);
+        setHasMore(false);
+      })
+      .finally(() => setLoading(false));
+  }, [messageType]);
+
+  const loadMore = async () => {
+    if (loadingMore || starred.length === 0) return;
+
+    setLoadingMore(true);
+    try {
+      const params = { before: starred[starred.length - 1]._id };
+      if (messageType) params.messageType = messageType;
+
+      const response = await axios.get('/api/messages/starred', { params });
+      setStarred(prev => [...prev, ...response.data.starred]);
+      setHasMore(response.data.hasMore);
+    } catch (error) {
+      console.error('Error loading more saved messages:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleUnstar = async (item) => {
+    try {
+      await axios.delete(`/api/messages/${item.message._id}/star`);
+      setStarred(prev => prev.filter(entry => entry._id !== item._id));
+    } catch (error) {
+      console.error('Error unstarring message:', error);
+    }
+  };
+
+  const handleSelect = ({ message, conversation }) => {
+    const path = conversation.type === 'group'
+      ? `/groups/${conversation._id}`
+      : `/chat/${conversation.user._id}`;
+
+    // Thread replies aren't in the main history: jump to their root and open the thread
+    navigate(message.threadRoot
+      ? `${path}?message=${message.threadRoot}&thread=${message.threadRoot}`
+      : `${path}?message=${message._id}`);
+  };
+
+  return (
+    <div className="flex flex-col h-full bg-white">
+      <div className="p-4 border-b border-gray-200 flex items-center space-x-2">
+        <FiStar size={18} className="text-primary-600" />
+        <h3 className="flex-1 font-semibold text-gray-900">Saved messages</h3>
+        <select
+          value={messageType}
+          onChange={(e) => setMessageType(e.target.value)}
+          className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+        >
+          <option value="">Any type</option>
+          {MESSAGE_TYPES.map(type => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+        {onClose && (
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
+          >
+            <FiX size={18} />
+          </button>
+        )}
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-2">
+        {loading ? (
+          <div className="flex justify-center py-4">
+            <div className="loading-spinner"></div>
+          </div>
+        ) : starred.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-4">
+            Star a message from its actions menu to find it here later
+          </p>
+        ) : (
+          starred.map(item => (
+            <div key={item._id} className="group flex items-start p-3 rounded-lg hover:bg-gray-50">
+              <button
+                onClick={() => handleSelect(item)}
+                className="flex-1 min-w-0 flex items-start space-x-3 text-left"
+              >
+                <img
+                  src={getAvatar(item.message.sender)}
+                  alt={getDisplayName(item.message.sender)}
+                  className="w-8 h-8 rounded-full object-cover flex-shrink-0"
+                />
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center justify-between">
+                    <p className="text-sm font-medium text-gray-900 truncate">
+                      {getDisplayName(item.message.sender)}
+                      <span className="text-gray-500 font-normal">
+                        {' in '}
+                        {item.conversation.type === 'group'
+                          ? item.conversation.name
+                          : getDisplayName(item.conversation.user)}
+                      </span>
+                    </p>
+                    <span className="text-xs text-gray-400 ml-2 flex-shrink-0">
+                      {format(new Date(item.message.createdAt), 'MMM d, yyyy')}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-700 break-words line-clamp-3">{toPlainText(item.message.content)}</p>
+                  {item.message.fileName && (
+                    <p className="text-xs text-gray-500 flex items-center mt-1">
+                      <FiPaperclip size={12} className="mr-1" />
+                      {item.message.fileName}
+                    </p>
+                  )}
+                </div>
+              </button>
+              <button
+                onClick={() => handleUnstar(item)}
+                className="ml-2 p-1 text-gray-400 hover:text-gray-600 rounded opacity-0 group-hover:opacity-100 focus:opacity-100"
+                title="Unstar"
+              >
+                <FiX size={14} />
+              </button>
+            </div>
+          ))
+        )}
+
+        {hasMore && !loading && (
+          <button
+            onClick={loadMore}
+            disabled={loadingMore}
+            className="w-full py-2 text-sm text-primary-600 hover:underline disabled:opacity-50"
+          >
+            {loadingMore ? 'Loading...' : 'Load more'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SavedMessages;
@@ -0,0 +1,88 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { format, addHours, addDays, nextMonday, setHours, startOfHour } from 'date-fns';
+import { FiClock } from 'react-icons/fi';
+
+// Value format of <input type="datetime-local">, in the browser's timezone
+export const toDateTimeInput = (date) => format(date, "yyyy-MM-dd'T'HH:mm");
+
+const morningOf = (date) => setHours(startOfHour(date), 9);
+
+const getPresets = () => {
+  const now = new Date();
+  return [
+    { label: 'In 1 hour', date: addHours(now, 1) },
+    { label: 'Tomorrow morning', date: morningOf(addDays(now, 1)) },
+    { label: 'Monday morning', date: morningOf(nextMonday(now)) }
+  ];
+};
+
+// Popover on the send button for picking when a message should go out
+const ScheduleSendMenu = ({ onSchedule, onClose }) => {
+  const menuRef = useRef(null);
+  const [custom, setCustom] = useState(() => toDateTimeInput(addHours(new Date(), 1)));
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        onClose();
+      }
+    };
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        onClose();
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [onClose]);
+
+  const customDate = new Date(custom);
+  const customValid = !isNaN(customDate) && customDate > new Date();
+
+  return (
+    <div
+      ref={menuRef}
+      className="absolute z-20 bottom-full right-0 mb-2 w-64 bg-white border border-gray-200 rounded-lg shadow-lg text-sm text-gray-700"
+    >
+      <p className="px-3 pt-3 pb-1 text-xs font-medium text-gray-500">Schedule send</p>
+      <div className="py-1 border-b border-gray-100">
+        {getPresets().map(preset => (
+          <button
+            key={preset.label}
+            type="button"
+            onClick={() => onSchedule(preset.date)}
+            className="w-full flex items-center justify-between px-3 py-2 hover:bg-gray-50"
+          >
+            <span>{preset.label}</span>
+            <span className="text-xs text-gray-400">{format(preset.date, 'EEE h:mm a')}</span>
+          </button>
+        ))}
+      </div>
+      <div className="p-3 space-y-2">
+        <input
+          type="datetime-local"
+          value={custom}
+          min={toDateTimeInput(new Date())}
+          onChange={(e) => setCustom(e.target.value)}
+          className="w-full border border-gray-300 rounded-lg px-2 py-1"
+        />
+        <button
+          type="button"
+          disabled={!customValid}
+          onClick={() => onSchedule(customDate)}
+          className="w-full flex items-center justify-center px-3 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <FiClock size={14} className="mr-2" />
+          Schedule
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduleSendMenu;
@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import { FiClock, FiChevronDown, FiChevronUp, FiEdit2, FiTrash2, FiAlertCircle } from 'react-icons/fi';
+import { toDateTimeInput } from './ScheduleSendMenu';
+import { toPlainText } from '../utils/markdown';
+
+const ScheduledMessageItem = ({ item, onUpdate, onCancel }) => {
+  const [editing, setEditing] = useState(false);
+  const [content, setContent] = useState(item.content);
+  const [sendAt, setSendAt] = useState(() => toDateTimeInput(new Date(item.scheduledFor)));
+
+  const startEditing = () => {
+    setContent(item.content);
+    setSendAt(toDateTimeInput(new Date(item.scheduledFor)));
+    setEditing(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (await onUpdate(item._id, { content: content.trim(), scheduledFor: new Date(sendAt).toISOString() })) {
+      setEditing(false);
+    }
+  };
+
+  if (editing) {
+    return (
+      <form onSubmit={handleSave} className="p-2 space-y-2 bg-gray-50 rounded-lg">
+        <textarea
+          value={content}
+          onChange={(e) => setContent(e.target.value)}
+          rows={2}
+          className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+        />
+        <div className="flex items-center space-x-2">
+          <input
+            type="datetime-local"
+            value={sendAt}
+            min={toDateTimeInput(new Date())}
+            onChange={(e) => setSendAt(e.target.value)}
+            className="flex-1 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          />
+          <button
+            type="button"
+            onClick={() => setEditing(false)}
+            className="px-2 py-1 text-sm text-gray-600 hover:underline"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!content.trim() || !sendAt}
+            className="px-3 py-1 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+          >
+            Save
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <div className="flex items-start p-2 rounded-lg hover:bg-gray-50">
+      <div className="flex-1 min-w-0">
+        <p className="text-xs text-gray-500 flex items-center">
+          {item.status === 'failed' ? (
+            <span className="flex items-center text-red-600" title={item.error || undefined}>
+              <FiAlertCircle size={12} className="mr-1" />
+              Not sent: {item.error}
+            </span>
+          ) : (
+            <>
+              <FiClock size={12} className="mr-1" />
+              {item.status === 'sending' ? 'Sending…' : format(new Date(item.scheduledFor), 'EEE, MMM d, h:mm a')}
+            </>
+          )}
+        </p>
+        <p className="text-sm text-gray-800 truncate">{toPlainText(item.content)}</p>
+      </div>
+      {item.status !== 'sending' && (
+        <div className="flex items-center ml-2 space-x-1">
+          <button
+            onClick={startEditing}
+            className="p-1 text-gray-400 hover:text-gray-600 rounded"
+            title={item.status === 'failed' ? 'Edit and reschedule' : 'Edit'}
+          >
+            <FiEdit2 size={14} />
+          </button>
+          <button
+            onClick={() => onCancel(item._id)}
+            className="p-1 text-gray-400 hover:text-red-600 rounded"
+            title="Cancel scheduled message"
+          >
+            <FiTrash2 size={14} />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Collapsible list of the messages the current user has scheduled in this chat.
+// onUpdate resolves to true when the change was saved.
+const ScheduledMessagesBar = ({ scheduledMessages, onUpdate, onCancel }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  if (scheduledMessages.length === 0) return null;
+
+  const failedCount = scheduledMessages.filter(item => item.status === 'failed').length;
+
+  return (
+    <div className="border-t border-gray-200 bg-white">
+      <button
+        onClick={() => setExpanded(prev => !prev)}
+        className="w-full flex items-center justify-between px-4 py-2 text-sm text-gray-600 hover:bg-gray-50"
+      >
+        <span className="flex items-center">
+          <FiClock size={14} className="mr-2" />
+          {scheduledMessages.length === 1 ? '1 scheduled message' : `${scheduledMessages.length} scheduled messages`}
+          {failedCount > 0 && <span className="ml-2 text-red-600">({failedCount} not sent)</span>}
+        </span>
+        {expanded ? <FiChevronDown size={16} /> : <FiChevronUp size={16} />}
+      </button>
+      {expanded && (
+        <div className="px-2 pb-2 max-h-60 overflow-y-auto">
+          {scheduledMessages.map(item => (
+            <ScheduledMessageItem key={item._id} item={item} onUpdate={onUpdate} onCancel={onCancel} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScheduledMessagesBar;
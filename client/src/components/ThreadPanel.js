@@ -0,0 +1,222 @@
+import React, { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import { format } from 'date-fns';
+import { FiX, FiSend } from 'react-icons/fi';
+import { useSocket } from '../contexts/SocketContext';
+import OutboxMessage from './OutboxMessage';
+import FormattedMessage from './FormattedMessage';
+import LinkPreviewCard from './LinkPreviewCard';
+import { getDisplayName, getAvatar } from '../utils/users';
+
+const ThreadMessage = ({ message, people, ownUserId }) => (
+  <div id={`thread-message-${message._id}`} className="flex items-start space-x-2">
+    <img
+      src={getAvatar(message.sender)}
+      alt={getDisplayName(message.sender)}
+      className="w-8 h-8 rounded-full object-cover flex-shrink-0"
+    />
+    <div className="min-w-0">
+      <p className="text-sm">
+        <span className="font-medium text-gray-900">{getDisplayName(message.sender)}</span>
+        <span className="ml-2 text-xs text-gray-400">
+          {format(new Date(message.createdAt), 'MMM d, h:mm a')}
+        </span>
+      </p>
+      {message.deletedForEveryone ? (
+        <p className="text-sm text-gray-700 italic opacity-70">{message.content}</p>
+      ) : (
+        <>
+          <FormattedMessage
+            content={message.content}
+            people={people}
+            ownUserId={ownUserId}
+            className="text-gray-700 break-words"
+          />
+          {message.linkPreview && <LinkPreviewCard preview={message.linkPreview} />}
+        </>
+      )}
+    </div>
+  </div>
+);
+
+// Side panel with a thread root and its replies. target is how replies are addressed:
+// { receiverId } for a direct chat or { conversationId } for a group. people are the
+// chat's participants, for showing @mentions.
+const ThreadPanel = ({ rootId, target, people, ownUserId, onClose }) => {
+  const { outbox, sendMessage, retryMessage, discardMessage } = useSocket();
+  const [root, setRoot] = useState(null);
+  const [replies, setReplies] = useState([]);
+  const [hasMoreBefore, setHasMoreBefore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [newReply, setNewReply] = useState('');
+  const endRef = useRef(null);
+
+  const pendingReplies = outbox.filter(entry => entry.threadRoot === rootId);
+
+  useEffect(() => {
+    setLoading(true);
+    axios.get(`/api/messages/${rootId}/thread`)
+      .then(response => {
+        setRoot(response.data.root);
+        setReplies(response.data.messages);
+        setHasMoreBefore(response.data.hasMoreBefore);
+      })
+      .catch(error => {
+        console.error('Error fetching thread:', error);
+        setRoot(null);
+      })
+      .finally(() => setLoading(false));
+  }, [rootId]);
+
+  // Follow new replies, but stay put when earlier ones are prepended
+  const lastReplyId = replies.length > 0 ? replies[replies.length - 1]._id : null;
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [lastReplyId, pendingReplies.length]);
+
+  useEffect(() => {
+    const handleThreadReply = (event) => {
+      const { message, threadRootId, replyCount } = event.detail;
+      if (threadRootId !== rootId) return;
+
+      setRoot(prev => prev && { ...prev, threadReplyCount: replyCount });
+      setReplies(prev => (prev.some(reply => reply._id === message._id) ? prev : [...prev, message]));
+    };
+
+    const handleMessageEdited = (event) => {
+      const { messageId, content, isEdited, editedAt, linkPreview } = event.detail;
+      const apply = (message) => (
+        message._id === messageId ? { ...message, content, isEdited, editedAt, linkPreview } : message
+      );
+      setRoot(prev => prev && apply(prev));
+      setReplies(prev => prev.map(apply));
+    };
+
+    const handleLinkPreviewReady = (event) => {
+      const { messageId, linkPreview } = event.detail;
+      const apply = (message) => (message._id === messageId ? { ...message, linkPreview } : message);
+      setRoot(prev => prev && apply(prev));
+      setReplies(prev => prev.map(apply));
+    };
+
+    const handleMessageDeleted = (event) => {
+      const { messageId, forEveryone, content } = event.detail;
+      if (!forEveryone) return;
+      const apply = (message) => (
+        message._id === messageId ? { ...message, content, deletedForEveryone: true, linkPreview: null } : message
+      );
+      setRoot(prev => prev && apply(prev));
+      setReplies(prev => prev.map(apply));
+    };
+
+    window.addEventListener('thread_reply', handleThreadReply);
+    window.addEventListener('message_edited', handleMessageEdited);
+    window.addEventListener('message_deleted', handleMessageDeleted);
+    window.addEventListener('link_preview_ready', handleLinkPreviewReady);
+    return () => {
+      window.removeEventListener('thread_reply', handleThreadReply);
+      window.removeEventListener('message_edited', handleMessageEdited);
+      window.removeEventListener('message_deleted', handleMessageDeleted);
+      window.removeEventListener('link_preview_ready', handleLinkPreviewReady);
+    };
+  }, [rootId]);
+
+  const loadEarlierReplies = async () => {
+    if (replies.length === 0) return;
+
+    try {
+      const response = await axios.get(`/api/messages/${rootId}/thread`, {
+        params: { before: replies[0]._id }
+      });
+      setReplies(prev => [...response.data.messages, ...prev]);
+      setHasMoreBefore(response.data.hasMoreBefore);
+    } catch (error) {
+      console.error('Error loading earlier replies:', error);
+    }
+  };
+
+  const handleSendReply = (e) => {
+    e.preventDefault();
+    if (!newReply.trim()) return;
+
+    sendMessage(target, newReply.trim(), 'text', null, rootId);
+    setNewReply('');
+  };
+
+  return (
+    <div className="w-80 bg-white border-l border-gray-200 flex flex-col">
+      <div className="flex items-center justify-between p-4 border-b border-gray-200">
+        <h3 className="font-semibold text-gray-900">Thread</h3>
+        <button
+          onClick={onClose}
+          className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
+        >
+          <FiX size={18} />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-4">
+        {loading ? (
+          <div className="flex justify-center py-4">
+            <div className="loading-spinner"></div>
+          </div>
+        ) : !root ? (
+          <p className="text-sm text-gray-500 text-center py-4">Thread not found</p>
+        ) : (
+          <>
+            <ThreadMessage message={root} people={people} ownUserId={ownUserId} />
+
+            <div className="flex items-center text-xs text-gray-400">
+              <span>{root.threadReplyCount === 1 ? '1 reply' : `${root.threadReplyCount} replies`}</span>
+              <div className="flex-1 border-t border-gray-200 ml-2"></div>
+            </div>
+
+            {hasMoreBefore && (
+              <button
+                onClick={loadEarlierReplies}
+                className="w-full text-sm text-primary-600 hover:underline"
+              >
+                Load earlier replies
+              </button>
+            )}
+
+            {replies.map(reply => (
+              <ThreadMessage key={reply._id} message={reply} people={people} ownUserId={ownUserId} />
+            ))}
+
+            {pendingReplies.map(entry => (
+              <OutboxMessage
+                key={entry.clientMessageId}
+                entry={entry}
+                onRetry={retryMessage}
+                onDiscard={discardMessage}
+              />
+            ))}
+          </>
+        )}
+        <div ref={endRef} />
+      </div>
+
+      {root && !root.deletedForEveryone && (
+        <form onSubmit={handleSendReply} className="p-4 border-t border-gray-200 flex items-center space-x-2">
+          <input
+            type="text"
+            value={newReply}
+            onChange={(e) => setNewReply(e.target.value)}
+            placeholder="Reply in thread..."
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          />
+          <button
+            type="submit"
+            disabled={!newReply.trim()}
+            className="p-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <FiSend size={18} />
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ThreadPanel;
@@ -0,0 +1,142 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FiPlay, FiPause } from 'react-icons/fi';
+import { formatDuration } from '../utils/audio';
+
+const SPEEDS = [1, 1.5, 2];
+const SEEK_STEP_SECONDS = 5;
+// Drawn when a voice note has no stored waveform
+const FLAT_WAVEFORM = Array(40).fill(30);
+
+// Inline player for a voice note: play/pause, a waveform to click or drag to seek through,
+// and a playback speed toggle. Uses the stored duration, since browsers often can't tell
+// the length of a recorded stream until it has played through.
+const VoiceNotePlayer = ({ src, duration, waveform }) => {
+  const audioRef = useRef(null);
+  const barsRef = useRef(null);
+  const [playing, setPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [speedIndex, setSpeedIndex] = useState(0);
+  const [scrubbing, setScrubbing] = useState(false);
+  // Length reported by the browser, for audio sent without a stored duration
+  const [mediaDuration, setMediaDuration] = useState(0);
+
+  const bars = waveform && waveform.length > 0 ? waveform : FLAT_WAVEFORM;
+  const total = duration || mediaDuration;
+  const progress = total > 0 ? Math.min(currentTime / total, 1) : 0;
+
+  // Loading media resets playbackRate to the default, so set both
+  useEffect(() => {
+    audioRef.current.defaultPlaybackRate = SPEEDS[speedIndex];
+    audioRef.current.playbackRate = SPEEDS[speedIndex];
+  }, [speedIndex]);
+
+  const togglePlay = () => {
+    const audio = audioRef.current;
+    if (audio.paused) {
+      audio.play().catch(error => console.error('Error playing voice note:', error));
+    } else {
+      audio.pause();
+    }
+  };
+
+  const seekTo = (seconds) => {
+    const time = Math.max(0, Math.min(seconds, total));
+    audioRef.current.currentTime = time;
+    setCurrentTime(time);
+  };
+
+  const seekToPointer = (event) => {
+    const rect = barsRef.current.getBoundingClientRect();
+    seekTo(((event.clientX - rect.left) / rect.width) * total);
+  };
+
+  const handlePointerDown = (event) => {
+    if (!total) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setScrubbing(true);
+    seekToPointer(event);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowRight') {
+      event.preventDefault();
+      seekTo(currentTime + SEEK_STEP_SECONDS);
+    } else if (event.key === 'ArrowLeft') {
+      event.preventDefault();
+      seekTo(currentTime - SEEK_STEP_SECONDS);
+    }
+  };
+
+  return (
+    <div className="flex items-center space-x-2 w-64 max-w-full">
+      <audio
+        ref={audioRef}
+        src={src}
+        preload="metadata"
+        onLoadedMetadata={(e) => {
+          if (Number.isFinite(e.target.duration)) setMediaDuration(e.target.duration);
+        }}
+        onPlay={() => setPlaying(true)}
+        onPause={() => setPlaying(false)}
+        onEnded={() => {
+          setPlaying(false);
+          setCurrentTime(0);
+        }}
+        onTimeUpdate={(e) => {
+          if (!scrubbing) setCurrentTime(e.target.currentTime);
+        }}
+      />
+      <button
+        type="button"
+        onClick={togglePlay}
+        className="w-8 h-8 flex-shrink-0 flex items-center justify-center rounded-full bg-black bg-opacity-10 hover:bg-opacity-20"
+        title={playing ? 'Pause' : 'Play'}
+      >
+        {playing ? <FiPause size={14} /> : <FiPlay size={14} className="ml-0.5" />}
+      </button>
+      <div className="flex-1 min-w-0">
+        <div
+          ref={barsRef}
+          role="slider"
+          tabIndex={0}
+          aria-label="Voice note position"
+          aria-valuemin={0}
+          aria-valuemax={Math.round(total)}
+          aria-valuenow={Math.round(currentTime)}
+          aria-valuetext={formatDuration(currentTime)}
+          onPointerDown={handlePointerDown}
+          onPointerMove={(e) => scrubbing && seekToPointer(e)}
+          onPointerUp={() => setScrubbing(false)}
+          onPointerCancel={() => setScrubbing(false)}
+          onKeyDown={handleKeyDown}
+          className="flex items-center h-8 space-x-px cursor-pointer touch-none rounded focus:outline-none focus-visible:ring-2 focus-visible:ring-primary-300"
+        >
+          {bars.map((value, index) => (
+            <span
+              key={index}
+              className={`flex-1 rounded-full bg-current ${
+                (index + 0.5) / bars.length <= progress ? 'opacity-100' : 'opacity-40'
+              }`}
+              style={{ height: `${Math.max(10, value)}%` }}
+            />
+          ))}
+        </div>
+        <div className="flex items-center justify-between text-xs opacity-70">
+          <span className="tabular-nums">
+            {formatDuration(playing || currentTime > 0 ? currentTime : total)}
+          </span>
+          <button
+            type="button"
+            onClick={() => setSpeedIndex(prev => (prev + 1) % SPEEDS.length)}
+            className="px-1.5 rounded-full font-semibold bg-black bg-opacity-10 hover:bg-opacity-20"
+            title="Playback speed"
+          >
+            {SPEEDS[speedIndex]}×
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VoiceNotePlayer;
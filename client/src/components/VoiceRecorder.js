@@ -0,0 +1,114 @@
+import React, { useState, useEffect, useRef } from 'react';
+import toast from 'react-hot-toast';
+import { FiSend, FiTrash2 } from 'react-icons/fi';
+import { MAX_RECORDING_SECONDS, pickRecordingType, formatDuration, analyseRecording } from '../utils/audio';
+
+// Records a voice note from the microphone as soon as it's shown, in place of the composer.
+// onSend gets { blob, duration, waveform } once recording stops; onCancel throws it away.
+// Recording stops by itself at the maximum length and is sent.
+const VoiceRecorder = ({ onSend, onCancel }) => {
+  const [elapsed, setElapsed] = useState(0);
+  const [recording, setRecording] = useState(false);
+  const [sending, setSending] = useState(false);
+  const recorderRef = useRef(null);
+  const chunksRef = useRef([]);
+  // The latest handlers, for the timer and the microphone request started on mount
+  const handlersRef = useRef({});
+
+  const stopRecording = () => new Promise(resolve => {
+    const recorder = recorderRef.current;
+    recorder.onstop = () => resolve(new Blob(chunksRef.current, { type: recorder.mimeType }));
+    recorder.stop();
+  });
+
+  const handleSend = async () => {
+    if (sending || !recorderRef.current || recorderRef.current.state === 'inactive') return;
+
+    setSending(true);
+    const blob = await stopRecording();
+    const { duration, waveform } = await analyseRecording(blob, elapsed);
+    await onSend({ blob, duration: Math.min(duration, MAX_RECORDING_SECONDS), waveform });
+  };
+
+  handlersRef.current = { onCancel, handleSend };
+
+  useEffect(() => {
+    let stream = null;
+    let timer = null;
+    let unmounted = false;
+
+    navigator.mediaDevices.getUserMedia({ audio: true })
+      .then(mediaStream => {
+        if (unmounted) {
+          mediaStream.getTracks().forEach(track => track.stop());
+          return;
+        }
+
+        stream = mediaStream;
+        const mimeType = pickRecordingType();
+        const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+        recorder.ondataavailable = (event) => {
+          if (event.data.size > 0) chunksRef.current.push(event.data);
+        };
+        recorder.start(250);
+        recorderRef.current = recorder;
+        setRecording(true);
+
+        const startedAt = Date.now();
+        timer = setInterval(() => {
+          const seconds = (Date.now() - startedAt) / 1000;
+          setElapsed(seconds);
+          if (seconds >= MAX_RECORDING_SECONDS) {
+            clearInterval(timer);
+            handlersRef.current.handleSend();
+          }
+        }, 250);
+      })
+      .catch(error => {
+        console.error('Error starting recording:', error);
+        toast.error('Allow microphone access to record voice notes');
+        handlersRef.current.onCancel();
+      });
+
+    return () => {
+      unmounted = true;
+      clearInterval(timer);
+      if (recorderRef.current && recorderRef.current.state !== 'inactive') {
+        recorderRef.current.stop();
+      }
+      if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+      }
+    };
+  }, []);
+
+  return (
+    <div className="flex items-center space-x-3">
+      <button
+        type="button"
+        onClick={onCancel}
+        disabled={sending}
+        className="p-2 text-red-600 hover:bg-red-50 rounded-lg disabled:opacity-50"
+        title="Discard recording"
+      >
+        <FiTrash2 size={20} />
+      </button>
+      <span className={`w-2.5 h-2.5 rounded-full bg-red-500 ${recording && !sending ? 'animate-pulse' : 'opacity-50'}`} />
+      <span className="text-sm text-gray-700 tabular-nums">{formatDuration(elapsed)}</span>
+      <span className="flex-1 text-sm text-gray-500">
+        {sending ? 'Sending voice note...' : recording ? 'Recording...' : 'Starting microphone...'}
+      </span>
+      <button
+        type="button"
+        onClick={handleSend}
+        disabled={!recording || sending}
+        className="p-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        title="Send voice note"
+      >
+        <FiSend size={20} />
+      </button>
+    </div>
+  );
+};
+
+export default VoiceRecorder;
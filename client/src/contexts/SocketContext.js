@@ -1,10 +1,28 @@
-import React, { createContext, useContext, useEffect, useRef, useState } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
 import { io } from 'socket.io-client';
 import { useAuth } from './AuthContext';
 import toast from 'react-hot-toast';
+import {
+  createClientMessageId,
+  getOutboxMessages,
+  saveOutboxMessage,
+  deleteOutboxMessage
+} from '../utils/outbox';
+import { getDisplayName } from '../utils/users';
+import { toPlainText } from '../utils/markdown';
 
 const SocketContext = createContext();
 
+// How long to wait for the server to acknowledge a send, and how often to try before giving up
+const SEND_ACK_TIMEOUT = 10000;
+const MAX_SEND_ATTEMPTS = 5;
+// Pause before resending an unacknowledged message, doubled after each attempt
+const SEND_RETRY_BASE_DELAY = 2000;
+// Resync from a little before the last server time we saw, in case events arrived out of order
+const SYNC_OVERLAP_MS = 5000;
+// How often a live location being shared sends the sharer's position
+const LIVE_LOCATION_INTERVAL_MS = 5000;
+
 export const SocketProvider = ({ children }) => {
   const { user, token, isAuthenticated } = useAuth();
   const [socket, setSocket] = useState(null);
@@ -13,6 +31,19 @@ export const SocketProvider = ({ children }) => {
   const [typingUsers, setTypingUsers] = useState(new Set());
   const [incomingCall, setIncomingCall] = useState(null);
   const [activeCall, setActiveCall] = useState(null);
+  // Messages not yet acknowledged by the server: { clientMessageId, target, content, status, ... }
+  const [outbox, setOutbox] = useState([]);
+  const [outboxLoaded, setOutboxLoaded] = useState(false);
+  const outboxRef = useRef([]);
+  const inFlightRef = useRef(new Set());
+  // Bumped when a resend is due, so the outbox gets flushed again
+  const [sendRetryTick, setSendRetryTick] = useState(0);
+  const sendRetryTimersRef = useRef(new Set());
+  // Latest server timestamp seen for this user: { userId, time }
+  const syncCursorRef = useRef(null);
+  // Live locations this client is sharing: messageId -> { watchId, timer, lastSentAt }
+  const liveSharesRef = useRef(new Map());
+  const [sharingLocationIds, setSharingLocationIds] = useState(() => new Set());
   
   // WebRTC refs
   const localStreamRef = useRef(null);
@@ -28,9 +59,36 @@ export const SocketProvider = ({ children }) => {
         transports: ['websocket', 'polling'],
       });
 
+      if (syncCursorRef.current?.userId !== user._id) {
+        syncCursorRef.current = null;
+      }
+
+      const noteServerTime = (time) => {
+        if (time && (!syncCursorRef.current || new Date(time) > new Date(syncCursorRef.current.time))) {
+          syncCursorRef.current = { userId: user._id, time };
+        }
+      };
+
       newSocket.on('connect', () => {
         console.log('Connected to server');
         setIsConnected(true);
+
+        // Catch up on anything emitted while we were offline
+        const since = syncCursorRef.current
+          ? new Date(new Date(syncCursorRef.current.time).getTime() - SYNC_OVERLAP_MS).toISOString()
+          : null;
+
+        newSocket.timeout(SEND_ACK_TIMEOUT).emit('sync', { since }, (timeoutError, response) => {
+          if (timeoutError || response.error) {
+            console.error('Error syncing messages:', timeoutError || response.error);
+            return;
+          }
+
+          noteServerTime(response.serverTime);
+          if (since) {
+            window.dispatchEvent(new CustomEvent('messages_synced', { detail: response }));
+          }
+        });
       });
 
       newSocket.on('disconnect', () => {
@@ -65,6 +123,12 @@ export const SocketProvider = ({ children }) => {
         // This will be handled by the chat component
         // You can emit a custom event here if needed
         window.dispatchEvent(new CustomEvent('new_message', { detail: data }));
+        noteServerTime(data.message.createdAt);
+
+        // Let the sender know a direct message reached this client
+        if (data.message.receiver) {
+          newSocket.emit('confirm_delivery', { messageIds: [data.message._id] });
+        }
       });
 
       // Message sent confirmation
@@ -73,6 +137,11 @@ export const SocketProvider = ({ children }) => {
         window.dispatchEvent(new CustomEvent('message_sent', { detail: data }));
       });
 
+      // Group created, renamed or membership changed
+      newSocket.on('conversation_updated', (data) => {
+        window.dispatchEvent(new CustomEvent('conversation_updated', { detail: data }));
+      });
+
       // Typing indicators
       newSocket.on('user_typing', (data) => {
         setTypingUsers(prev => new Set([...prev, data.userId]));
@@ -89,6 +158,57 @@ export const SocketProvider = ({ children }) => {
       // Message read receipts
       newSocket.on('message_read', (data) => {
         window.dispatchEvent(new CustomEvent('message_read', { detail: data }));
+        noteServerTime(data.readAt);
+      });
+
+      // Message delivery receipts
+      newSocket.on('message_delivered', (data) => {
+        window.dispatchEvent(new CustomEvent('message_delivered', { detail: data }));
+        noteServerTime(data.deliveredAt);
+      });
+
+      // Edits, deletions, reactions, poll results, link previews, live locations and processed
+      // attachments on existing messages, and new thread replies
+      [
+        'message_edited', 'message_deleted', 'message_reaction_changed', 'poll_updated', 'link_preview_ready',
+        'thread_reply', 'live_location_updated', 'media_processed'
+      ].forEach(eventName => {
+        newSocket.on(eventName, (data) => {
+          window.dispatchEvent(new CustomEvent(eventName, { detail: data }));
+          noteServerTime(data.updatedAt);
+        });
+      });
+
+      // Pinned message changes, stars and poll votes changed from the user's other sessions,
+      // and expired messages
+      ['message_pinned', 'message_unpinned', 'message_star_changed', 'poll_vote_changed', 'messages_expired'].forEach(eventName => {
+        newSocket.on(eventName, (data) => {
+          window.dispatchEvent(new CustomEvent(eventName, { detail: data }));
+        });
+      });
+
+      // Someone @mentioned this user. Always announced, unless that chat is already open.
+      newSocket.on('mentioned', (data) => {
+        window.dispatchEvent(new CustomEvent('mentioned', { detail: data }));
+
+        const chatPath = data.conversationType === 'group'
+          ? `/groups/${data.conversationId}`
+          : `/chat/${data.sender._id}`;
+        if (window.location.pathname === chatPath && document.visibilityState === 'visible') return;
+
+        const preview = toPlainText(data.message.content);
+        toast(
+          `${getDisplayName(data.sender)} mentioned you${data.conversationName ? ` in ${data.conversationName}` : ''}: ` +
+            (preview.length > 80 ? `${preview.slice(0, 80)}…` : preview),
+          { icon: '@', duration: 6000 }
+        );
+      });
+
+      // Scheduled messages sent (or given up on) by the server
+      ['scheduled_message_sent', 'scheduled_message_failed'].forEach(eventName => {
+        newSocket.on(eventName, (data) => {
+          window.dispatchEvent(new CustomEvent(eventName, { detail: data }));
+        });
       });
 
       // Video call events
@@ -328,21 +448,208 @@ export const SocketProvider = ({ children }) => {
     setActiveCall(null);
   };
 
-  // Send message
-  const sendMessage = (receiverId, content, messageType = 'text', replyTo = null) => {
-    console.log('SocketContext sendMessage called:', { receiverId, content, socket: !!socket, isConnected });
-    if (socket && isConnected) {
-      socket.emit('send_message', {
-        receiverId,
-        content,
-        messageType,
-        replyTo
-      });
-    } else {
-      console.error('Socket not connected or not available');
+  useEffect(() => {
+    outboxRef.current = outbox;
+  }, [outbox]);
+
+  // Restore messages that were still waiting to be sent when the page was closed
+  useEffect(() => {
+    if (!user?._id) return;
+
+    setOutboxLoaded(false);
+    getOutboxMessages(user._id)
+      .then(entries => setOutbox(entries))
+      .catch(error => {
+        console.error('Error loading outbox:', error);
+        setOutbox([]);
+      })
+      .finally(() => setOutboxLoaded(true));
+  }, [user?._id]);
+
+  const updateOutboxEntry = useCallback((entry) => {
+    setOutbox(prev => (
+      prev.some(item => item.clientMessageId === entry.clientMessageId)
+        ? prev.map(item => item.clientMessageId === entry.clientMessageId ? entry : item)
+        : [...prev, entry]
+    ));
+    saveOutboxMessage(entry).catch(error => console.error('Error saving outbox message:', error));
+  }, []);
+
+  const removeOutboxEntry = useCallback((clientMessageId) => {
+    setOutbox(prev => prev.filter(item => item.clientMessageId !== clientMessageId));
+    deleteOutboxMessage(clientMessageId).catch(error => console.error('Error removing outbox message:', error));
+  }, []);
+
+  // Try to send one outbox entry. Entries stay pending while offline or unacknowledged and are
+  // retried on reconnect, or after a pause when the server didn't answer; they only fail once
+  // the server rejects them or the retries run out.
+  const deliverOutboxEntry = useCallback((entry) => {
+    if (!socket || !isConnected || inFlightRef.current.has(entry.clientMessageId)) {
+      return;
+    }
+
+    inFlightRef.current.add(entry.clientMessageId);
+    const attempt = { ...entry, status: 'pending', attempts: entry.attempts + 1 };
+    updateOutboxEntry(attempt);
+
+    socket.timeout(SEND_ACK_TIMEOUT).emit('send_message', {
+      ...entry.target,
+      content: entry.content,
+      messageType: entry.messageType,
+      replyTo: entry.replyTo,
+      threadRoot: entry.threadRoot,
+      clientMessageId: entry.clientMessageId
+    }, (timeoutError, response) => {
+      inFlightRef.current.delete(entry.clientMessageId);
+
+      if (timeoutError) {
+        if (attempt.attempts >= MAX_SEND_ATTEMPTS) {
+          updateOutboxEntry({ ...attempt, status: 'failed', error: 'No response from server' });
+          return;
+        }
+
+        const timer = setTimeout(() => {
+          sendRetryTimersRef.current.delete(timer);
+          setSendRetryTick(tick => tick + 1);
+        }, SEND_RETRY_BASE_DELAY * 2 ** (attempt.attempts - 1));
+        sendRetryTimersRef.current.add(timer);
+        return;
+      }
+
+      if (response.error) {
+        updateOutboxEntry({ ...attempt, status: 'failed', error: response.error.message });
+        return;
+      }
+
+      removeOutboxEntry(entry.clientMessageId);
+      window.dispatchEvent(new CustomEvent('message_sent', {
+        detail: { message: response.message, clientMessageId: entry.clientMessageId }
+      }));
+    });
+  }, [socket, isConnected, updateOutboxEntry, removeOutboxEntry]);
+
+  // Flush whatever is still pending once we're (re)connected, and whenever a resend is due
+  useEffect(() => {
+    if (!isConnected || !outboxLoaded) return;
+
+    outboxRef.current
+      .filter(entry => entry.status === 'pending')
+      .forEach(entry => deliverOutboxEntry(entry));
+  }, [isConnected, outboxLoaded, deliverOutboxEntry, sendRetryTick]);
+
+  useEffect(() => {
+    const timers = sendRetryTimersRef.current;
+    return () => timers.forEach(timer => clearTimeout(timer));
+  }, []);
+
+  // Send message to a friend ({ receiverId }) or a conversation ({ conversationId }),
+  // optionally as a reply in the thread under threadRoot.
+  // Messages go through the outbox, so nothing is lost while offline.
+  const sendMessage = (target, content, messageType = 'text', replyTo = null, threadRoot = null) => {
+    const entry = {
+      clientMessageId: createClientMessageId(),
+      userId: user._id,
+      target,
+      content,
+      messageType,
+      replyTo,
+      threadRoot,
+      status: 'pending',
+      attempts: 0,
+      error: null,
+      createdAt: new Date().toISOString()
+    };
+
+    updateOutboxEntry(entry);
+    deliverOutboxEntry(entry);
+    return entry.clientMessageId;
+  };
+
+  // Send a failed message again
+  const retryMessage = (clientMessageId) => {
+    const entry = outbox.find(item => item.clientMessageId === clientMessageId);
+    if (!entry) return;
+
+    const reset = { ...entry, status: 'pending', attempts: 0, error: null };
+    updateOutboxEntry(reset);
+    deliverOutboxEntry(reset);
+  };
+
+  // Give up on a message that never made it to the server
+  const discardMessage = (clientMessageId) => {
+    removeOutboxEntry(clientMessageId);
+  };
+
+  // Stop watching the position for a live location on this client
+  const endLiveShare = useCallback((messageId) => {
+    const share = liveSharesRef.current.get(messageId);
+    if (!share) return;
+
+    navigator.geolocation.clearWatch(share.watchId);
+    clearTimeout(share.timer);
+    liveSharesRef.current.delete(messageId);
+    setSharingLocationIds(prev => {
+      const next = new Set(prev);
+      next.delete(messageId);
+      return next;
+    });
+  }, []);
+
+  // Stream this device's position to a live location message until it runs out or is stopped
+  const startLiveLocation = useCallback((message) => {
+    const liveUntil = message.location?.liveUntil;
+    if (!liveUntil || !navigator.geolocation || liveSharesRef.current.has(message._id)) return;
+
+    const share = { watchId: null, timer: null, lastSentAt: Date.now() };
+    share.watchId = navigator.geolocation.watchPosition(
+      ({ coords }) => {
+        if (!socket?.connected || Date.now() - share.lastSentAt < LIVE_LOCATION_INTERVAL_MS) return;
+
+        share.lastSentAt = Date.now();
+        socket.emit('update_live_location', {
+          messageId: message._id,
+          lat: coords.latitude,
+          lng: coords.longitude,
+          accuracy: coords.accuracy
+        }, (response) => {
+          // Ended elsewhere, or the message is gone
+          if (response?.error && [404, 410].includes(response.error.status)) {
+            endLiveShare(message._id);
+          }
+        });
+      },
+      (error) => console.error('Error watching position:', error),
+      { enableHighAccuracy: true, maximumAge: LIVE_LOCATION_INTERVAL_MS }
+    );
+    share.timer = setTimeout(() => endLiveShare(message._id), Math.max(0, new Date(liveUntil) - Date.now()));
+
+    liveSharesRef.current.set(message._id, share);
+    setSharingLocationIds(prev => new Set(prev).add(message._id));
+  }, [socket, endLiveShare]);
+
+  // Stop sharing a live location early, from this device or any other
+  const stopLiveLocation = (messageId) => {
+    endLiveShare(messageId);
+    if (!socket || !isConnected) {
+      toast.error('You are offline. Try again once reconnected.');
+      return;
     }
+
+    socket.emit('stop_live_location', { messageId }, (response) => {
+      if (response?.error && response.error.status !== 410) {
+        toast.error(response.error.message);
+      }
+    });
   };
 
+  // Nothing keeps sharing once the user signs out
+  useEffect(() => {
+    const shares = liveSharesRef.current;
+    return () => {
+      [...shares.keys()].forEach(messageId => endLiveShare(messageId));
+    };
+  }, [user?._id, endLiveShare]);
+
   // Typing indicators
   const startTyping = (receiverId) => {
     if (socket && isConnected) {
@@ -356,12 +663,12 @@ export const SocketProvider = ({ children }) => {
     }
   };
 
-  // Mark message as read
-  const markMessageAsRead = (messageId) => {
+  // Mark a conversation ({ conversationId } or { userId }) read up to a message, or up to now
+  const markConversationRead = useCallback((target, upToMessageId = null) => {
     if (socket && isConnected) {
-      socket.emit('mark_read', { messageId });
+      socket.emit('mark_conversation_read', { ...target, upToMessageId });
     }
-  };
+  }, [socket, isConnected]);
 
   // Update status
   const updateStatus = (status) => {
@@ -379,10 +686,16 @@ export const SocketProvider = ({ children }) => {
     activeCall,
     localVideoRef,
     remoteVideoRef,
+    outbox,
     sendMessage,
+    retryMessage,
+    discardMessage,
+    sharingLocationIds,
+    startLiveLocation,
+    stopLiveLocation,
     startTyping,
     stopTyping,
-    markMessageAsRead,
+    markConversationRead,
     updateStatus,
     startCall,
     acceptCall,
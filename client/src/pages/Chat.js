@@ -1,26 +1,109 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback, useMemo } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
 import { useAuth } from '../contexts/AuthContext';
 import { useSocket } from '../contexts/SocketContext';
 import axios from 'axios';
+import toast from 'react-hot-toast';
 import { 
   FiArrowLeft, 
   FiPhone, 
   FiSend, 
   FiPaperclip, 
   FiSmile,
-  FiMoreVertical
+  FiMoreVertical,
+  FiUsers,
+  FiSearch,
+  FiChevronsDown,
+  FiChevronDown,
+  FiEdit2,
+  FiX,
+  FiMessageSquare,
+  FiStar,
+  FiClock,
+  FiWatch,
+  FiBarChart2,
+  FiCornerUpRight,
+  FiMic,
+  FiMapPin
 } from 'react-icons/fi';
+import GroupMembersPanel from '../components/GroupMembersPanel';
+import MessageSearch from '../components/MessageSearch';
+import MessageStatus, { getMessageStatus } from '../components/MessageStatus';
+import OutboxMessage from '../components/OutboxMessage';
+import MessageContextMenu from '../components/MessageContextMenu';
+import MessageReactions from '../components/MessageReactions';
+import EditHistoryModal from '../components/EditHistoryModal';
+import ThreadPanel from '../components/ThreadPanel';
+import PinnedBanner from '../components/PinnedBanner';
+import ScheduleSendMenu from '../components/ScheduleSendMenu';
+import ScheduledMessagesBar from '../components/ScheduledMessagesBar';
+import DisappearingTimerMenu from '../components/DisappearingTimerMenu';
+import PollMessage from '../components/PollMessage';
+import PollComposer from '../components/PollComposer';
+import FormattedMessage from '../components/FormattedMessage';
+import LinkPreviewCard from '../components/LinkPreviewCard';
+import ForwardDialog, { FREQUENTLY_FORWARDED_COUNT } from '../components/ForwardDialog';
+import VoiceRecorder from '../components/VoiceRecorder';
+import VoiceNotePlayer from '../components/VoiceNotePlayer';
+import LocationMessage from '../components/LocationMessage';
+import LocationShareDialog from '../components/LocationShareDialog';
+import MediaAttachment from '../components/MediaAttachment';
+import { isRecordingSupported, recordingFileName } from '../utils/audio';
+import FormattingToolbar, { formatInput } from '../components/FormattingToolbar';
+import MentionSuggestions, { getMentionQuery, findMentionCandidates } from '../components/MentionSuggestions';
+import { toPlainText, isInsideCodeFence, unescapeContent } from '../utils/markdown';
+import { getDisplayName, getAvatar } from '../utils/users';
+
+const DELETED_MESSAGE_CONTENT = 'This message was deleted';
+
+// What's left of a message after its sender deleted it for everyone
+const tombstone = (message, content, deletedAt) => ({
+  ...message,
+  content,
+  deletedForEveryone: true,
+  deletedAt,
+  fileUrl: null,
+  fileName: null,
+  fileSize: null,
+  thumbnail: null,
+  media: null,
+  reactions: [],
+  linkPreview: null,
+  location: null
+});
+
+// Copy of a set with id added (present) or removed
+const withMember = (set, id, present) => {
+  const next = new Set(set);
+  if (present) {
+    next.add(id);
+  } else {
+    next.delete(id);
+  }
+  return next;
+};
 
 const Chat = () => {
-  const { userId } = useParams();
+  const { userId, conversationId } = useParams();
+  const isGroup = !!conversationId;
+  // Set when jumping to a message from search; history is loaded around it
+  const [searchParams] = useSearchParams();
+  const focusMessageId = searchParams.get('message');
+  // Set when a search hit was a thread reply: the thread opens alongside its root
+  const focusThreadId = searchParams.get('thread');
   const { user } = useAuth();
   const { 
-    sendMessage, 
+    isConnected,
+    outbox,
+    sendMessage,
+    retryMessage,
+    discardMessage,
+    startLiveLocation,
+    stopLiveLocation,
     startTyping, 
     stopTyping, 
-    markMessageAsRead,
+    markConversationRead,
     startCall,
     typingUsers
   } = useSocket();
@@ -29,62 +112,495 @@ const Chat = () => {
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
   const [otherUser, setOtherUser] = useState(null);
+  const [conversation, setConversation] = useState(null);
+  // Direct chats load their conversation only for its settings; groups use conversation
+  const [directConversation, setDirectConversation] = useState(null);
+  const [sidePanel, setSidePanel] = useState(null); // 'members' | 'search' | 'thread' | null
+  const [threadRootId, setThreadRootId] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [sending, setSending] = useState(false);
+  // Whether the loaded window stops short of either end of the conversation
+  const [hasMoreBefore, setHasMoreBefore] = useState(false);
+  const [hasMoreAfter, setHasMoreAfter] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [contextMenuMessageId, setContextMenuMessageId] = useState(null);
+  const [editingMessage, setEditingMessage] = useState(null);
+  const [historyMessageId, setHistoryMessageId] = useState(null);
+  const [pins, setPins] = useState([]);
+  // IDs of loaded messages the current user has starred
+  const [starredIds, setStarredIds] = useState(() => new Set());
+  // Options the current user picked in each loaded poll, keyed by message ID
+  const [pollVotes, setPollVotes] = useState({});
+  const [showPollComposer, setShowPollComposer] = useState(false);
+  const [forwardingMessage, setForwardingMessage] = useState(null);
+  const [recordingVoiceNote, setRecordingVoiceNote] = useState(false);
+  const [showLocationDialog, setShowLocationDialog] = useState(false);
+  const [showPreview, setShowPreview] = useState(false);
+  // The @mention being typed at the caret ({ start, query }) and the highlighted suggestion
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [mentionIndex, setMentionIndex] = useState(0);
+  // Messages the current user has scheduled in this chat, soonest first
+  const [scheduledMessages, setScheduledMessages] = useState([]);
+  const [showScheduleMenu, setShowScheduleMenu] = useState(false);
+  // Bumped to refetch history when a resync has too much to apply piecemeal
+  const [reloadKey, setReloadKey] = useState(0);
   const messagesEndRef = useRef(null);
+  const composerRef = useRef(null);
+  const messagesContainerRef = useRef(null);
+  const loadingPageRef = useRef(false);
+  const isNearBottomRef = useRef(true);
+  // How the next messages update should move the scroll position:
+  // { type: 'bottom' | 'focus' | 'preserve' | 'none' }, or null to follow new messages if at the bottom
+  const pendingScrollRef = useRef(null);
 
-  const scrollToBottom = () => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  };
+  const historyUrl = isGroup
+    ? `/api/conversations/${conversationId}/messages`
+    : `/api/messages/${userId}`;
+  // Sends for this chat that the server hasn't acknowledged yet (thread replies show in the thread)
+  const outboxMessages = outbox.filter(entry => !entry.threadRoot && (
+    isGroup ? entry.target.conversationId === conversationId : entry.target.receiverId === userId
+  ));
+  // Latest loaded message, so reconnects can mark the conversation read without re-rendering
+  const lastMessageIdRef = useRef(null);
 
   useEffect(() => {
-    fetchUserAndMessages();
-  }, [userId]);
+    if (isGroup) {
+      fetchGroupAndMessages();
+    } else {
+      fetchUserAndMessages();
+    }
+  }, [userId, conversationId, focusMessageId, reloadKey]);
+
+  // A recording belongs to the chat it was started in
+  useEffect(() => {
+    setRecordingVoiceNote(false);
+  }, [userId, conversationId]);
 
   useEffect(() => {
-    scrollToBottom();
+    if (focusThreadId) {
+      setThreadRootId(focusThreadId);
+      setSidePanel('thread');
+    }
+  }, [focusThreadId]);
+
+  useLayoutEffect(() => {
+    const container = messagesContainerRef.current;
+    const pending = pendingScrollRef.current;
+    pendingScrollRef.current = null;
+    if (!container) return;
+
+    if (pending?.type === 'preserve') {
+      // Older messages were prepended: keep the same message under the user's eyes
+      container.scrollTop = container.scrollHeight - pending.scrollHeight + pending.scrollTop;
+    } else if (pending?.type === 'focus') {
+      document.getElementById(`message-${pending.id}`)?.scrollIntoView({ block: 'center' });
+    } else if (pending?.type === 'bottom') {
+      messagesEndRef.current?.scrollIntoView();
+    } else if (!pending && isNearBottomRef.current) {
+      messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+    }
+  }, [messages, outboxMessages.length]);
+
+  useEffect(() => {
+    lastMessageIdRef.current = messages.length > 0 ? messages[messages.length - 1]._id : null;
   }, [messages]);
 
   useEffect(() => {
     // Listen for new messages
     const handleNewMessage = (event) => {
-      const { message } = event.detail;
-      if (message.sender._id === userId || message.receiver._id === userId) {
+      const { message, conversationId: messageConversationId, conversationType } = event.detail;
+
+      // The loaded window doesn't reach the latest messages yet, so there is nothing to append to.
+      // Thread replies arrive through thread_reply instead.
+      if (hasMoreAfter || message.threadRoot) return;
+
+      if (isGroup) {
+        if (messageConversationId === conversationId) {
+          setMessages(prev => [...prev, message]);
+          markConversationRead({ conversationId }, message._id);
+        }
+        return;
+      }
+
+      if (conversationType !== 'group' &&
+          (message.sender._id === userId || message.receiver?._id === userId)) {
         setMessages(prev => [...prev, message]);
-        markMessageAsRead(message._id);
+        if (message.sender._id === userId) {
+          markConversationRead({ userId }, message._id);
+        }
       }
     };
 
     const handleMessageSent = (event) => {
       const { message } = event.detail;
-      setMessages(prev => prev.map(msg => 
-        msg._id === message._id ? message : msg
+      if (message.threadRoot) return;
+
+      pendingScrollRef.current = { type: 'bottom' };
+      setMessages(prev => (
+        prev.some(msg => msg._id === message._id)
+          ? prev.map(msg => msg._id === message._id ? message : msg)
+          : [...prev, message]
       ));
-      setSending(false);
+    };
+
+    const handleMessageDelivered = (event) => {
+      const { messageIds, deliveredAt } = event.detail;
+      setMessages(prev => prev.map(msg => (
+        messageIds.includes(msg._id) && !msg.deliveredAt ? { ...msg, deliveredAt } : msg
+      )));
+    };
+
+    const handleMessageRead = (event) => {
+      const { conversationId: readConversationId, readBy, readAt, upTo } = event.detail;
+      if (readBy === user._id) return;
+
+      if (isGroup) {
+        if (readConversationId !== conversationId) return;
+        setConversation(prev => prev && {
+          ...prev,
+          members: prev.members.map(member => (
+            member.user._id === readBy ? { ...member, lastReadAt: upTo } : member
+          ))
+        });
+        return;
+      }
+
+      if (readBy !== userId) return;
+      const readUpTo = new Date(upTo);
+      setMessages(prev => prev.map(msg => (
+        msg.sender._id === user._id && !msg.isRead && new Date(msg.createdAt) <= readUpTo
+          ? { ...msg, isRead: true, readAt, deliveredAt: msg.deliveredAt || readAt }
+          : msg
+      )));
+    };
+
+    // Apply what was missed while the socket was disconnected
+    const handleMessagesSynced = (event) => {
+      const { messages: changed, deletedMessageIds, readStates, reset } = event.detail;
+
+      if (reset) {
+        setReloadKey(key => key + 1);
+        return;
+      }
+
+      const belongsHere = (message) => !message.threadRoot && (isGroup
+        ? message.conversation === conversationId
+        : !!message.receiver && (message.sender._id === userId || message.receiver._id === userId));
+      const relevant = changed.filter(belongsHere);
+
+      if (relevant.length > 0 || deletedMessageIds.length > 0) {
+        setMessages(prev => {
+          const changedById = new Map(relevant.map(message => [message._id, message]));
+          const updated = prev
+            .filter(message => !deletedMessageIds.includes(message._id))
+            .map(message => changedById.get(message._id) || message);
+
+          // Only append when the loaded window reaches the live end of the conversation
+          const known = new Set(prev.map(message => message._id));
+          const added = hasMoreAfter ? [] : relevant.filter(message => !known.has(message._id));
+
+          return [...updated, ...added].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        });
+
+        const latestIncoming = relevant.filter(message => message.sender._id !== user._id).pop();
+        if (latestIncoming && !hasMoreAfter) {
+          markConversationRead(isGroup ? { conversationId } : { userId }, latestIncoming._id);
+        }
+      }
+
+      const readState = isGroup && readStates.find(state => state.conversationId === conversationId);
+      if (readState) {
+        setConversation(prev => prev && {
+          ...prev,
+          members: prev.members.map(member => {
+            const synced = readState.members.find(item => item.user === member.user._id);
+            return synced ? { ...member, lastReadAt: synced.lastReadAt } : member;
+          })
+        });
+      }
+    };
+
+    const handleMessageEdited = (event) => {
+      const { messageId, content, isEdited, editedAt, mentions, linkPreview } = event.detail;
+      setMessages(prev => prev.map(msg => (
+        msg._id === messageId ? { ...msg, content, isEdited, editedAt, mentions, linkPreview } : msg
+      )));
+    };
+
+    const handleLinkPreviewReady = (event) => {
+      const { messageId, linkPreview } = event.detail;
+      setMessages(prev => prev.map(msg => (
+        msg._id === messageId ? { ...msg, linkPreview } : msg
+      )));
+    };
+
+    const handleMediaProcessed = (event) => {
+      const { messageId, thumbnail, fileSize, media } = event.detail;
+      setMessages(prev => prev.map(msg => (
+        msg._id === messageId ? { ...msg, thumbnail, fileSize, media } : msg
+      )));
+    };
+
+    const handleLiveLocationUpdated = (event) => {
+      const { messageId, location } = event.detail;
+      setMessages(prev => prev.map(msg => (
+        msg._id === messageId ? { ...msg, location } : msg
+      )));
+    };
+
+    const handleMessageDeleted = (event) => {
+      const { messageId, deletedFor, forEveryone, content, deletedAt } = event.detail;
+      if (forEveryone) {
+        setMessages(prev => prev.map(msg => (msg._id === messageId ? tombstone(msg, content, deletedAt) : msg)));
+      } else if (deletedFor === user._id) {
+        setMessages(prev => prev.filter(msg => msg._id !== messageId));
+      }
+    };
+
+    const handleReactionChanged = (event) => {
+      const { messageId, reactions } = event.detail;
+      setMessages(prev => prev.map(msg => (
+        msg._id === messageId ? { ...msg, reactions } : msg
+      )));
+    };
+
+    const handlePollUpdated = (event) => {
+      const { messageId, poll } = event.detail;
+      setMessages(prev => prev.map(msg => (
+        msg._id === messageId ? { ...msg, poll } : msg
+      )));
+    };
+
+    // Keep reply counts on thread roots current
+    const handleThreadReply = (event) => {
+      const { threadRootId: rootId, replyCount, lastReplyAt } = event.detail;
+      setMessages(prev => prev.map(msg => (
+        msg._id === rootId ? { ...msg, threadReplyCount: replyCount, threadLastReplyAt: lastReplyAt } : msg
+      )));
+    };
+
+    const handleConversationUpdated = (event) => {
+      const { conversation: updated } = event.detail;
+      if (!isGroup) {
+        setDirectConversation(prev => (prev && prev._id === updated._id ? updated : prev));
+        return;
+      }
+      if (updated._id !== conversationId) return;
+
+      if (!updated.members.some(member => member.user._id === user._id)) {
+        toast.error('You are no longer a member of this group');
+        navigate('/dashboard');
+        return;
+      }
+
+      setConversation(updated);
     };
 
     window.addEventListener('new_message', handleNewMessage);
     window.addEventListener('message_sent', handleMessageSent);
+    window.addEventListener('message_delivered', handleMessageDelivered);
+    window.addEventListener('message_read', handleMessageRead);
+    window.addEventListener('messages_synced', handleMessagesSynced);
+    window.addEventListener('message_edited', handleMessageEdited);
+    window.addEventListener('message_deleted', handleMessageDeleted);
+    window.addEventListener('message_reaction_changed', handleReactionChanged);
+    window.addEventListener('poll_updated', handlePollUpdated);
+    window.addEventListener('link_preview_ready', handleLinkPreviewReady);
+    window.addEventListener('live_location_updated', handleLiveLocationUpdated);
+    window.addEventListener('media_processed', handleMediaProcessed);
+    window.addEventListener('thread_reply', handleThreadReply);
+    window.addEventListener('conversation_updated', handleConversationUpdated);
 
     return () => {
       window.removeEventListener('new_message', handleNewMessage);
       window.removeEventListener('message_sent', handleMessageSent);
+      window.removeEventListener('message_delivered', handleMessageDelivered);
+      window.removeEventListener('message_read', handleMessageRead);
+      window.removeEventListener('messages_synced', handleMessagesSynced);
+      window.removeEventListener('message_edited', handleMessageEdited);
+      window.removeEventListener('message_deleted', handleMessageDeleted);
+      window.removeEventListener('message_reaction_changed', handleReactionChanged);
+      window.removeEventListener('poll_updated', handlePollUpdated);
+      window.removeEventListener('link_preview_ready', handleLinkPreviewReady);
+      window.removeEventListener('live_location_updated', handleLiveLocationUpdated);
+      window.removeEventListener('media_processed', handleMediaProcessed);
+      window.removeEventListener('thread_reply', handleThreadReply);
+      window.removeEventListener('conversation_updated', handleConversationUpdated);
+    };
+  }, [userId, conversationId, isGroup, hasMoreAfter, user._id, navigate, markConversationRead]);
+
+  const fetchPins = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/messages/pins', {
+        params: isGroup ? { conversationId } : { userId }
+      });
+      setPins(response.data.pins);
+    } catch (error) {
+      console.error('Error fetching pinned messages:', error);
+    }
+  }, [isGroup, conversationId, userId]);
+
+  useEffect(() => {
+    setPins([]);
+    fetchPins();
+  }, [fetchPins]);
+
+  useEffect(() => {
+    const handleMessagePinned = (event) => {
+      const { conversationId: pinConversationId, pin } = event.detail;
+      const belongsHere = isGroup
+        ? pinConversationId === conversationId
+        : !!pin.message.receiver && [pin.message.sender._id, pin.message.receiver].includes(userId);
+      if (!belongsHere) return;
+
+      setPins(prev => [pin, ...prev.filter(item => item.message._id !== pin.message._id)]);
+    };
+
+    const handleMessageUnpinned = (event) => {
+      const { messageId } = event.detail;
+      setPins(prev => prev.filter(pin => pin.message._id !== messageId));
+    };
+
+    // Deleting a message for yourself also drops it from your pins
+    const handleMessageDeleted = (event) => {
+      const { messageId, deletedFor } = event.detail;
+      if (deletedFor === user._id) {
+        setPins(prev => prev.filter(pin => pin.message._id !== messageId));
+      }
+    };
+
+    // Stars changed from this user's other sessions
+    const handleStarChanged = (event) => {
+      const { messageId, starred } = event.detail;
+      setStarredIds(prev => withMember(prev, messageId, starred));
+    };
+
+    // Votes changed from this user's other sessions
+    const handlePollVoteChanged = (event) => {
+      const { messageId, optionIds } = event.detail;
+      setPollVotes(prev => ({ ...prev, [messageId]: optionIds }));
+    };
+
+    window.addEventListener('message_pinned', handleMessagePinned);
+    window.addEventListener('message_unpinned', handleMessageUnpinned);
+    window.addEventListener('message_deleted', handleMessageDeleted);
+    window.addEventListener('message_star_changed', handleStarChanged);
+    window.addEventListener('poll_vote_changed', handlePollVoteChanged);
+    // Pin changes aren't part of the resync, so refetch them after a reconnect
+    window.addEventListener('messages_synced', fetchPins);
+    return () => {
+      window.removeEventListener('message_pinned', handleMessagePinned);
+      window.removeEventListener('message_unpinned', handleMessageUnpinned);
+      window.removeEventListener('message_deleted', handleMessageDeleted);
+      window.removeEventListener('message_star_changed', handleStarChanged);
+      window.removeEventListener('poll_vote_changed', handlePollVoteChanged);
+      window.removeEventListener('messages_synced', fetchPins);
+    };
+  }, [isGroup, conversationId, userId, user._id, fetchPins]);
+
+  useEffect(() => {
+    setDirectConversation(null);
+    if (isGroup) return;
+
+    axios.get(`/api/conversations/direct/${userId}`)
+      .then(response => setDirectConversation(response.data.conversation))
+      .catch(error => console.error('Error fetching direct conversation:', error));
+  }, [isGroup, userId]);
+
+  // Disappearing messages leave when the server sweeps them, or locally once their time is up
+  // in case the sweep happened while this client was offline
+  useEffect(() => {
+    const handleMessagesExpired = (event) => {
+      const { messageIds } = event.detail;
+      setMessages(prev => prev.filter(msg => !messageIds.includes(msg._id)));
+      setPins(prev => prev.filter(pin => !messageIds.includes(pin.message._id)));
+    };
+
+    const timer = setInterval(() => {
+      const now = new Date();
+      setMessages(prev => {
+        const kept = prev.filter(msg => !msg.expiresAt || new Date(msg.expiresAt) > now);
+        return kept.length === prev.length ? prev : kept;
+      });
+    }, 30 * 1000);
+
+    window.addEventListener('messages_expired', handleMessagesExpired);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('messages_expired', handleMessagesExpired);
     };
-  }, [userId, markMessageAsRead]);
+  }, []);
+
+  const fetchScheduledMessages = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/scheduled-messages', {
+        params: isGroup ? { conversationId } : { userId }
+      });
+      setScheduledMessages(response.data.scheduledMessages);
+    } catch (error) {
+      console.error('Error fetching scheduled messages:', error);
+    }
+  }, [isGroup, conversationId, userId]);
+
+  useEffect(() => {
+    setScheduledMessages([]);
+    fetchScheduledMessages();
+  }, [fetchScheduledMessages]);
+
+  useEffect(() => {
+    // A scheduled message went out: it leaves the queue and, if it's for this chat, joins the history
+    const handleScheduledSent = (event) => {
+      const { scheduledMessageId, message } = event.detail;
+      setScheduledMessages(prev => prev.filter(item => item._id !== scheduledMessageId));
+
+      const belongsHere = isGroup
+        ? message.conversation === conversationId
+        : !!message.receiver && message.receiver._id === userId;
+      if (!belongsHere || hasMoreAfter) return;
+
+      setMessages(prev => (prev.some(msg => msg._id === message._id) ? prev : [...prev, message]));
+    };
+
+    const handleScheduledFailed = (event) => {
+      const { scheduledMessageId, error } = event.detail;
+      setScheduledMessages(prev => prev.map(item => (
+        item._id === scheduledMessageId ? { ...item, status: 'failed', error } : item
+      )));
+    };
+
+    window.addEventListener('scheduled_message_sent', handleScheduledSent);
+    window.addEventListener('scheduled_message_failed', handleScheduledFailed);
+    // Anything that went out while disconnected is no longer queued
+    window.addEventListener('messages_synced', fetchScheduledMessages);
+    return () => {
+      window.removeEventListener('scheduled_message_sent', handleScheduledSent);
+      window.removeEventListener('scheduled_message_failed', handleScheduledFailed);
+      window.removeEventListener('messages_synced', fetchScheduledMessages);
+    };
+  }, [isGroup, conversationId, userId, hasMoreAfter, fetchScheduledMessages]);
+
+  // Opening a chat (or reconnecting while in it) marks everything loaded so far as read
+  useEffect(() => {
+    if (isConnected && !loading && lastMessageIdRef.current) {
+      markConversationRead(isGroup ? { conversationId } : { userId }, lastMessageIdRef.current);
+    }
+  }, [isGroup, isConnected, loading, userId, conversationId, markConversationRead]);
 
   const fetchUserAndMessages = async () => {
     try {
       console.log('Fetching user and messages for userId:', userId);
       const [userResponse, messagesResponse] = await Promise.all([
         axios.get(`/api/users/${userId}`),
-        axios.get(`/api/messages/${userId}`)
+        axios.get(historyUrl, {
+          params: focusMessageId ? { around: focusMessageId } : {}
+        })
       ]);
 
       console.log('User response:', userResponse.data);
       console.log('Messages response:', messagesResponse.data);
 
       setOtherUser(userResponse.data.user);
-      setMessages(messagesResponse.data.messages || []);
+      applyInitialPage(messagesResponse.data);
+      markFetchedAsRead(messagesResponse.data.messages || []);
     } catch (error) {
       console.error('Error fetching data:', error);
       // Show error message instead of white screen
@@ -95,48 +611,547 @@ const Chat = () => {
     }
   };
 
-  const handleSendMessage = async (e) => {
+  const applyInitialPage = (page) => {
+    pendingScrollRef.current = focusMessageId
+      ? { type: 'focus', id: focusMessageId }
+      : { type: 'bottom' };
+    setMessages(page.messages || []);
+    setStarredIds(new Set(page.starredIds || []));
+    setPollVotes(page.pollVotes || {});
+    setHasMoreBefore(!!page.hasMoreBefore);
+    setHasMoreAfter(!!page.hasMoreAfter);
+  };
+
+  const addStarredIds = (ids = []) => {
+    setStarredIds(prev => new Set([...prev, ...ids]));
+  };
+
+  const addPollVotes = (votes = {}) => {
+    setPollVotes(prev => ({ ...prev, ...votes }));
+  };
+
+  // Everything up to the newest fetched message is being seen now; one receipt covers the batch
+  const markFetchedAsRead = (fetchedMessages) => {
+    const hasUnread = fetchedMessages.some(message => (
+      message.sender._id !== user._id && (isGroup || !message.isRead)
+    ));
+    if (!hasUnread) return;
+
+    markConversationRead(
+      isGroup ? { conversationId } : { userId },
+      fetchedMessages[fetchedMessages.length - 1]._id
+    );
+  };
+
+  const loadOlderMessages = async () => {
+    if (loadingPageRef.current || !hasMoreBefore || messages.length === 0) return;
+
+    loadingPageRef.current = true;
+    setLoadingOlder(true);
+    try {
+      const response = await axios.get(historyUrl, { params: { before: messages[0]._id } });
+      const container = messagesContainerRef.current;
+
+      pendingScrollRef.current = {
+        type: 'preserve',
+        scrollHeight: container.scrollHeight,
+        scrollTop: container.scrollTop
+      };
+      setMessages(prev => [...response.data.messages, ...prev]);
+      addStarredIds(response.data.starredIds);
+      addPollVotes(response.data.pollVotes);
+      setHasMoreBefore(response.data.hasMoreBefore);
+    } catch (error) {
+      console.error('Error loading older messages:', error);
+    } finally {
+      loadingPageRef.current = false;
+      setLoadingOlder(false);
+    }
+  };
+
+  const loadNewerMessages = async () => {
+    if (loadingPageRef.current || !hasMoreAfter || messages.length === 0) return;
+
+    loadingPageRef.current = true;
+    try {
+      const response = await axios.get(historyUrl, {
+        params: { after: messages[messages.length - 1]._id }
+      });
+
+      pendingScrollRef.current = { type: 'none' };
+      setMessages(prev => [...prev, ...response.data.messages]);
+      addStarredIds(response.data.starredIds);
+      addPollVotes(response.data.pollVotes);
+      setHasMoreAfter(response.data.hasMoreAfter);
+      markFetchedAsRead(response.data.messages);
+    } catch (error) {
+      console.error('Error loading newer messages:', error);
+    } finally {
+      loadingPageRef.current = false;
+    }
+  };
+
+  const handleMessagesScroll = () => {
+    const container = messagesContainerRef.current;
+    if (!container) return;
+
+    const distanceFromBottom = container.scrollHeight - container.scrollTop - container.clientHeight;
+    isNearBottomRef.current = distanceFromBottom < 100;
+
+    if (container.scrollTop < 100) {
+      loadOlderMessages();
+    } else if (isNearBottomRef.current) {
+      loadNewerMessages();
+    }
+  };
+
+  const fetchGroupAndMessages = async () => {
+    try {
+      const [conversationResponse, messagesResponse] = await Promise.all([
+        axios.get(`/api/conversations/${conversationId}`),
+        axios.get(historyUrl, {
+          params: focusMessageId ? { around: focusMessageId } : {}
+        })
+      ]);
+
+      setConversation(conversationResponse.data.conversation);
+      applyInitialPage(messagesResponse.data);
+      markFetchedAsRead(messagesResponse.data.messages || []);
+    } catch (error) {
+      console.error('Error fetching group:', error);
+      setConversation(null);
+      setMessages([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSendMessage = (e) => {
     e.preventDefault();
-    if (!newMessage.trim() || sending) return;
+    if (!newMessage.trim()) return;
+
+    const content = newMessage.trim();
+
+    if (editingMessage) {
+      saveEdit(editingMessage, content);
+      return;
+    }
+
+    const target = isGroup ? { conversationId } : { receiverId: userId };
+
+    // Sending from an older window: go back to the live end of the conversation
+    if (hasMoreAfter) {
+      jumpToLatest();
+    }
+
+    // Queued in the outbox and sent as soon as the socket is connected
+    pendingScrollRef.current = { type: 'bottom' };
+    sendMessage(target, content);
+
+    setNewMessage('');
+    if (!isGroup) {
+      stopTyping(userId);
+    }
+  };
+
+  const scheduleMessage = async (sendAt) => {
+    setShowScheduleMenu(false);
+    const content = newMessage.trim();
+    if (!content) return;
 
-    console.log('Sending message to:', userId, 'Content:', newMessage.trim());
-    setSending(true);
-    
     try {
-      // Try Socket.IO first
-      sendMessage(userId, newMessage.trim());
-      
-      // Fallback: Send via HTTP API if Socket.IO fails
-      setTimeout(async () => {
-        try {
-          const response = await axios.post('/api/messages', {
-            receiverId: userId,
-            content: newMessage.trim()
-          });
-          console.log('Message sent via HTTP API:', response.data);
-          setMessages(prev => [...prev, response.data.message]);
-        } catch (error) {
-          console.error('Failed to send message via HTTP API:', error);
-        }
-      }, 1000);
-      
+      const response = await axios.post('/api/scheduled-messages', {
+        ...(isGroup ? { conversationId } : { receiverId: userId }),
+        content,
+        scheduledFor: sendAt.toISOString()
+      });
+      setScheduledMessages(prev => [...prev, response.data.scheduledMessage]
+        .sort((a, b) => new Date(a.scheduledFor) - new Date(b.scheduledFor)));
+      setNewMessage('');
+      if (!isGroup) {
+        stopTyping(userId);
+      }
+      toast.success(`Message scheduled for ${sendAt.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}`);
     } catch (error) {
-      console.error('Error sending message:', error);
+      console.error('Error scheduling message:', error);
+      toast.error(error.response?.data?.message || 'Failed to schedule message');
     }
-    
+  };
+
+  const updateScheduledMessage = async (id, changes) => {
+    try {
+      const response = await axios.put(`/api/scheduled-messages/${id}`, changes);
+      setScheduledMessages(prev => prev
+        .map(item => (item._id === id ? response.data.scheduledMessage : item))
+        .sort((a, b) => new Date(a.scheduledFor) - new Date(b.scheduledFor)));
+      return true;
+    } catch (error) {
+      console.error('Error updating scheduled message:', error);
+      toast.error(error.response?.data?.message || 'Failed to update scheduled message');
+      return false;
+    }
+  };
+
+  const cancelScheduledMessage = async (id) => {
+    try {
+      await axios.delete(`/api/scheduled-messages/${id}`);
+      setScheduledMessages(prev => prev.filter(item => item._id !== id));
+    } catch (error) {
+      console.error('Error cancelling scheduled message:', error);
+      toast.error(error.response?.data?.message || 'Failed to cancel scheduled message');
+    }
+  };
+
+  const closeScheduleMenu = useCallback(() => setShowScheduleMenu(false), []);
+
+  const chatConversation = isGroup ? conversation : directConversation;
+  const chatPeople = useMemo(() => (
+    isGroup ? conversation?.members.map(member => member.user) || [] : [user, otherUser].filter(Boolean)
+  ), [isGroup, conversation, user, otherUser]);
+  const canChangeTimer = !isGroup ||
+    conversation?.members.some(member => member.user._id === user._id && member.role === 'admin');
+
+  const changeDisappearingTimer = async (seconds) => {
+    try {
+      const response = await axios.put(`/api/conversations/${chatConversation._id}/disappearing`, { seconds });
+      if (isGroup) {
+        setConversation(response.data.conversation);
+      } else {
+        setDirectConversation(response.data.conversation);
+      }
+
+      // The announcement goes to the other members; add it here ourselves
+      const { message } = response.data;
+      if (message && !hasMoreAfter) {
+        pendingScrollRef.current = { type: 'bottom' };
+        setMessages(prev => [...prev, message]);
+      }
+    } catch (error) {
+      console.error('Error changing disappearing messages:', error);
+      toast.error(error.response?.data?.message || 'Failed to change disappearing messages');
+    }
+  };
+
+  const updateMessage = (messageId, changes) => {
+    setMessages(prev => prev.map(msg => (msg._id === messageId ? { ...msg, ...changes } : msg)));
+  };
+
+  const startEditing = (message) => {
+    setEditingMessage(message);
+    setNewMessage(unescapeContent(message.content));
+  };
+
+  const cancelEditing = () => {
+    setEditingMessage(null);
     setNewMessage('');
-    stopTyping(userId);
   };
 
-  const handleTyping = (e) => {
-    setNewMessage(e.target.value);
-    if (e.target.value.trim()) {
+  const saveEdit = async (message, content) => {
+    cancelEditing();
+    if (content === unescapeContent(message.content)) return;
+
+    try {
+      await axios.put(`/api/messages/${message._id}`, { content });
+      updateMessage(message._id, { content, isEdited: true, editedAt: new Date().toISOString() });
+    } catch (error) {
+      console.error('Error editing message:', error);
+      toast.error(error.response?.data?.message || 'Failed to edit message');
+    }
+  };
+
+  const handleDeleteMessage = async (message, forEveryone = false) => {
+    try {
+      await axios.delete(`/api/messages/${message._id}`, {
+        params: forEveryone ? { forEveryone: true } : {}
+      });
+      if (forEveryone) {
+        updateMessage(message._id, tombstone(message, DELETED_MESSAGE_CONTENT, new Date().toISOString()));
+      } else {
+        setMessages(prev => prev.filter(msg => msg._id !== message._id));
+      }
+    } catch (error) {
+      console.error('Error deleting message:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete message');
+    }
+  };
+
+  // Reacting with the emoji you already picked removes it; any other emoji replaces it
+  const handleReact = async (message, emoji) => {
+    const reactions = message.reactions || [];
+    const mine = reactions.find(reaction => reaction.user === user._id);
+    const others = reactions.filter(reaction => reaction.user !== user._id);
+
+    try {
+      if (mine?.emoji === emoji) {
+        await axios.delete(`/api/messages/${message._id}/reaction`);
+        updateMessage(message._id, { reactions: others });
+      } else {
+        await axios.post(`/api/messages/${message._id}/reaction`, { emoji });
+        updateMessage(message._id, { reactions: [...others, { user: user._id, emoji }] });
+      }
+    } catch (error) {
+      console.error('Error updating reaction:', error);
+      toast.error('Failed to update reaction');
+    }
+  };
+
+  const isPinned = (messageId) => pins.some(pin => pin.message._id === messageId);
+
+  const togglePin = async (messageId) => {
+    try {
+      const response = isPinned(messageId)
+        ? await axios.delete(`/api/messages/${messageId}/pin`)
+        : await axios.post(`/api/messages/${messageId}/pin`);
+      setPins(response.data.pins);
+    } catch (error) {
+      console.error('Error updating pin:', error);
+      toast.error(error.response?.data?.message || 'Failed to update pin');
+    }
+  };
+
+  const toggleStar = async (messageId) => {
+    const starred = !starredIds.has(messageId);
+
+    try {
+      if (starred) {
+        await axios.post(`/api/messages/${messageId}/star`);
+      } else {
+        await axios.delete(`/api/messages/${messageId}/star`);
+      }
+      setStarredIds(prev => withMember(prev, messageId, starred));
+    } catch (error) {
+      console.error('Error updating star:', error);
+      toast.error(error.response?.data?.message || 'Failed to update star');
+    }
+  };
+
+  const sendPoll = async (poll) => {
+    try {
+      const response = await axios.post('/api/messages/poll', {
+        ...(isGroup ? { conversationId } : { receiverId: userId }),
+        ...poll
+      });
+      const { message } = response.data;
+
+      if (hasMoreAfter) {
+        jumpToLatest();
+      } else {
+        pendingScrollRef.current = { type: 'bottom' };
+        setMessages(prev => (prev.some(msg => msg._id === message._id) ? prev : [...prev, message]));
+      }
+      return true;
+    } catch (error) {
+      console.error('Error sending poll:', error);
+      toast.error(error.response?.data?.message || 'Failed to send poll');
+      return false;
+    }
+  };
+
+  // Upload a finished recording. The recorder closes either way; a failed upload is reported.
+  const sendVoiceNote = async ({ blob, duration, waveform }) => {
+    const formData = new FormData();
+    formData.append(isGroup ? 'conversationId' : 'receiverId', isGroup ? conversationId : userId);
+    formData.append('duration', duration);
+    formData.append('waveform', JSON.stringify(waveform));
+    formData.append('audio', blob, recordingFileName(blob.type));
+
+    try {
+      const response = await axios.post('/api/messages/voice', formData);
+      const { message } = response.data;
+
+      if (hasMoreAfter) {
+        jumpToLatest();
+      } else {
+        pendingScrollRef.current = { type: 'bottom' };
+        setMessages(prev => (prev.some(msg => msg._id === message._id) ? prev : [...prev, message]));
+      }
+    } catch (error) {
+      console.error('Error sending voice note:', error);
+      toast.error(error.response?.data?.message || 'Failed to send voice note');
+    } finally {
+      setRecordingVoiceNote(false);
+    }
+  };
+
+  // Share a location. A live one then keeps sending this device's position until it ends.
+  const sendLocation = async (location) => {
+    try {
+      const response = await axios.post('/api/messages', {
+        ...(isGroup ? { conversationId } : { receiverId: userId }),
+        messageType: 'location',
+        location
+      });
+      const { message } = response.data;
+
+      if (hasMoreAfter) {
+        jumpToLatest();
+      } else {
+        pendingScrollRef.current = { type: 'bottom' };
+        setMessages(prev => (prev.some(msg => msg._id === message._id) ? prev : [...prev, message]));
+      }
+      startLiveLocation(message);
+      return true;
+    } catch (error) {
+      console.error('Error sharing location:', error);
+      toast.error(error.response?.data?.message || 'Failed to share location');
+      return false;
+    }
+  };
+
+  // Copies forwarded into the chat that's open show up like any other sent message
+  const handleForwarded = (forwarded) => {
+    const here = forwarded.filter(message => (isGroup
+      ? message.conversation === conversationId
+      : message.receiver?._id === userId));
+    if (here.length === 0) return;
+
+    if (hasMoreAfter) {
+      jumpToLatest();
+    } else {
+      pendingScrollRef.current = { type: 'bottom' };
+      setMessages(prev => [...prev, ...here.filter(message => !prev.some(msg => msg._id === message._id))]);
+    }
+  };
+
+  const applyPollVotes = (messageId, { poll, myVotes }) => {
+    setMessages(prev => prev.map(msg => (msg._id === messageId ? { ...msg, poll } : msg)));
+    setPollVotes(prev => ({ ...prev, [messageId]: myVotes }));
+  };
+
+  const votePoll = async (messageId, optionIds) => {
+    try {
+      const response = await axios.post(`/api/messages/${messageId}/vote`, { optionIds });
+      applyPollVotes(messageId, response.data);
+    } catch (error) {
+      console.error('Error voting in poll:', error);
+      toast.error(error.response?.data?.message || 'Failed to vote');
+    }
+  };
+
+  // optionId null takes back every vote (single-choice polls)
+  const unvotePoll = async (messageId, optionId) => {
+    try {
+      const response = await axios.delete(`/api/messages/${messageId}/vote`, {
+        params: optionId ? { optionId } : {}
+      });
+      applyPollVotes(messageId, response.data);
+    } catch (error) {
+      console.error('Error removing poll vote:', error);
+      toast.error(error.response?.data?.message || 'Failed to remove vote');
+    }
+  };
+
+  const closePoll = async (messageId) => {
+    try {
+      const response = await axios.post(`/api/messages/${messageId}/close-poll`);
+      setMessages(prev => prev.map(msg => (msg._id === messageId ? { ...msg, poll: response.data.poll } : msg)));
+    } catch (error) {
+      console.error('Error closing poll:', error);
+      toast.error(error.response?.data?.message || 'Failed to close poll');
+    }
+  };
+
+  // Scroll to a pinned message if it's loaded, otherwise load history around it
+  const jumpToMessage = (messageId) => {
+    const element = document.getElementById(`message-${messageId}`);
+    if (element) {
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    } else {
+      navigate(`${isGroup ? `/groups/${conversationId}` : `/chat/${userId}`}?message=${messageId}`);
+    }
+  };
+
+  const openThread = (messageId) => {
+    setThreadRootId(messageId);
+    setSidePanel('thread');
+  };
+
+  const closeContextMenu = useCallback(() => setContextMenuMessageId(null), []);
+
+  const changeDraft = (value) => {
+    setNewMessage(value);
+    if (isGroup || editingMessage) return;
+    if (value.trim()) {
       startTyping(userId);
     } else {
       stopTyping(userId);
     }
   };
 
+  // Suggestions only while the text at the query's position still reads @query
+  const mentionCandidates = mentionQuery &&
+    newMessage.slice(mentionQuery.start, mentionQuery.start + mentionQuery.query.length + 1).toLowerCase() === `@${mentionQuery.query}`
+    ? findMentionCandidates(chatPeople.filter(person => person._id !== user._id), mentionQuery.query)
+    : [];
+
+  // Follow the caret so suggestions show while an @mention is being typed
+  const updateMentionQuery = (e) => {
+    const { value, selectionStart, selectionEnd } = e.target;
+    const query = selectionStart === selectionEnd && !isInsideCodeFence(value.slice(0, selectionStart))
+      ? getMentionQuery(value, selectionStart)
+      : null;
+
+    if (query?.query !== mentionQuery?.query) {
+      setMentionIndex(0);
+    }
+    setMentionQuery(query);
+  };
+
+  const insertMention = (person) => {
+    const input = composerRef.current;
+    const mention = `@${person.username} `;
+    const caret = mentionQuery.start + mention.length;
+
+    changeDraft(`${newMessage.slice(0, mentionQuery.start)}${mention}${newMessage.slice(input.selectionStart)}`);
+    setMentionQuery(null);
+    requestAnimationFrame(() => {
+      input.focus();
+      input.setSelectionRange(caret, caret);
+    });
+  };
+
+  const handleComposerKeyDown = (e) => {
+    if (mentionCandidates.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setMentionIndex(prev => (prev + step + mentionCandidates.length) % mentionCandidates.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        insertMention(mentionCandidates[Math.min(mentionIndex, mentionCandidates.length - 1)]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setMentionQuery(null);
+        return;
+      }
+    }
+
+    const key = e.key.toLowerCase();
+    if ((e.ctrlKey || e.metaKey) && (key === 'b' || key === 'i')) {
+      e.preventDefault();
+      formatInput(e.target, newMessage, changeDraft, key === 'b' ? 'bold' : 'italic');
+      return;
+    }
+
+    // Enter sends; Shift+Enter, or Enter inside an open code block, starts a new line
+    if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing &&
+        !isInsideCodeFence(newMessage.slice(0, e.target.selectionStart))) {
+      handleSendMessage(e);
+    }
+  };
+
+  const jumpToLatest = () => {
+    navigate(isGroup ? `/groups/${conversationId}` : `/chat/${userId}`, { replace: true });
+  };
+
+  const toggleSidePanel = (panel) => {
+    setSidePanel(prev => (prev === panel ? null : panel));
+  };
+
   const handleVideoCall = () => {
     startCall(userId, 'video');
   };
@@ -148,7 +1163,7 @@ const Chat = () => {
     });
   };
 
-  const isTyping = typingUsers.has(userId);
+  const isTyping = !isGroup && typingUsers.has(userId);
 
   if (loading) {
     return (
@@ -166,15 +1181,15 @@ const Chat = () => {
     );
   }
 
-  if (!otherUser) {
+  if (isGroup ? !conversation : !otherUser) {
     return (
       <>
         <Helmet>
-          <title>User Not Found - Yapper</title>
+          <title>{isGroup ? 'Group' : 'User'} Not Found - Yapper</title>
         </Helmet>
         <div className="flex items-center justify-center h-screen">
           <div className="text-center">
-            <p className="text-gray-500 mb-4">User not found</p>
+            <p className="text-gray-500 mb-4">{isGroup ? 'Group' : 'User'} not found</p>
             <button
               onClick={() => navigate('/dashboard')}
               className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700"
@@ -190,120 +1205,487 @@ const Chat = () => {
   return (
     <>
       <Helmet>
-        <title>Chat with {otherUser?.fullName || 'User'} - Yapper</title>
+        <title>{isGroup ? conversation.name : `Chat with ${getDisplayName(otherUser)}`} - Yapper</title>
       </Helmet>
 
-      <div className="flex flex-col h-screen bg-gray-50">
-        {/* Header */}
-        <div className="bg-white border-b border-gray-200 px-4 py-3">
-          <div className="flex items-center justify-between">
-            <div className="flex items-center space-x-3">
-              <button
-                onClick={() => navigate('/dashboard')}
-                className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
-              >
-                <FiArrowLeft size={20} />
-              </button>
+      <div className="flex h-screen bg-gray-50">
+        <div className="flex-1 flex flex-col">
+          {/* Header */}
+          <div className="bg-white border-b border-gray-200 px-4 py-3">
+            <div className="flex items-center justify-between">
               <div className="flex items-center space-x-3">
-                <img
-                  src={otherUser.avatar || '/default-avatar.png'}
-                  alt={otherUser.fullName}
-                  className="w-10 h-10 rounded-full object-cover"
-                />
-                <div>
-                  <h2 className="font-semibold text-gray-900">{otherUser.fullName}</h2>
-                  <p className="text-sm text-gray-500">
-                    {otherUser.status === 'online' ? 'Online' : 'Offline'}
-                  </p>
-                </div>
+                <button
+                  onClick={() => navigate('/dashboard')}
+                  className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
+                >
+                  <FiArrowLeft size={20} />
+                </button>
+                {isGroup ? (
+                  <button
+                    onClick={() => toggleSidePanel('members')}
+                    className="flex items-center space-x-3 text-left"
+                  >
+                    <div className="w-10 h-10 rounded-full bg-primary-100 flex items-center justify-center">
+                      <FiUsers size={18} className="text-primary-600" />
+                    </div>
+                    <div>
+                      <h2 className="font-semibold text-gray-900">{conversation.name}</h2>
+                      <p className="text-sm text-gray-500 truncate max-w-xs">
+                        {conversation.members.map(member => member.user.firstName).join(', ')}
+                      </p>
+                    </div>
+                  </button>
+                ) : (
+                  <div className="flex items-center space-x-3">
+                    <img
+                      src={getAvatar(otherUser)}
+                      alt={getDisplayName(otherUser)}
+                      className="w-10 h-10 rounded-full object-cover"
+                    />
+                    <div>
+                      <h2 className="font-semibold text-gray-900">{getDisplayName(otherUser)}</h2>
+                      <p className="text-sm text-gray-500">
+                        {otherUser.status === 'online' ? 'Online' : 'Offline'}
+                      </p>
+                    </div>
+                  </div>
+                )}
+              </div>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => toggleSidePanel('search')}
+                  className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
+                  title="Search messages"
+                >
+                  <FiSearch size={20} />
+                </button>
+                {isGroup ? (
+                  <button
+                    onClick={() => toggleSidePanel('members')}
+                    className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
+                    title="Members"
+                  >
+                    <FiUsers size={20} />
+                  </button>
+                ) : (
+                  <button
+                    onClick={handleVideoCall}
+                    className="p-2 text-gray-500 hover:text-primary-600 hover:bg-primary-50 rounded-lg"
+                    title="Video call"
+                  >
+                    <FiPhone size={20} />
+                  </button>
+                )}
+                {chatConversation && (
+                  <DisappearingTimerMenu
+                    value={chatConversation.disappearingTimer}
+                    canChange={canChangeTimer}
+                    onChange={changeDisappearingTimer}
+                  />
+                )}
+                <button className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg">
+                  <FiMoreVertical size={20} />
+                </button>
               </div>
-            </div>
-            <div className="flex items-center space-x-2">
-              <button
-                onClick={handleVideoCall}
-                className="p-2 text-gray-500 hover:text-primary-600 hover:bg-primary-50 rounded-lg"
-                title="Video call"
-              >
-                <FiPhone size={20} />
-              </button>
-              <button className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg">
-                <FiMoreVertical size={20} />
-              </button>
             </div>
           </div>
-        </div>
 
-        {/* Messages */}
-        <div className="flex-1 overflow-y-auto p-4 space-y-4">
-          {messages.map((message) => (
-            <div
-              key={message._id}
-              className={`flex ${message.sender._id === user._id ? 'justify-end' : 'justify-start'}`}
-            >
-              <div className={`max-w-xs lg:max-w-md ${message.sender._id === user._id ? 'message-sent' : 'message-received'}`}>
-                <div className="message-bubble">
-                  <p className="text-sm">{message.content}</p>
-                  <p className="text-xs opacity-70 mt-1">
-                    {formatTime(message.createdAt)}
-                    {message.sender._id === user._id && (
-                      <span className="ml-2">
-                        {message.isRead ? '✓✓' : '✓'}
-                      </span>
+          <PinnedBanner pins={pins} onJump={jumpToMessage} onUnpin={togglePin} />
+
+          {/* Messages */}
+          <div
+            ref={messagesContainerRef}
+            onScroll={handleMessagesScroll}
+            className="flex-1 overflow-y-auto p-4 space-y-4"
+          >
+            {loadingOlder && (
+              <div className="flex justify-center">
+                <div className="loading-spinner"></div>
+              </div>
+            )}
+
+            {messages.map((message, index) => {
+              // Announcements such as timer changes sit in the middle of the chat
+              if (message.messageType === 'system') {
+                return (
+                  <div key={message._id} id={`message-${message._id}`} className="flex justify-center">
+                    <p className="px-3 py-1 bg-gray-100 rounded-full text-xs text-gray-500 text-center">
+                      {unescapeContent(message.content)}
+                    </p>
+                  </div>
+                );
+              }
+
+              const isOwn = message.sender._id === user._id;
+              // In groups, show who sent each run of messages
+              const previous = messages[index - 1];
+              const showSender = isGroup && !isOwn &&
+                (previous?.sender._id !== message.sender._id || previous?.messageType === 'system');
+
+              return (
+                <div
+                  key={message._id}
+                  id={`message-${message._id}`}
+                  className={`flex items-end ${isOwn ? 'justify-end' : 'justify-start'}`}
+                >
+                  {isGroup && !isOwn && (
+                    <div className="w-8 mr-2 flex-shrink-0">
+                      {showSender && (
+                        <img
+                          src={getAvatar(message.sender)}
+                          alt={getDisplayName(message.sender)}
+                          className="w-8 h-8 rounded-full object-cover"
+                        />
+                      )}
+                    </div>
+                  )}
+                  <div
+                    onContextMenu={(e) => {
+                      e.preventDefault();
+                      setContextMenuMessageId(message._id);
+                    }}
+                    className={`group relative max-w-xs lg:max-w-md rounded-lg ${isOwn ? 'message-sent' : 'message-received'} ${
+                      message._id === focusMessageId ? 'ring-2 ring-yellow-400' : ''
+                    }`}
+                  >
+                    <button
+                      onClick={() => setContextMenuMessageId(message._id)}
+                      className={`absolute top-1 ${isOwn ? 'left-1' : 'right-1'} p-0.5 rounded opacity-0 group-hover:opacity-100 focus:opacity-100`}
+                      title="Message actions"
+                    >
+                      <FiChevronDown size={14} />
+                    </button>
+                    {contextMenuMessageId === message._id && (
+                      <MessageContextMenu
+                        message={message}
+                        isOwn={isOwn}
+                        isPinned={isPinned(message._id)}
+                        isStarred={starredIds.has(message._id)}
+                        onReact={(emoji) => handleReact(message, emoji)}
+                        onReplyInThread={() => openThread(message._id)}
+                        onTogglePin={() => togglePin(message._id)}
+                        onToggleStar={() => toggleStar(message._id)}
+                        onEdit={() => startEditing(message)}
+                        onForward={() => setForwardingMessage(message)}
+                        onDelete={() => handleDeleteMessage(message)}
+                        onDeleteForEveryone={() => handleDeleteMessage(message, true)}
+                        onClose={closeContextMenu}
+                      />
                     )}
-                  </p>
+                    <div className="message-bubble">
+                      {showSender && (
+                        <p className="text-xs font-semibold text-primary-700 mb-1">
+                          {getDisplayName(message.sender)}
+                        </p>
+                      )}
+                      {message.forwarded && !message.deletedForEveryone && (
+                        <p className="flex items-center text-xs italic opacity-70 mb-1">
+                          <FiCornerUpRight size={12} className="mr-1" />
+                          {message.forwardCount >= FREQUENTLY_FORWARDED_COUNT ? 'Forwarded many times' : 'Forwarded'}
+                        </p>
+                      )}
+                      {message.messageType === 'poll' && message.poll && !message.deletedForEveryone ? (
+                        <PollMessage
+                          poll={message.poll}
+                          myVotes={pollVotes[message._id]}
+                          people={chatPeople}
+                          canClose={isOwn}
+                          onVote={(optionIds) => votePoll(message._id, optionIds)}
+                          onUnvote={(optionId) => unvotePoll(message._id, optionId)}
+                          onClosePoll={() => closePoll(message._id)}
+                        />
+                      ) : message.messageType === 'audio' && message.fileUrl && !message.deletedForEveryone ? (
+                        <VoiceNotePlayer
+                          src={message.fileUrl}
+                          duration={message.voiceNote?.duration}
+                          waveform={message.voiceNote?.waveform}
+                        />
+                      ) : ['image', 'video'].includes(message.messageType) && message.fileUrl && !message.deletedForEveryone ? (
+                        <MediaAttachment message={message} />
+                      ) : message.messageType === 'location' && message.location && !message.deletedForEveryone ? (
+                        <LocationMessage
+                          location={message.location}
+                          isOwn={isOwn}
+                          onStop={() => stopLiveLocation(message._id)}
+                        />
+                      ) : message.deletedForEveryone ? (
+                        <p className="text-sm italic opacity-70">{message.content}</p>
+                      ) : (
+                        <>
+                          <FormattedMessage content={message.content} people={chatPeople} ownUserId={user._id} />
+                          {message.linkPreview && <LinkPreviewCard preview={message.linkPreview} />}
+                        </>
+                      )}
+                      <p className="text-xs opacity-70 mt-1">
+                        {starredIds.has(message._id) && (
+                          <FiStar size={10} className="inline mr-1 fill-current" title="Starred" />
+                        )}
+                        {message.expiresAt && (
+                          <FiWatch size={10} className="inline mr-1" title="Disappearing message" />
+                        )}
+                        {formatTime(message.createdAt)}
+                        {message.isEdited && !message.deletedForEveryone && (
+                          <button
+                            onClick={() => setHistoryMessageId(message._id)}
+                            className="ml-1 hover:underline"
+                            title="View edit history"
+                          >
+                            · edited
+                          </button>
+                        )}
+                        {isOwn && (
+                          <MessageStatus
+                            status={getMessageStatus(message, isGroup ? conversation : null, user._id)}
+                          />
+                        )}
+                      </p>
+                      <MessageReactions
+                        reactions={message.reactions}
+                        currentUserId={user._id}
+                        onToggle={(emoji) => handleReact(message, emoji)}
+                      />
+                      {message.threadReplyCount > 0 && (
+                        <button
+                          onClick={() => openThread(message._id)}
+                          className="flex items-center mt-1 text-xs font-medium hover:underline"
+                        >
+                          <FiMessageSquare size={12} className="mr-1" />
+                          {message.threadReplyCount === 1 ? '1 reply' : `${message.threadReplyCount} replies`}
+                          {message.threadLastReplyAt && (
+                            <span className="ml-1 font-normal opacity-70">
+                              · {formatTime(message.threadLastReplyAt)}
+                            </span>
+                          )}
+                        </button>
+                      )}
+                    </div>
+                  </div>
                 </div>
-              </div>
-            </div>
-          ))}
+              );
+            })}
+
+            {outboxMessages.map(entry => (
+              <OutboxMessage
+                key={entry.clientMessageId}
+                entry={entry}
+                onRetry={retryMessage}
+                onDiscard={discardMessage}
+              />
+            ))}
           
-          {isTyping && (
-            <div className="flex justify-start">
-              <div className="bg-gray-200 rounded-lg px-4 py-2">
-                <div className="typing-indicator">
-                  <div className="typing-dot"></div>
-                  <div className="typing-dot"></div>
-                  <div className="typing-dot"></div>
+            {isTyping && (
+              <div className="flex justify-start">
+                <div className="bg-gray-200 rounded-lg px-4 py-2">
+                  <div className="typing-indicator">
+                    <div className="typing-dot"></div>
+                    <div className="typing-dot"></div>
+                    <div className="typing-dot"></div>
+                  </div>
                 </div>
               </div>
+            )}
+          
+            <div ref={messagesEndRef} />
+          </div>
+
+          {hasMoreAfter && (
+            <div className="flex justify-center -mt-12 mb-2 relative">
+              <button
+                onClick={jumpToLatest}
+                className="flex items-center space-x-1 px-3 py-1 bg-white border border-gray-200 rounded-full shadow text-sm text-gray-700 hover:bg-gray-50"
+              >
+                <FiChevronsDown size={14} />
+                <span>Jump to latest</span>
+              </button>
             </div>
           )}
-          
-          <div ref={messagesEndRef} />
+
+          <ScheduledMessagesBar
+            scheduledMessages={scheduledMessages}
+            onUpdate={updateScheduledMessage}
+            onCancel={cancelScheduledMessage}
+          />
+
+          {/* Message Input */}
+          <div className="bg-white border-t border-gray-200 p-4">
+            {editingMessage && (
+              <div className="flex items-center justify-between mb-2 px-3 py-2 bg-primary-50 rounded-lg text-sm text-primary-700">
+                <span className="flex items-center min-w-0">
+                  <FiEdit2 size={14} className="mr-2 flex-shrink-0" />
+                  <span className="truncate">Editing: {toPlainText(editingMessage.content)}</span>
+                </span>
+                <button
+                  type="button"
+                  onClick={cancelEditing}
+                  className="p-1 hover:bg-primary-100 rounded"
+                  title="Cancel editing"
+                >
+                  <FiX size={14} />
+                </button>
+              </div>
+            )}
+            {recordingVoiceNote ? (
+              <VoiceRecorder onSend={sendVoiceNote} onCancel={() => setRecordingVoiceNote(false)} />
+            ) : (
+              <>
+                <FormattingToolbar
+                  inputRef={composerRef}
+                  value={newMessage}
+                  onChange={changeDraft}
+                  preview={showPreview}
+                  onTogglePreview={() => setShowPreview(prev => !prev)}
+                />
+                {showPreview && newMessage.trim() && (
+                  <div className="mb-2 px-3 py-2 max-h-48 overflow-y-auto border border-gray-200 rounded-lg bg-gray-50 text-gray-800">
+                    <FormattedMessage content={newMessage} />
+                  </div>
+                )}
+                <form onSubmit={handleSendMessage} className="flex items-end space-x-2">
+                  <button
+                    type="button"
+                    className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
+                  >
+                    <FiPaperclip size={20} />
+                  </button>
+                  <button
+                    type="button"
+                    className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
+                  >
+                    <FiSmile size={20} />
+                  </button>
+                  {!editingMessage && (
+                    <button
+                      type="button"
+                      onClick={() => setShowPollComposer(true)}
+                      className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
+                      title="Create poll"
+                    >
+                      <FiBarChart2 size={20} />
+                    </button>
+                  )}
+                  {!editingMessage && (
+                    <button
+                      type="button"
+                      onClick={() => setShowLocationDialog(true)}
+                      className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
+                      title="Share location"
+                    >
+                      <FiMapPin size={20} />
+                    </button>
+                  )}
+                  <div className="relative flex-1">
+                    {mentionCandidates.length > 0 && (
+                      <MentionSuggestions
+                        candidates={mentionCandidates}
+                        activeIndex={Math.min(mentionIndex, mentionCandidates.length - 1)}
+                        onSelect={insertMention}
+                      />
+                    )}
+                    <textarea
+                      ref={composerRef}
+                      value={newMessage}
+                      onChange={(e) => changeDraft(e.target.value)}
+                      onSelect={updateMentionQuery}
+                      onKeyDown={handleComposerKeyDown}
+                      rows={Math.min(newMessage.split('\n').length, 6)}
+                      placeholder="Type a message..."
+                      className="block w-full px-3 py-2 border border-gray-300 rounded-lg resize-none focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    />
+                  </div>
+                  {!editingMessage && (
+                    <div className="relative">
+                      <button
+                        type="button"
+                        onClick={() => setShowScheduleMenu(prev => !prev)}
+                        disabled={!newMessage.trim()}
+                        className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+                        title="Schedule send"
+                      >
+                        <FiClock size={20} />
+                      </button>
+                      {showScheduleMenu && (
+                        <ScheduleSendMenu onSchedule={scheduleMessage} onClose={closeScheduleMenu} />
+                      )}
+                    </div>
+                  )}
+                  {!editingMessage && !newMessage.trim() && isRecordingSupported() ? (
+                    <button
+                      type="button"
+                      onClick={() => setRecordingVoiceNote(true)}
+                      className="p-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700"
+                      title="Record voice note"
+                    >
+                      <FiMic size={20} />
+                    </button>
+                  ) : (
+                    <button
+                      type="submit"
+                      disabled={!newMessage.trim()}
+                      className="p-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <FiSend size={20} />
+                    </button>
+                  )}
+                </form>
+              </>
+            )}
+          </div>
         </div>
 
-        {/* Message Input */}
-        <div className="bg-white border-t border-gray-200 p-4">
-          <form onSubmit={handleSendMessage} className="flex items-center space-x-2">
-            <button
-              type="button"
-              className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
-            >
-              <FiPaperclip size={20} />
-            </button>
-            <button
-              type="button"
-              className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
-            >
-              <FiSmile size={20} />
-            </button>
-            <input
-              type="text"
-              value={newMessage}
-              onChange={handleTyping}
-              placeholder="Type a message..."
-              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-              disabled={sending}
+        {isGroup && sidePanel === 'members' && (
+          <GroupMembersPanel
+            conversation={conversation}
+            currentUserId={user._id}
+            onClose={() => setSidePanel(null)}
+            onUpdated={setConversation}
+            onLeft={() => navigate('/dashboard')}
+          />
+        )}
+
+        {sidePanel === 'search' && (
+          <div className="w-80 border-l border-gray-200">
+            <MessageSearch
+              scope={isGroup ? { conversationId } : { userId }}
+              people={chatPeople}
+              onClose={() => setSidePanel(null)}
             />
-            <button
-              type="submit"
-              disabled={!newMessage.trim() || sending}
-              className="p-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              <FiSend size={20} />
-            </button>
-          </form>
-        </div>
+          </div>
+        )}
+
+        {sidePanel === 'thread' && threadRootId && (
+          <ThreadPanel
+            key={threadRootId}
+            rootId={threadRootId}
+            target={isGroup ? { conversationId } : { receiverId: userId }}
+            people={chatPeople}
+            ownUserId={user._id}
+            onClose={() => setSidePanel(null)}
+          />
+        )}
       </div>
+
+      {historyMessageId && (
+        <EditHistoryModal
+          messageId={historyMessageId}
+          onClose={() => setHistoryMessageId(null)}
+        />
+      )}
+
+      {showPollComposer && (
+        <PollComposer onSubmit={sendPoll} onClose={() => setShowPollComposer(false)} />
+      )}
+
+      {showLocationDialog && (
+        <LocationShareDialog onSubmit={sendLocation} onClose={() => setShowLocationDialog(false)} />
+      )}
+
+      {forwardingMessage && (
+        <ForwardDialog
+          message={forwardingMessage}
+          onClose={() => setForwardingMessage(null)}
+          onForwarded={handleForwarded}
+        />
+      )}
     </>
   );
 };
@@ -1,9 +1,10 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
 import { useAuth } from '../contexts/AuthContext';
 import { useSocket } from '../contexts/SocketContext';
 import axios from 'axios';
+import { format, isToday } from 'date-fns';
 import { 
   FiSearch, 
   FiMessageCircle, 
@@ -11,8 +12,22 @@ import {
   FiLogOut, 
   FiSettings,
   FiPlus,
-  FiMoreVertical
+  FiMoreVertical,
+  FiUsers,
+  FiFileText,
+  FiStar,
+  FiAtSign
 } from 'react-icons/fi';
+import CreateGroupModal from '../components/CreateGroupModal';
+import MessageSearch from '../components/MessageSearch';
+import SavedMessages from '../components/SavedMessages';
+import MentionsFeed from '../components/MentionsFeed';
+import { getDisplayName, getAvatar } from '../utils/users';
+import { toPlainText } from '../utils/markdown';
+
+// Inbox entries are keyed by the other user for direct chats and by conversation for groups
+const conversationKey = (conversation) =>
+  conversation.type === 'group' ? conversation.conversationId : conversation.user._id;
 
 const Dashboard = () => {
   const { user, logout } = useAuth();
@@ -25,10 +40,104 @@ const Dashboard = () => {
   const [loading, setLoading] = useState(true);
   const [selectedFriend, setSelectedFriend] = useState(null);
   const [openDropdown, setOpenDropdown] = useState(null);
+  const [conversations, setConversations] = useState([]);
+  const [showCreateGroup, setShowCreateGroup] = useState(false);
+  const [mainPanel, setMainPanel] = useState(null); // 'search' | 'saved' | 'mentions' | null
+  // Mentions received since the mentions feed was last opened
+  const [newMentionCount, setNewMentionCount] = useState(0);
+
+  const fetchConversations = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/messages/conversations');
+      setConversations(response.data.conversations || []);
+    } catch (error) {
+      console.error('Error fetching conversations:', error);
+    }
+  }, []);
 
   useEffect(() => {
     fetchFriends();
-  }, []);
+    fetchConversations();
+  }, [fetchConversations]);
+
+  // Keep last-message previews and unread badges live
+  useEffect(() => {
+    const handleNewMessage = (event) => {
+      const { message, conversationId, conversationType } = event.detail;
+      const key = conversationType === 'group' ? conversationId : message.sender._id;
+
+      setConversations(prev => {
+        const existing = prev.find(conversation => conversationKey(conversation) === key);
+        if (!existing) {
+          // First message in a new chat: let the server build the entry
+          fetchConversations();
+          return prev;
+        }
+
+        const updated = {
+          ...existing,
+          lastMessage: message,
+          lastMessageAt: message.createdAt,
+          unreadCount: existing.unreadCount + 1
+        };
+        return [updated, ...prev.filter(conversation => conversation !== existing)];
+      });
+    };
+
+    // Only reads by the current user (e.g. in another tab) affect our own badges
+    const handleMessageRead = (event) => {
+      const { readBy, senderId, conversationId, remainingUnread = 0 } = event.detail;
+      if (readBy !== user?._id) return;
+
+      setConversations(prev => prev.map(conversation => {
+        const matches = conversation.type === 'group'
+          ? conversation.conversationId === conversationId
+          : conversation.user._id === senderId;
+        return matches ? { ...conversation, unreadCount: remainingUnread } : conversation;
+      }));
+    };
+
+    const handleConversationUpdated = (event) => {
+      const { conversation } = event.detail;
+      if (conversation.type !== 'group') return;
+
+      const isMember = conversation.members.some(member => member.user._id === user?._id);
+      setConversations(prev => {
+        const existing = prev.find(entry => entry.conversationId === conversation._id);
+        if (!isMember) {
+          return prev.filter(entry => entry !== existing);
+        }
+        if (!existing) {
+          fetchConversations();
+          return prev;
+        }
+        return prev.map(entry => entry === existing
+          ? { ...entry, name: conversation.name, memberCount: conversation.members.length }
+          : entry);
+      });
+    };
+
+    window.addEventListener('new_message', handleNewMessage);
+    window.addEventListener('message_read', handleMessageRead);
+    window.addEventListener('conversation_updated', handleConversationUpdated);
+    // A resync after reconnecting can touch any conversation, so rebuild the inbox
+    window.addEventListener('messages_synced', fetchConversations);
+    return () => {
+      window.removeEventListener('new_message', handleNewMessage);
+      window.removeEventListener('message_read', handleMessageRead);
+      window.removeEventListener('conversation_updated', handleConversationUpdated);
+      window.removeEventListener('messages_synced', fetchConversations);
+    };
+  }, [user?._id, fetchConversations]);
+
+  // Count mentions that arrive while the mentions feed is closed
+  useEffect(() => {
+    if (mainPanel === 'mentions') return;
+
+    const handleMentioned = () => setNewMentionCount(count => count + 1);
+    window.addEventListener('mentioned', handleMentioned);
+    return () => window.removeEventListener('mentioned', handleMentioned);
+  }, [mainPanel]);
 
   // Close dropdown when clicking outside
   useEffect(() => {
@@ -79,6 +188,40 @@ const Dashboard = () => {
     }
   };
 
+  const handleGroupCreated = (conversation) => {
+    setShowCreateGroup(false);
+    navigate(`/groups/${conversation._id}`);
+  };
+
+  const toggleMainPanel = (panel) => {
+    setMainPanel(prev => (prev === panel ? null : panel));
+    if (panel === 'mentions') {
+      setNewMentionCount(0);
+    }
+  };
+
+  const handleConversationClick = (conversation) => {
+    if (conversation.type === 'group') {
+      navigate(`/groups/${conversation.conversationId}`);
+    } else {
+      navigate(`/chat/${conversation.user._id}`);
+    }
+  };
+
+  const formatPreviewTime = (date) => {
+    const value = new Date(date);
+    return isToday(value) ? format(value, 'HH:mm') : format(value, 'MMM d');
+  };
+
+  const getPreviewText = (conversation) => {
+    const { lastMessage } = conversation;
+    if (!lastMessage) return 'No messages yet';
+
+    const text = lastMessage.messageType === 'text' ? toPlainText(lastMessage.content) : `[${lastMessage.messageType}]`;
+    const senderId = lastMessage.sender?._id || lastMessage.sender;
+    return senderId === user?._id ? `You: ${text}` : text;
+  };
+
   const handleLogout = async () => {
     await logout();
     navigate('/login');
@@ -156,6 +299,44 @@ const Dashboard = () => {
                 </div>
               </div>
               <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => toggleMainPanel('search')}
+                  className={`p-2 rounded-lg ${
+                    mainPanel === 'search'
+                      ? 'text-primary-600 bg-primary-50'
+                      : 'text-gray-500 hover:text-gray-700 hover:bg-gray-100'
+                  }`}
+                  title="Search messages"
+                >
+                  <FiFileText size={18} />
+                </button>
+                <button
+                  onClick={() => toggleMainPanel('saved')}
+                  className={`p-2 rounded-lg ${
+                    mainPanel === 'saved'
+                      ? 'text-primary-600 bg-primary-50'
+                      : 'text-gray-500 hover:text-gray-700 hover:bg-gray-100'
+                  }`}
+                  title="Saved messages"
+                >
+                  <FiStar size={18} />
+                </button>
+                <button
+                  onClick={() => toggleMainPanel('mentions')}
+                  className={`relative p-2 rounded-lg ${
+                    mainPanel === 'mentions'
+                      ? 'text-primary-600 bg-primary-50'
+                      : 'text-gray-500 hover:text-gray-700 hover:bg-gray-100'
+                  }`}
+                  title="Mentions"
+                >
+                  <FiAtSign size={18} />
+                  {newMentionCount > 0 && (
+                    <span className="absolute -top-0.5 -right-0.5 min-w-[1rem] h-4 px-1 rounded-full bg-primary-600 text-white text-[10px] font-medium flex items-center justify-center">
+                      {newMentionCount}
+                    </span>
+                  )}
+                </button>
                 <button
                   onClick={() => navigate('/profile')}
                   className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
@@ -189,6 +370,65 @@ const Dashboard = () => {
           {/* Friends List */}
           <div className="flex-1 overflow-y-auto">
             <div className="p-4">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-gray-900">Chats</h3>
+                <button
+                  onClick={() => setShowCreateGroup(true)}
+                  className="p-2 text-primary-600 hover:bg-primary-50 rounded-lg"
+                  title="New group"
+                >
+                  <FiUsers size={18} />
+                </button>
+              </div>
+
+              {conversations.length === 0 ? (
+                <p className="text-sm text-gray-500 text-center py-4">No conversations yet</p>
+              ) : (
+                <div className="space-y-2 mb-6">
+                  {conversations.map((conversation) => (
+                    <div
+                      key={conversationKey(conversation)}
+                      className="p-3 rounded-lg cursor-pointer transition-colors hover:bg-gray-50"
+                      onClick={() => handleConversationClick(conversation)}
+                    >
+                      <div className="flex items-center space-x-3">
+                        {conversation.type === 'group' ? (
+                          <div className="w-10 h-10 flex-shrink-0 rounded-full bg-primary-100 flex items-center justify-center">
+                            <FiUsers size={18} className="text-primary-600" />
+                          </div>
+                        ) : (
+                          <img
+                            src={getAvatar(conversation.user)}
+                            alt={getDisplayName(conversation.user)}
+                            className="w-10 h-10 flex-shrink-0 rounded-full object-cover"
+                          />
+                        )}
+                        <div className="flex-1 min-w-0">
+                          <div className="flex items-center justify-between">
+                            <h4 className="font-medium text-gray-900 truncate">
+                              {conversation.type === 'group' ? conversation.name : getDisplayName(conversation.user)}
+                            </h4>
+                            <span className="text-xs text-gray-400 ml-2 flex-shrink-0">
+                              {formatPreviewTime(conversation.lastMessageAt)}
+                            </span>
+                          </div>
+                          <div className="flex items-center justify-between">
+                            <p className={`text-sm truncate ${conversation.unreadCount > 0 ? 'text-gray-900 font-medium' : 'text-gray-500'}`}>
+                              {getPreviewText(conversation)}
+                            </p>
+                            {conversation.unreadCount > 0 && (
+                              <span className="ml-2 flex-shrink-0 min-w-[1.25rem] h-5 px-1.5 rounded-full bg-primary-600 text-white text-xs font-medium flex items-center justify-center">
+                                {conversation.unreadCount > 99 ? '99+' : conversation.unreadCount}
+                              </span>
+                            )}
+                          </div>
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
               <div className="flex items-center justify-between mb-4">
                 <h3 className="text-lg font-semibold text-gray-900">Friends</h3>
                 <div className="flex items-center space-x-2">
@@ -293,26 +533,51 @@ const Dashboard = () => {
         </div>
 
         {/* Main Content */}
-        <div className="flex-1 flex items-center justify-center">
-          <div className="text-center">
-            <div className="w-24 h-24 bg-primary-100 rounded-full flex items-center justify-center mx-auto mb-4">
-              <FiMessageCircle size={32} className="text-primary-600" />
+        {mainPanel === 'search' ? (
+          <div className="flex-1">
+            <MessageSearch
+              people={user ? [user, ...friends] : friends}
+              onClose={() => setMainPanel(null)}
+            />
+          </div>
+        ) : mainPanel === 'saved' ? (
+          <div className="flex-1">
+            <SavedMessages onClose={() => setMainPanel(null)} />
+          </div>
+        ) : mainPanel === 'mentions' ? (
+          <div className="flex-1">
+            <MentionsFeed onClose={() => setMainPanel(null)} />
+          </div>
+        ) : (
+          <div className="flex-1 flex items-center justify-center">
+            <div className="text-center">
+              <div className="w-24 h-24 bg-primary-100 rounded-full flex items-center justify-center mx-auto mb-4">
+                <FiMessageCircle size={32} className="text-primary-600" />
+              </div>
+              <h3 className="text-xl font-semibold text-gray-900 mb-2">
+                Welcome to Yapper
+              </h3>
+              <p className="text-gray-500 mb-6">
+                Select a friend from the sidebar to start chatting
+              </p>
+              <button
+                onClick={() => navigate('/friends/add')}
+                className="btn-primary"
+              >
+                Add Friends
+              </button>
             </div>
-            <h3 className="text-xl font-semibold text-gray-900 mb-2">
-              Welcome to Yapper
-            </h3>
-            <p className="text-gray-500 mb-6">
-              Select a friend from the sidebar to start chatting
-            </p>
-            <button
-              onClick={() => navigate('/friends/add')}
-              className="btn-primary"
-            >
-              Add Friends
-            </button>
           </div>
-        </div>
+        )}
       </div>
+
+      {showCreateGroup && (
+        <CreateGroupModal
+          friends={friends}
+          onClose={() => setShowCreateGroup(false)}
+          onCreated={handleGroupCreated}
+        />
+      )}
     </>
   );
 };
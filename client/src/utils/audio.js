@@ -0,0 +1,67 @@
+// Helpers for recording and showing voice notes
+
+export const MAX_RECORDING_SECONDS = 10 * 60;
+const WAVEFORM_BARS = 64;
+// Opus where the browser records it, AAC in mp4 on Safari
+const RECORDING_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4', 'audio/webm'];
+const EXTENSIONS = { 'audio/webm': '.webm', 'audio/ogg': '.ogg', 'audio/mp4': '.m4a' };
+
+export const isRecordingSupported = () => (
+  !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia && window.MediaRecorder)
+);
+
+// The first recording format this browser supports, or '' to let it choose
+export const pickRecordingType = () => (
+  RECORDING_TYPES.find(type => window.MediaRecorder.isTypeSupported(type)) || ''
+);
+
+// File name for uploading a recording of the given MIME type
+export const recordingFileName = (mimeType) => `voice-note${EXTENSIONS[mimeType.split(';')[0]] || '.webm'}`;
+
+// m:ss, or h:mm:ss for an hour or more
+export const formatDuration = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const minutes = Math.floor(total / 60) % 60;
+  const hours = Math.floor(total / 3600);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+// The peak loudness of each slice of a decoded recording, scaled so the loudest bar is 100
+export const computeWaveform = (audioBuffer, bars = WAVEFORM_BARS) => {
+  const samples = audioBuffer.getChannelData(0);
+  const sliceSize = Math.max(1, Math.floor(samples.length / bars));
+  const peaks = [];
+
+  for (let bar = 0; bar < bars; bar++) {
+    const end = Math.min(samples.length, (bar + 1) * sliceSize);
+    let peak = 0;
+    for (let index = bar * sliceSize; index < end; index++) {
+      peak = Math.max(peak, Math.abs(samples[index]));
+    }
+    peaks.push(peak);
+  }
+
+  const loudest = Math.max(...peaks) || 1;
+  return peaks.map(peak => Math.round((peak / loudest) * 100));
+};
+
+// Measure a finished recording: { duration, waveform }. Where the browser can't decode what it
+// recorded, the recorder's own clock gives the duration and the waveform is left empty.
+export const analyseRecording = async (blob, recordedSeconds) => {
+  const fallback = { duration: recordedSeconds, waveform: [] };
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return fallback;
+
+  const context = new AudioContextClass();
+  try {
+    const audioBuffer = await context.decodeAudioData(await blob.arrayBuffer());
+    if (!(audioBuffer.duration > 0)) return fallback;
+    return { duration: audioBuffer.duration, waveform: computeWaveform(audioBuffer) };
+  } catch (error) {
+    console.error('Error analysing recording:', error);
+    return fallback;
+  } finally {
+    context.close();
+  }
+};
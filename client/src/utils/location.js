@@ -0,0 +1,26 @@
+// Helpers for showing shared locations without loading any map tiles
+
+// Roughly how many metres one degree covers, north-south and (at the equator) east-west
+const METRES_PER_DEGREE_LAT = 110540;
+const METRES_PER_DEGREE_LNG = 111320;
+
+// 51.50735° N, 0.12776° W
+export const formatCoordinates = (lat, lng) => (
+  `${Math.abs(lat).toFixed(5)}° ${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lng).toFixed(5)}° ${lng >= 0 ? 'E' : 'W'}`
+);
+
+// Link to the place on OpenStreetMap, for opening in a full map when online
+export const mapLink = (lat, lng) => (
+  `https://www.openstreetmap.org/?mlat=${lat}&mlon=${lng}#map=16/${lat}/${lng}`
+);
+
+// Position in metres east and north of 0°, 0°, close enough to lay a local grid over
+export const toMetres = (lat, lng) => ({
+  x: lng * METRES_PER_DEGREE_LNG * Math.cos((lat * Math.PI) / 180),
+  y: lat * METRES_PER_DEGREE_LAT
+});
+
+// Whether a live location is still being shared
+export const isLive = (location, now = Date.now()) => (
+  !!location?.liveUntil && new Date(location.liveUntil).getTime() > now
+);
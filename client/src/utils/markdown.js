@@ -0,0 +1,248 @@
+// The markdown subset messages support: **bold**, _italic_ (or *italic*), ~~strikethrough~~,
+// `inline code`, ``` fenced code blocks ```, > block quotes, - and 1. lists, bare URLs and @mentions.
+// Parsing produces plain objects that components render as React elements, so message
+// text is never turned into HTML.
+
+// The server stores message text with &, < and > escaped outside code (these are the code
+// segments it sees), so text is unescaped the same way before it is parsed or edited
+const CODE_SEGMENTS = /(```[\s\S]*?(?:```|$)|`[^`\n]+`)/g;
+const ESCAPED_CHARACTERS = /&(amp|lt|gt);/g;
+const CHARACTERS = { amp: '&', lt: '<', gt: '>' };
+
+// Message text as it was written, from the escaped text the server sends
+export const unescapeContent = (text) => (text || '')
+  .split(CODE_SEGMENTS)
+  .map((segment, index) => (
+    index % 2 === 1 ? segment : segment.replace(ESCAPED_CHARACTERS, (entity, name) => CHARACTERS[name])
+  ))
+  .join('');
+
+const FENCE_OPEN = /^```\s*([\w+#.-]*)\s*$/;
+const FENCE_CLOSE = /^```\s*$/;
+const QUOTE_LINE = /^>\s?(.*)$/;
+const UNORDERED_ITEM = /^\s*[-*+]\s+(.*)$/;
+const ORDERED_ITEM = /^\s*(\d{1,9})[.)]\s+(.*)$/;
+
+// Earliest match wins; on a tie the rule listed first does
+const INLINE_RULES = [
+  { type: 'code', pattern: /(`+)(.+?)\1(?!`)/ },
+  { type: 'bold', pattern: /\*\*(\S(?:.*?\S)??)\*\*/ },
+  { type: 'bold', pattern: /(^|\W)__(\S(?:.*?\S)??)__(?!\w)/, lead: true },
+  { type: 'strike', pattern: /~~(\S(?:.*?\S)??)~~/ },
+  // Markers inside words (snake_case, 2*3*4) are left alone
+  { type: 'italic', pattern: /(^|[^\w*])\*(\S(?:.*?\S)??)\*(?![\w*])/, lead: true },
+  { type: 'italic', pattern: /(^|\W)_(\S(?:.*?\S)??)_(?!\w)/, lead: true },
+  { type: 'link', pattern: /\b(?:https?:\/\/|www\.)[^\s<>"]+/i },
+  // Same shape the server looks for: not after a word (emails), trailing dots left out
+  { type: 'mention', pattern: /(^|[^\w@.])@([\w.-]*[\w-])/, lead: true }
+];
+
+// Punctuation that usually ends the sentence around a URL rather than the URL itself
+const trimUrl = (url) => {
+  let trimmed = url.replace(/[.,;:!?'"\]]+$/, '');
+  while (trimmed.endsWith(')') && (trimmed.match(/\(/g) || []).length < (trimmed.match(/\)/g) || []).length) {
+    trimmed = trimmed.slice(0, -1).replace(/[.,;:!?'"\]]+$/, '');
+  }
+  return trimmed;
+};
+
+const findInlineMatch = (text) => {
+  let best = null;
+
+  INLINE_RULES.forEach(rule => {
+    const match = rule.pattern.exec(text);
+    if (!match) return;
+
+    // Rules with a leading boundary group match one character early
+    const index = match.index + (rule.lead ? match[1].length : 0);
+    if (best && best.index <= index) return;
+
+    if (rule.type === 'code') {
+      best = { index, length: match[0].length, node: { type: 'code', text: match[2].trim() || match[2] } };
+    } else if (rule.type === 'mention') {
+      best = { index, length: match[2].length + 1, node: { type: 'mention', username: match[2], text: `@${match[2]}` } };
+    } else if (rule.type === 'link') {
+      const url = trimUrl(match[0]);
+      best = {
+        index,
+        length: url.length,
+        node: { type: 'link', text: url, href: /^https?:\/\//i.test(url) ? url : `https://${url}` }
+      };
+    } else {
+      const inner = rule.lead ? match[2] : match[1];
+      const length = match[0].length - (rule.lead ? match[1].length : 0);
+      best = { index, length, node: { type: rule.type, children: parseInline(inner) } };
+    }
+  });
+
+  return best;
+};
+
+// Split a run of text into text, code, bold, italic, strike, link and mention nodes
+export const parseInline = (text) => {
+  const nodes = [];
+  let rest = text;
+
+  while (rest) {
+    const match = findInlineMatch(rest);
+    if (!match) {
+      nodes.push({ type: 'text', text: rest });
+      break;
+    }
+
+    if (match.index > 0) {
+      nodes.push({ type: 'text', text: rest.slice(0, match.index) });
+    }
+    nodes.push(match.node);
+    rest = rest.slice(match.index + match.length);
+  }
+
+  return nodes;
+};
+
+// Split message text into paragraph, code, quote and list blocks
+export const parseBlocks = (text) => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+
+  const endParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+      paragraph = [];
+    }
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    const fence = FENCE_OPEN.exec(line);
+
+    if (fence) {
+      endParagraph();
+      // An unclosed fence runs to the end of the message
+      const code = [];
+      i += 1;
+      while (i < lines.length && !FENCE_CLOSE.test(lines[i])) {
+        code.push(lines[i]);
+        i += 1;
+      }
+      blocks.push({ type: 'codeBlock', language: fence[1].toLowerCase(), code: code.join('\n') });
+      i += 1;
+    } else if (QUOTE_LINE.test(line)) {
+      endParagraph();
+      const quoted = [];
+      while (i < lines.length && QUOTE_LINE.test(lines[i])) {
+        quoted.push(QUOTE_LINE.exec(lines[i])[1]);
+        i += 1;
+      }
+      blocks.push({ type: 'quote', blocks: parseBlocks(quoted.join('\n')) });
+    } else if (UNORDERED_ITEM.test(line) || ORDERED_ITEM.test(line)) {
+      endParagraph();
+      const ordered = ORDERED_ITEM.test(line);
+      const itemPattern = ordered ? ORDERED_ITEM : UNORDERED_ITEM;
+      const items = [];
+      while (i < lines.length && itemPattern.test(lines[i])) {
+        const match = itemPattern.exec(lines[i]);
+        items.push(ordered ? match[2] : match[1]);
+        i += 1;
+      }
+      blocks.push({ type: 'list', ordered, start: ordered ? parseInt(ORDERED_ITEM.exec(line)[1], 10) : 1, items });
+    } else if (!line.trim()) {
+      endParagraph();
+      i += 1;
+    } else {
+      paragraph.push(line);
+      i += 1;
+    }
+  }
+
+  endParagraph();
+  return blocks;
+};
+
+const inlineText = (nodes) => nodes
+  .map(node => (node.children ? inlineText(node.children) : node.text))
+  .join('');
+
+const blockText = (block) => {
+  switch (block.type) {
+    case 'codeBlock':
+      return block.code;
+    case 'quote':
+      return block.blocks.map(blockText).join(' ');
+    case 'list':
+      return block.items.map(item => inlineText(parseInline(item))).join(', ');
+    default:
+      return inlineText(parseInline(block.text));
+  }
+};
+
+// Message text with the formatting marks taken out, for one-line previews
+export const toPlainText = (text) => parseBlocks(unescapeContent(text))
+  .map(blockText)
+  .join(' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// True when the text ends inside an open ``` block, where Enter should add a line instead of sending
+export const isInsideCodeFence = (text) => text
+  .split('\n')
+  .filter(line => FENCE_OPEN.test(line) || FENCE_CLOSE.test(line))
+  .length % 2 === 1;
+
+const INLINE_MARKERS = {
+  bold: '**',
+  italic: '_',
+  strike: '~~',
+  code: '`'
+};
+
+const LINE_PREFIXES = {
+  quote: () => '> ',
+  bulletList: () => '- ',
+  numberedList: (index) => `${index + 1}. `
+};
+
+// Apply a toolbar format to the selected part of value. Returns the new value and the
+// selection to restore: the formatted text, or the cursor between the markers when
+// nothing was selected.
+export const applyFormat = (value, selectionStart, selectionEnd, format) => {
+  const before = value.slice(0, selectionStart);
+  const selected = value.slice(selectionStart, selectionEnd);
+  const after = value.slice(selectionEnd);
+
+  if (INLINE_MARKERS[format]) {
+    const marker = INLINE_MARKERS[format];
+    return {
+      value: `${before}${marker}${selected}${marker}${after}`,
+      selectionStart: selectionStart + marker.length,
+      selectionEnd: selectionEnd + marker.length
+    };
+  }
+
+  // Block formats start on a line of their own
+  const lead = before && !before.endsWith('\n') ? '\n' : '';
+
+  if (format === 'codeBlock') {
+    const opening = `${lead}\`\`\`\n`;
+    const trail = after.startsWith('\n') ? '' : '\n';
+    return {
+      value: `${before}${opening}${selected}\n\`\`\`${trail}${after}`,
+      selectionStart: selectionStart + opening.length,
+      selectionEnd: selectionEnd + opening.length
+    };
+  }
+
+  const prefix = LINE_PREFIXES[format];
+  if (!prefix) {
+    return { value, selectionStart, selectionEnd };
+  }
+
+  const formatted = `${lead}${selected.split('\n').map((line, index) => `${prefix(index)}${line}`).join('\n')}`;
+  return {
+    value: `${before}${formatted}${after}`,
+    selectionStart: selectionStart + lead.length + (selected ? 0 : prefix(0).length),
+    selectionEnd: selectionStart + formatted.length
+  };
+};
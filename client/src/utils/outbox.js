@@ -0,0 +1,60 @@
+// Messages waiting to reach the server, persisted in IndexedDB so they survive reloads.
+// Each entry is keyed by its clientMessageId, which the server uses to drop duplicate sends.
+
+const DB_NAME = 'yapper';
+const DB_VERSION = 1;
+const STORE_NAME = 'outbox';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'clientMessageId' });
+        store.createIndex('userId', 'userId');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+// Run a single request against the outbox store and resolve with its result
+const withStore = async (mode, run) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = run(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+export const createClientMessageId = () => {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+};
+
+export const getOutboxMessages = async (userId) => {
+  const entries = await withStore('readonly', store => store.index('userId').getAll(userId));
+  return entries.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+export const saveOutboxMessage = (entry) => {
+  return withStore('readwrite', store => store.put(entry));
+};
+
+export const deleteOutboxMessage = (clientMessageId) => {
+  return withStore('readwrite', store => store.delete(clientMessageId));
+};
@@ -0,0 +1,160 @@
+// A small tokenizer for highlighting code blocks: comments, strings, numbers and keywords
+// for the languages people paste most. Unknown languages are shown unhighlighted.
+
+const C_COMMENTS = ['\\/\\/[^\\n]*', '\\/\\*[\\s\\S]*?(?:\\*\\/|$)'];
+const HASH_COMMENTS = ['#[^\\n]*'];
+const QUOTED_STRINGS = ['"(?:[^"\\\\\\n]|\\\\.)*"', "'(?:[^'\\\\\\n]|\\\\.)*'"];
+
+const words = (list) => new Set(list.split(' '));
+
+const JS_KEYWORDS = words(
+  'async await break case catch class const continue debugger default delete do else export extends ' +
+  'false finally for from function if import in instanceof let new null of return static super switch ' +
+  'this throw true try typeof undefined var void while yield interface type enum implements private ' +
+  'public protected readonly as'
+);
+
+const LANGUAGES = {
+  javascript: {
+    comments: C_COMMENTS,
+    strings: [...QUOTED_STRINGS, '`(?:[^`\\\\]|\\\\.)*`'],
+    keywords: JS_KEYWORDS
+  },
+  json: {
+    comments: [],
+    strings: QUOTED_STRINGS,
+    keywords: words('true false null')
+  },
+  python: {
+    comments: HASH_COMMENTS,
+    strings: ['"""[\\s\\S]*?(?:"""|$)', "'''[\\s\\S]*?(?:'''|$)", ...QUOTED_STRINGS],
+    keywords: words(
+      'and as assert async await break class continue def del elif else except False finally for from ' +
+      'global if import in is lambda None nonlocal not or pass raise return self True try while with yield'
+    )
+  },
+  bash: {
+    comments: HASH_COMMENTS,
+    strings: QUOTED_STRINGS,
+    keywords: words(
+      'if then else elif fi for while until do done case esac in function return export local ' +
+      'echo cd sudo source exit set unset'
+    )
+  },
+  clike: {
+    comments: C_COMMENTS,
+    strings: QUOTED_STRINGS,
+    keywords: words(
+      'auto bool break case catch char class const continue default defer do double else enum extends ' +
+      'false final float fn for func go if impl import int interface let long loop match mod mut namespace ' +
+      'new nil null package private protected pub public return self short static string struct super ' +
+      'switch this throw throws true try type typedef unsigned use var void while'
+    )
+  },
+  css: {
+    comments: ['\\/\\*[\\s\\S]*?(?:\\*\\/|$)'],
+    strings: QUOTED_STRINGS,
+    keywords: words('important media import from to')
+  },
+  sql: {
+    comments: ['--[^\\n]*', '\\/\\*[\\s\\S]*?(?:\\*\\/|$)'],
+    strings: ["'(?:[^']|'')*'"],
+    keywords: words(
+      'select from where and or not insert into values update set delete create table alter drop index ' +
+      'join left right inner outer on group by order having limit offset as distinct null is in like ' +
+      'between case when then else end primary key foreign references default union all exists'
+    ),
+    ignoreCase: true
+  },
+  html: {
+    comments: ['<!--[\\s\\S]*?(?:-->|$)'],
+    strings: QUOTED_STRINGS,
+    // Tag names are highlighted instead of keywords
+    tags: '<\\/?[A-Za-z][\\w-]*|\\/?>'
+  }
+};
+
+const ALIASES = {
+  js: 'javascript', jsx: 'javascript', ts: 'javascript', tsx: 'javascript', typescript: 'javascript',
+  javascript: 'javascript', node: 'javascript',
+  json: 'json',
+  py: 'python', python: 'python',
+  sh: 'bash', bash: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+  c: 'clike', h: 'clike', cpp: 'clike', 'c++': 'clike', cs: 'clike', 'c#': 'clike', csharp: 'clike',
+  java: 'clike', kotlin: 'clike', go: 'clike', rust: 'clike', rs: 'clike', swift: 'clike', php: 'clike',
+  css: 'css', scss: 'css', less: 'css',
+  sql: 'sql', postgres: 'sql', mysql: 'sql',
+  html: 'html', xml: 'html', svg: 'html', vue: 'html'
+};
+
+const patternCache = new Map();
+
+// One global pattern per language; its groups are, in order, comment, string, tag, number and word
+const getPattern = (name) => {
+  if (!patternCache.has(name)) {
+    const language = LANGUAGES[name];
+    patternCache.set(name, new RegExp([
+      `(${language.comments.join('|') || '(?!)'})`,
+      `(${language.strings.join('|')})`,
+      `(${language.tags || '(?!)'})`,
+      '(\\b0x[\\da-fA-F]+\\b|\\b\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?\\b)',
+      '([A-Za-z_$][\\w$]*)'
+    ].join('|'), 'g'));
+  }
+  return patternCache.get(name);
+};
+
+const TOKEN_TYPES = ['comment', 'string', 'tag', 'number'];
+
+const getLanguageName = (language) => ALIASES[language] || null;
+
+// Split code into [{ type, text }] tokens, where type is comment, string, tag, number,
+// keyword or plain. Adjacent plain text is merged into one token.
+export const highlightCode = (code, language) => {
+  const name = getLanguageName(language);
+  if (!name) {
+    return [{ type: 'plain', text: code }];
+  }
+
+  const { keywords, ignoreCase } = LANGUAGES[name];
+  const pattern = getPattern(name);
+  const tokens = [];
+
+  const push = (type, text) => {
+    const last = tokens[tokens.length - 1];
+    if (type === 'plain' && last?.type === 'plain') {
+      last.text += text;
+    } else {
+      tokens.push({ type, text });
+    }
+  };
+
+  let lastIndex = 0;
+  let match;
+  pattern.lastIndex = 0;
+  while ((match = pattern.exec(code)) !== null) {
+    if (match[0] === '') {
+      pattern.lastIndex += 1;
+      continue;
+    }
+
+    if (match.index > lastIndex) {
+      push('plain', code.slice(lastIndex, match.index));
+    }
+
+    const group = match.slice(1, TOKEN_TYPES.length + 1).findIndex(value => value !== undefined);
+    if (group !== -1) {
+      push(TOKEN_TYPES[group], match[0]);
+    } else {
+      const word = ignoreCase ? match[0].toLowerCase() : match[0];
+      push(keywords?.has(word) ? 'keyword' : 'plain', match[0]);
+    }
+    lastIndex = pattern.lastIndex;
+  }
+
+  if (lastIndex < code.length) {
+    push('plain', code.slice(lastIndex));
+  }
+
+  return tokens;
+};
@@ -0,0 +1,7 @@
+// Populated users from lean queries don't carry the fullName virtual
+export const getDisplayName = (user) => {
+  if (!user) return 'Unknown user';
+  return user.fullName || `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.username;
+};
+
+export const getAvatar = (user) => user?.avatar || '/default-avatar.png';
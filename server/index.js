@@ -1,6 +1,7 @@
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
+const socketIoParser = require('socket.io-parser');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -12,7 +13,22 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const messageRoutes = require('./routes/messages');
 const friendRoutes = require('./routes/friends');
+const conversationRoutes = require('./routes/conversations');
+const scheduledMessageRoutes = require('./routes/scheduledMessages');
+const uploadRoutes = require('./routes/uploads');
+const fileRoutes = require('./routes/files');
 const { setupSocketHandlers } = require('./socket/socketHandlers');
+const { startScheduledMessageDispatcher } = require('./services/scheduledMessageDispatcher');
+const { startExpiredMessageSweeper } = require('./services/expiredMessageSweeper');
+const { resumeMediaProcessing } = require('./services/mediaProcessor');
+const { toClientFileUrls } = require('./utils/fileLinks');
+
+// Socket.IO payloads get the same file links as HTTP responses
+class FileLinkEncoder extends socketIoParser.Encoder {
+  constructor() {
+    super(toClientFileUrls);
+  }
+}
 
 const app = express();
 const server = http.createServer(app);
@@ -21,7 +37,8 @@ const io = socketIo(server, {
     origin: process.env.NODE_ENV === 'production' ? true : "http://localhost:3000",
     methods: ["GET", "POST"],
     credentials: true
-  }
+  },
+  parser: { Encoder: FileLinkEncoder, Decoder: socketIoParser.Decoder }
 });
 
 // Connect to MongoDB
@@ -33,7 +50,14 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/yapper',
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Middleware
-app.use(helmet());
+app.use(helmet({
+  contentSecurityPolicy: {
+    directives: {
+      // Link preview cards show images hosted by the linked sites
+      'img-src': ["'self'", 'data:', 'https:']
+    }
+  }
+}));
 app.use(cors({
   origin: process.env.NODE_ENV === 'production' ? true : "http://localhost:3000",
   credentials: true
@@ -46,21 +70,28 @@ app.set('trust proxy', 1);
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Media elements fetch attachments in many small range requests
+  skip: (req) => req.path.startsWith('/files/')
 });
 app.use('/api/', limiter);
 
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static files
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+// Upload URLs in responses become /api/files links (message attachments) or signed,
+// expiring links served by /uploads (everything else)
+app.set('json replacer', toClientFileUrls);
+app.use('/uploads', uploadRoutes);
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/friends', friendRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/scheduled-messages', scheduledMessageRoutes);
+app.use('/api/files', fileRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -88,6 +119,11 @@ if (process.env.NODE_ENV !== 'production' || process.env.VERCEL !== '1') {
   server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+    // Background jobs that run in this process while it is up
+    startScheduledMessageDispatcher(io);
+    startExpiredMessageSweeper(io);
+    resumeMediaProcessing(io).catch(error => console.error('Resume media processing error:', error));
   });
 }
 
@@ -1,10 +1,34 @@
 const jwt = require('jsonwebtoken');
+const cookie = require('cookie');
 const User = require('../models/User');
 
-const auth = async (req, res, next) => {
+// Attachments are downloaded by <img>, <video> and <audio> elements, which can't send an
+// Authorization header, so /api/files also accepts the session token from this cookie.
+// It is only sent to that path and scripts can't read it.
+const FILE_TOKEN_COOKIE = 'files_token';
+const FILE_TOKEN_PATH = '/api/files';
+
+const setFileTokenCookie = (req, res, token) => {
+  const { exp } = jwt.decode(token);
+  res.cookie(FILE_TOKEN_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    path: FILE_TOKEN_PATH,
+    expires: new Date(exp * 1000)
+  });
+};
+
+const clearFileTokenCookie = (res) => {
+  res.clearCookie(FILE_TOKEN_COOKIE, { path: FILE_TOKEN_PATH });
+};
+
+const getBearerToken = (req) => req.header('Authorization')?.replace('Bearer ', '');
+
+// Load the user a session token belongs to into req.user (and the token into req.token),
+// or answer 401
+const authenticate = async (token, req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
     if (!token) {
       return res.status(401).json({ message: 'No token provided' });
     }
@@ -17,6 +41,7 @@ const auth = async (req, res, next) => {
     }
 
     req.user = user;
+    req.token = token;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -29,6 +54,8 @@ const auth = async (req, res, next) => {
   }
 };
 
+const auth = (req, res, next) => authenticate(getBearerToken(req), req, res, next);
+
 const optionalAuth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -48,4 +75,10 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, optionalAuth };
+// Like auth, falling back to the file token cookie when there's no Authorization header
+const fileAuth = (req, res, next) => {
+  const token = getBearerToken(req) || cookie.parse(req.header('Cookie') || '')[FILE_TOKEN_COOKIE];
+  return authenticate(token, req, res, next);
+};
+
+module.exports = { auth, optionalAuth, fileAuth, setFileTokenCookie, clearFileTokenCookie };
@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+
+// Disappearing message timers a conversation can use, in seconds (0 is off)
+const DISAPPEARING_TIMERS = [0, 60 * 60, 24 * 60 * 60, 7 * 24 * 60 * 60];
+
+const conversationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['direct', 'group'],
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null
+  },
+  avatar: {
+    type: String,
+    default: null
+  },
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['admin', 'member'],
+      default: 'member'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Group messages sent after this are unread for the member
+    lastReadAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Messages kept visible at the top of the chat, oldest pin first
+  pinnedMessages: [{
+    _id: false,
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      required: true
+    },
+    pinnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    pinnedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // New messages expire this many seconds after they are sent (0 keeps them)
+  disappearingTimer: {
+    type: Number,
+    enum: DISAPPEARING_TIMERS,
+    default: 0
+  },
+  // Sorted "userA-userB" key so there is only ever one direct conversation per pair
+  directKey: {
+    type: String,
+    default: undefined
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+conversationSchema.index({ 'members.user': 1 });
+conversationSchema.index({ directKey: 1 }, { unique: true, sparse: true });
+
+// Build the key used to look up a direct conversation between two users
+conversationSchema.statics.directKeyFor = function(user1Id, user2Id) {
+  const users = [user1Id.toString(), user2Id.toString()].sort();
+  return `${users[0]}-${users[1]}`;
+};
+
+// Find the direct conversation between two users, creating it on first use
+conversationSchema.statics.findOrCreateDirect = async function(user1Id, user2Id) {
+  const directKey = this.directKeyFor(user1Id, user2Id);
+
+  return this.findOneAndUpdate(
+    { directKey },
+    {
+      $setOnInsert: {
+        type: 'direct',
+        directKey,
+        members: [
+          { user: user1Id, role: 'member' },
+          { user: user2Id, role: 'member' }
+        ]
+      }
+    },
+    { new: true, upsert: true }
+  );
+};
+
+// Method to get a member entry
+conversationSchema.methods.getMember = function(userId) {
+  return this.members.find(
+    member => (member.user._id || member.user).toString() === userId.toString()
+  );
+};
+
+// Method to check if user is a member
+conversationSchema.methods.isMember = function(userId) {
+  return !!this.getMember(userId);
+};
+
+// Method to check if user is an admin
+conversationSchema.methods.isAdmin = function(userId) {
+  const member = this.getMember(userId);
+  return !!member && member.role === 'admin';
+};
+
+// Method to get member user IDs as strings
+conversationSchema.methods.getMemberIds = function() {
+  return this.members.map(member => (member.user._id || member.user).toString());
+};
+
+// Method to mark the conversation read for a member up to a point in time.
+// Resolves to true if the member's read position moved forward.
+conversationSchema.methods.markReadBy = async function(userId, readAt = new Date()) {
+  const member = this.getMember(userId);
+  if (!member || (member.lastReadAt && member.lastReadAt >= readAt)) {
+    return false;
+  }
+
+  member.lastReadAt = readAt;
+  await this.save();
+  return true;
+};
+
+// Method to check if a message is pinned
+conversationSchema.methods.isPinned = function(messageId) {
+  return this.pinnedMessages.some(
+    pin => (pin.message._id || pin.message).toString() === messageId.toString()
+  );
+};
+
+// Method to pin a message (no-op if already pinned)
+conversationSchema.methods.pinMessage = function(messageId, userId) {
+  if (!this.isPinned(messageId)) {
+    this.pinnedMessages.push({ message: messageId, pinnedBy: userId });
+  }
+};
+
+// Method to unpin a message
+conversationSchema.methods.unpinMessage = function(messageId) {
+  this.pinnedMessages = this.pinnedMessages.filter(
+    pin => (pin.message._id || pin.message).toString() !== messageId.toString()
+  );
+};
+
+// Method to change the disappearing messages timer; returns false for an unsupported value
+conversationSchema.methods.setDisappearingTimer = function(seconds) {
+  if (!DISAPPEARING_TIMERS.includes(seconds)) {
+    return false;
+  }
+  this.disappearingTimer = seconds;
+  return true;
+};
+
+// Method to get when a message sent now should expire, or null if messages are kept
+conversationSchema.methods.getMessageExpiry = function(sentAt = new Date()) {
+  return this.disappearingTimer ? new Date(sentAt.getTime() + this.disappearingTimer * 1000) : null;
+};
+
+// Method to add a member (no-op if already present)
+conversationSchema.methods.addMember = function(userId, role = 'member') {
+  if (!this.isMember(userId)) {
+    this.members.push({ user: userId, role });
+  }
+};
+
+// Method to remove a member, promoting the longest-standing member if the last admin leaves
+conversationSchema.methods.removeMember = function(userId) {
+  this.members = this.members.filter(
+    member => (member.user._id || member.user).toString() !== userId.toString()
+  );
+
+  if (this.type === 'group' && this.members.length > 0 &&
+      !this.members.some(member => member.role === 'admin')) {
+    const oldest = [...this.members].sort((a, b) => a.joinedAt - b.joinedAt)[0];
+    oldest.role = 'admin';
+  }
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
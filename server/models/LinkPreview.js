@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Cached result of unfurling a URL, shared by every message that links to it. Pages that
+// couldn't be previewed are cached too (as failed) so they aren't fetched on every message.
+const linkPreviewSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  title: {
+    type: String,
+    default: null
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  image: {
+    type: String,
+    default: null
+  },
+  siteName: {
+    type: String,
+    default: null
+  },
+  failed: {
+    type: Boolean,
+    default: false
+  },
+  // MongoDB removes the entry after this, so the page is fetched again next time
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+linkPreviewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to get the cached entry for a URL, unless it has expired.
+// The TTL monitor only runs every minute or so, hence the explicit check.
+linkPreviewSchema.statics.findFresh = function(url) {
+  return this.findOne({ url, expiresAt: { $gt: new Date() } }).lean();
+};
+
+// Static method to store the result of unfurling a URL (a preview, or null when it failed)
+linkPreviewSchema.statics.store = function(url, preview, ttlMs) {
+  return this.findOneAndUpdate(
+    { url },
+    {
+      url,
+      title: preview ? preview.title : null,
+      description: preview ? preview.description : null,
+      image: preview ? preview.image : null,
+      siteName: preview ? preview.siteName : null,
+      failed: !preview,
+      expiresAt: new Date(Date.now() + ttlMs)
+    },
+    { upsert: true, new: true, lean: true }
+  );
+};
+
+module.exports = mongoose.model('LinkPreview', linkPreviewSchema);
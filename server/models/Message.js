@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const { sanitizeContent, unescapeContent } = require('../utils/sanitize');
+
+const DELETED_MESSAGE_CONTENT = 'This message was deleted';
+const MAX_CONTENT_LENGTH = 5000;
+// How long after sending a message its sender may still edit it or delete it for everyone
+const EDIT_WINDOW_MS = (parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+const UNSEND_WINDOW_MS = (parseInt(process.env.MESSAGE_UNSEND_WINDOW_MINUTES) || 60) * 60 * 1000;
 
 const messageSchema = new mongoose.Schema({
   sender: {
@@ -6,19 +13,32 @@ const messageSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Set for direct messages only; group messages are addressed via conversation
   receiver: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    default: null
   },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    default: null
+  },
+  // Markdown text, sanitized whenever it is set: HTML-escaped outside code, so clients
+  // unescape it before rendering it (as text only). The limit counts the text as written.
   content: {
     type: String,
     required: true,
-    maxlength: 5000
+    set: sanitizeContent,
+    validate: {
+      validator: content => unescapeContent(content).length <= MAX_CONTENT_LENGTH,
+      message: `Content must be at most ${MAX_CONTENT_LENGTH} characters`
+    }
   },
+  // 'system' messages announce conversation changes and are only created by the server
   messageType: {
     type: String,
-    enum: ['text', 'image', 'file', 'audio', 'video', 'location'],
+    enum: ['text', 'image', 'file', 'audio', 'video', 'location', 'poll', 'system'],
     default: 'text'
   },
   fileUrl: {
@@ -37,6 +57,97 @@ const messageSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Image and video attachments: processed after sending (see services/mediaProcessor), then
+  // their size and a tiny blurred placeholder let clients lay them out before the thumbnail loads
+  media: {
+    type: {
+      _id: false,
+      status: {
+        type: String,
+        enum: ['processing', 'ready', 'failed'],
+        default: 'processing'
+      },
+      width: {
+        type: Number,
+        default: null
+      },
+      height: {
+        type: Number,
+        default: null
+      },
+      placeholder: {
+        type: String,
+        default: null
+      }
+    },
+    default: undefined
+  },
+  // Voice notes only: length in seconds and a loudness outline (0-100 per bar) computed by the
+  // recording client, so players can draw the waveform without downloading the audio
+  voiceNote: {
+    type: {
+      _id: false,
+      duration: {
+        type: Number,
+        required: true
+      },
+      waveform: [Number]
+    },
+    default: undefined
+  },
+  // Location messages only. Live locations keep moving until liveUntil, which is brought
+  // forward when the sender stops sharing early; positionAt is the latest position's time.
+  location: {
+    type: {
+      _id: false,
+      lat: {
+        type: Number,
+        required: true,
+        min: -90,
+        max: 90
+      },
+      lng: {
+        type: Number,
+        required: true,
+        min: -180,
+        max: 180
+      },
+      // Radius in metres the position is accurate to
+      accuracy: {
+        type: Number,
+        default: null
+      },
+      label: {
+        type: String,
+        default: null,
+        maxlength: 200
+      },
+      liveUntil: {
+        type: Date,
+        default: null
+      },
+      positionAt: {
+        type: Date,
+        default: null
+      }
+    },
+    default: undefined
+  },
+  // Copies made by forwarding share the original's file. forwardCount is how many times the
+  // content had been forwarded to reach this copy, so long forward chains can be flagged.
+  forwarded: {
+    type: Boolean,
+    default: false
+  },
+  forwardCount: {
+    type: Number,
+    default: 0
+  },
+  // Set once the receiver's client has the message (direct messages only)
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
   isRead: {
     type: Boolean,
     default: false
@@ -53,11 +164,98 @@ const messageSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Earlier versions of the content, oldest first, each with the time it was written.
+  // Not selected by default so history pages stay small.
+  editHistory: {
+    type: [{
+      _id: false,
+      content: String,
+      createdAt: Date
+    }],
+    select: false
+  },
   replyTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message',
     default: null
   },
+  // Set on thread replies; they are kept out of the main conversation history
+  threadRoot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  // Maintained on thread roots
+  threadReplyCount: {
+    type: Number,
+    default: 0
+  },
+  threadLastReplyAt: {
+    type: Date,
+    default: null
+  },
+  // Set from the conversation's disappearing messages timer; the sweeper removes the message after this
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Poll messages only. Votes themselves are PollVote documents; these are the tallies
+  // everyone may see (voters are listed only when the poll isn't anonymous).
+  poll: {
+    type: {
+      _id: false,
+      question: {
+        type: String,
+        required: true,
+        maxlength: 300
+      },
+      options: [{
+        text: {
+          type: String,
+          required: true,
+          maxlength: 100
+        },
+        voteCount: {
+          type: Number,
+          default: 0
+        },
+        voters: [{
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        }]
+      }],
+      allowMultiple: {
+        type: Boolean,
+        default: false
+      },
+      anonymous: {
+        type: Boolean,
+        default: false
+      },
+      closedAt: {
+        type: Date,
+        default: null
+      }
+    },
+    default: undefined
+  },
+  // Card for the first link in a text message, filled in after sending (see linkPreviewService)
+  linkPreview: {
+    type: {
+      _id: false,
+      url: String,
+      title: String,
+      description: String,
+      image: String,
+      siteName: String
+    },
+    default: undefined
+  },
+  // Users named with @username in the content; only conversation participants count
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   reactions: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -75,7 +273,21 @@ const messageSchema = new mongoose.Schema({
   deletedFor: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }]
+  }],
+  // Unsent by the sender: content is replaced by a tombstone for everyone
+  deletedForEveryone: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // Generated by the sending client so retried sends are stored only once
+  clientMessageId: {
+    type: String,
+    default: null
+  }
 }, {
   timestamps: true
 });
@@ -83,11 +295,27 @@ const messageSchema = new mongoose.Schema({
 // Indexes for better query performance
 messageSchema.index({ sender: 1, receiver: 1 });
 messageSchema.index({ receiver: 1, sender: 1 });
+messageSchema.index({ conversation: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ threadRoot: 1, createdAt: 1 });
 messageSchema.index({ createdAt: -1 });
+messageSchema.index({ updatedAt: 1 });
 messageSchema.index({ isRead: 1 });
+messageSchema.index({ receiver: 1, deliveredAt: 1 });
+messageSchema.index({ expiresAt: 1 });
+messageSchema.index({ mentions: 1, createdAt: -1 });
+messageSchema.index({ fileUrl: 1 });
+messageSchema.index({ 'media.status': 1 }, { partialFilterExpression: { 'media.status': 'processing' } });
+messageSchema.index({ content: 'text' });
+messageSchema.index(
+  { sender: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $type: 'string' } } }
+);
 
 // Virtual for conversation ID (consistent ordering of users)
 messageSchema.virtual('conversationId').get(function() {
+  if (!this.receiver) {
+    return this.conversation ? this.conversation.toString() : null;
+  }
   const users = [this.sender.toString(), this.receiver.toString()].sort();
   return `${users[0]}-${users[1]}`;
 });
@@ -96,6 +324,10 @@ messageSchema.virtual('conversationId').get(function() {
 messageSchema.methods.markAsRead = function() {
   this.isRead = true;
   this.readAt = new Date();
+  // A read message has necessarily been delivered
+  if (!this.deliveredAt) {
+    this.deliveredAt = this.readAt;
+  }
   return this.save();
 };
 
@@ -123,8 +355,12 @@ messageSchema.methods.removeReaction = function(userId) {
   return this.save();
 };
 
-// Method to edit message
+// Method to edit message, keeping the previous content in the edit history
 messageSchema.methods.editMessage = function(newContent) {
+  this.editHistory = [
+    ...(this.editHistory || []),
+    { content: this.content, createdAt: this.editedAt || this.createdAt }
+  ];
   this.content = newContent;
   this.isEdited = true;
   this.editedAt = new Date();
@@ -139,30 +375,417 @@ messageSchema.methods.deleteForUser = function(userId) {
   return this.save();
 };
 
-// Static method to get conversation messages
-messageSchema.statics.getConversation = async function(user1Id, user2Id, limit = 50, skip = 0) {
-  return this.find({
+// Method to delete message for everyone, leaving a tombstone in its place
+messageSchema.methods.deleteForEveryone = function() {
+  this.content = DELETED_MESSAGE_CONTENT;
+  this.deletedForEveryone = true;
+  this.deletedAt = new Date();
+  this.fileUrl = null;
+  this.fileName = null;
+  this.fileSize = null;
+  this.thumbnail = null;
+  this.media = undefined;
+  this.reactions = [];
+  this.editHistory = [];
+  this.poll = undefined;
+  this.linkPreview = undefined;
+  this.voiceNote = undefined;
+  this.location = undefined;
+  return this.save();
+};
+
+// Method to store a poll's tallies from its voters (see PollVote.getVotersByOption).
+// Resolves to the updated message; voter lists are left empty for anonymous polls.
+messageSchema.methods.updatePollTally = function(votersByOption) {
+  const options = this.poll.options.map(option => {
+    const voters = votersByOption.get(option._id.toString()) || [];
+    return {
+      _id: option._id,
+      text: option.text,
+      voteCount: voters.length,
+      voters: this.poll.anonymous ? [] : voters
+    };
+  });
+
+  return this.constructor.findByIdAndUpdate(this._id, { $set: { 'poll.options': options } }, { new: true });
+};
+
+// Method to close a poll to further votes; resolves to the updated message
+messageSchema.methods.closePoll = function() {
+  return this.constructor.findByIdAndUpdate(this._id, { $set: { 'poll.closedAt': new Date() } }, { new: true });
+};
+
+// Method to list every version of the message, oldest first, ending with the current one
+messageSchema.methods.getRevisions = function() {
+  return [
+    ...(this.editHistory || []).map(({ content, createdAt }) => ({ content, createdAt })),
+    { content: this.content, createdAt: this.editedAt || this.createdAt, current: true }
+  ];
+};
+
+// Method to check if the sender can still edit the message
+messageSchema.methods.isWithinEditWindow = function() {
+  return Date.now() - this.createdAt.getTime() <= EDIT_WINDOW_MS;
+};
+
+// Method to check if the sender can still delete the message for everyone
+messageSchema.methods.isWithinUnsendWindow = function() {
+  return Date.now() - this.createdAt.getTime() <= UNSEND_WINDOW_MS;
+};
+
+// Method to check if a user can no longer see the message: they deleted it for themselves,
+// or its disappearing timer has run out
+messageSchema.methods.isHiddenFrom = function(userId) {
+  return this.deletedFor.some(id => id.toString() === userId.toString()) ||
+    (!!this.expiresAt && this.expiresAt <= new Date());
+};
+
+// Method to check if the message is a live location that is still being shared
+messageSchema.methods.isLiveLocationActive = function() {
+  return !this.deletedForEveryone && !!this.location && !!this.location.liveUntil &&
+    this.location.liveUntil > new Date();
+};
+
+// Fields populated whenever a page of conversation history is returned
+const populateHistory = (query) => query
+  .populate('sender', 'username firstName lastName avatar')
+  .populate('receiver', 'username firstName lastName avatar')
+  .populate('replyTo', 'content sender');
+
+// Matches messages without an expiry and those that haven't expired yet, so history
+// stops showing a disappearing message even before the sweeper gets to it
+const notExpired = () => ({ $not: { $lte: new Date() } });
+
+// Static method to get the notExpired condition, for queries on expiresAt made elsewhere
+messageSchema.statics.notExpired = notExpired;
+
+// Static method to build the filter for a direct conversation, as seen by user1
+messageSchema.statics.conversationFilter = function(user1Id, user2Id) {
+  return {
     $or: [
       { sender: user1Id, receiver: user2Id },
       { sender: user2Id, receiver: user1Id }
     ],
-    deletedFor: { $ne: user1Id }
-  })
+    deletedFor: { $ne: user1Id },
+    expiresAt: notExpired()
+  };
+};
+
+// Static method to build the filter for a group conversation, as seen by a member
+messageSchema.statics.groupConversationFilter = function(conversationId, userId) {
+  return {
+    conversation: conversationId,
+    deletedFor: { $ne: userId },
+    expiresAt: notExpired()
+  };
+};
+
+// Messages strictly older (direction -1) or newer (1) than a cursor message.
+// createdAt can tie, so _id breaks ties to keep pages from overlapping or skipping.
+const cursorCondition = (cursor, direction, inclusive = false) => {
+  const op = direction < 0 ? '$lt' : '$gt';
+  const tieOp = inclusive ? `${op}e` : op;
+  return {
+    $or: [
+      { createdAt: { [op]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { [tieOp]: cursor._id } }
+    ]
+  };
+};
+
+// Fetch up to limit messages in one direction from an optional cursor, plus one extra to detect more
+const fetchPage = (model, filter, { cursor, direction, inclusive, limit }) => {
+  const query = cursor ? { $and: [filter, cursorCondition(cursor, direction, inclusive)] } : filter;
+  const order = direction < 0 ? -1 : 1;
+
+  return populateHistory(model.find(query))
+    .sort({ createdAt: order, _id: order })
+    .limit(limit + 1)
+    .lean();
+};
+
+// Static method to get one page of history for a conversation filter, in chronological order.
+//   before: messages older than this message ID (scrolling up)
+//   after:  messages newer than this message ID (catching up)
+//   around: a window centred on this message ID, including it (jumping to a message)
+//   none:   the latest messages
+// Returns { messages, hasMoreBefore, hasMoreAfter }, or null if the cursor message is
+// not part of the conversation.
+messageSchema.statics.getHistoryPage = async function(filter, { before, after, around, limit = 50 } = {}) {
+  const cursorId = around || before || after;
+  let cursor = null;
+
+  if (cursorId) {
+    cursor = await this.findOne({ ...filter, _id: cursorId }).select('createdAt').lean();
+    if (!cursor) {
+      return null;
+    }
+  }
+
+  if (around) {
+    const half = Math.floor(limit / 2);
+    const [olderAndTarget, newer] = await Promise.all([
+      fetchPage(this, filter, { cursor, direction: -1, inclusive: true, limit: half + 1 }),
+      fetchPage(this, filter, { cursor, direction: 1, limit: limit - half - 1 })
+    ]);
+
+    return {
+      messages: [...olderAndTarget.slice(0, half + 1).reverse(), ...newer.slice(0, limit - half - 1)],
+      hasMoreBefore: olderAndTarget.length > half + 1,
+      hasMoreAfter: newer.length > limit - half - 1
+    };
+  }
+
+  if (after) {
+    const newer = await fetchPage(this, filter, { cursor, direction: 1, limit });
+    return {
+      messages: newer.slice(0, limit),
+      hasMoreBefore: true,
+      hasMoreAfter: newer.length > limit
+    };
+  }
+
+  const older = await fetchPage(this, filter, { cursor, direction: -1, limit });
+  return {
+    messages: older.slice(0, limit).reverse(),
+    hasMoreBefore: older.length > limit,
+    hasMoreAfter: !!before
+  };
+};
+
+// Static method to get a page of direct conversation messages (thread replies excluded)
+messageSchema.statics.getConversation = async function(user1Id, user2Id, options = {}) {
+  return this.getHistoryPage({ ...this.conversationFilter(user1Id, user2Id), threadRoot: null }, options);
+};
+
+// Static method to get a page of group conversation messages (thread replies excluded)
+messageSchema.statics.getGroupConversation = async function(conversationId, userId, options = {}) {
+  return this.getHistoryPage({ ...this.groupConversationFilter(conversationId, userId), threadRoot: null }, options);
+};
+
+// Static method to full-text search the messages a user can see.
+// groupConversationIds limits group results to groups the user belongs to;
+// blockedUserIds hides anything sent by, or sent to, a blocked user.
+messageSchema.statics.search = async function(userId, {
+  q,
+  groupConversationIds = [],
+  blockedUserIds = [],
+  from,
+  conversationFilter,
+  startDate,
+  endDate,
+  messageType,
+  hasAttachment,
+  limit = 20,
+  skip = 0
+}) {
+  const conditions = [
+    {
+      $or: [
+        { sender: userId, receiver: { $ne: null } },
+        { receiver: userId },
+        { conversation: { $in: groupConversationIds } }
+      ]
+    },
+    { deletedFor: { $ne: userId } },
+    { deletedForEveryone: { $ne: true } },
+    { expiresAt: notExpired() },
+    { sender: { $nin: blockedUserIds } },
+    { receiver: { $nin: blockedUserIds } }
+  ];
+
+  if (conversationFilter) conditions.push(conversationFilter);
+  if (from) conditions.push({ sender: from });
+  if (messageType) conditions.push({ messageType });
+  if (hasAttachment === true) conditions.push({ fileUrl: { $ne: null } });
+  if (hasAttachment === false) conditions.push({ fileUrl: null });
+
+  if (startDate || endDate) {
+    const createdAt = {};
+    if (startDate) createdAt.$gte = startDate;
+    if (endDate) createdAt.$lte = endDate;
+    conditions.push({ createdAt });
+  }
+
+  return this.find(
+    { $text: { $search: q }, $and: conditions },
+    { score: { $meta: 'textScore' } }
+  )
   .populate('sender', 'username firstName lastName avatar')
   .populate('receiver', 'username firstName lastName avatar')
-  .populate('replyTo', 'content sender')
-  .sort({ createdAt: -1 })
+  .populate('conversation', 'type name')
+  .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
   .limit(limit)
   .skip(skip)
   .lean();
 };
 
+// Static method to get a page of the messages that mention a user, newest first.
+// groupConversationIds limits group messages to groups the user still belongs to;
+// before is the ID of the last message of the previous page.
+messageSchema.statics.getMentions = async function(userId, {
+  groupConversationIds = [],
+  blockedUserIds = [],
+  before,
+  limit = 20
+}) {
+  const conditions = [
+    { mentions: userId },
+    { $or: [{ receiver: userId }, { conversation: { $in: groupConversationIds } }] },
+    { deletedFor: { $ne: userId } },
+    { deletedForEveryone: { $ne: true } },
+    { expiresAt: notExpired() },
+    { sender: { $nin: blockedUserIds } }
+  ];
+
+  if (before) {
+    const cursor = await this.findById(before).select('createdAt').lean();
+    if (cursor) conditions.push(cursorCondition(cursor, -1));
+  }
+
+  const messages = await this.find({ $and: conditions })
+    .populate('sender', 'username firstName lastName avatar')
+    .populate('receiver', 'username firstName lastName avatar')
+    .populate('conversation', 'type name')
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .lean();
+
+  return { messages: messages.slice(0, limit), hasMore: messages.length > limit };
+};
+
+// Static method to summarise a user's conversations: last message and unread count per chat.
+// Direct chats are keyed by the other participant so messages sent before
+// conversations existed are grouped correctly; group chats are keyed by conversation.
+messageSchema.statics.getConversationSummaries = async function(userId, groupConversationIds = []) {
+  const me = new mongoose.Types.ObjectId(userId.toString());
+  const isGroupMessage = { $eq: [{ $ifNull: ['$receiver', null] }, null] };
+
+  return this.aggregate([
+    {
+      $match: {
+        $or: [
+          { sender: me, receiver: { $ne: null } },
+          { receiver: me },
+          { conversation: { $in: groupConversationIds } }
+        ],
+        deletedFor: { $ne: me },
+        // Like the chat itself: thread replies and expired messages don't count
+        threadRoot: null,
+        expiresAt: notExpired()
+      }
+    },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: {
+          $cond: [
+            isGroupMessage,
+            { conversation: '$conversation' },
+            { user: { $cond: [{ $eq: ['$sender', me] }, '$receiver', '$sender'] } }
+          ]
+        },
+        lastMessage: { $first: '$$ROOT' },
+        // Group unread counts depend on each member's lastReadAt and are filled in by the caller
+        unreadCount: {
+          $sum: {
+            $cond: [
+              { $and: [{ $eq: ['$receiver', me] }, { $eq: ['$isRead', false] }] },
+              1,
+              0
+            ]
+          }
+        }
+      }
+    },
+    { $sort: { 'lastMessage.createdAt': -1 } }
+  ]);
+};
+
+// Static method to count unread messages in a group for a member
+messageSchema.statics.getGroupUnreadCount = async function(conversationId, userId, lastReadAt) {
+  return this.countDocuments({
+    conversation: conversationId,
+    sender: { $ne: userId },
+    createdAt: { $gt: lastReadAt },
+    deletedFor: { $ne: userId },
+    threadRoot: null,
+    expiresAt: notExpired()
+  });
+};
+
+// Static method to get every message a user can see that changed after a point in time
+// (new, edited, reacted to, read, delivered or deleted), oldest change first
+messageSchema.statics.getChangedSince = async function(userId, groupConversationIds, since, limit) {
+  return populateHistory(this.find({
+    $or: [
+      { sender: userId },
+      { receiver: userId },
+      { conversation: { $in: groupConversationIds } }
+    ],
+    updatedAt: { $gt: since }
+  }))
+  .sort({ updatedAt: 1 })
+  .limit(limit)
+  .lean();
+};
+
+// Static method to get a page of replies in a thread, as seen by a user
+messageSchema.statics.getThreadReplies = async function(threadRootId, userId, options = {}) {
+  return this.getHistoryPage({ threadRoot: threadRootId, deletedFor: { $ne: userId }, expiresAt: notExpired() }, options);
+};
+
+// Static method to bump a thread root's reply count and last reply time for a new reply
+messageSchema.statics.recordThreadReply = async function(threadRootId, reply) {
+  return this.findByIdAndUpdate(
+    threadRootId,
+    {
+      $inc: { threadReplyCount: 1 },
+      $set: { threadLastReplyAt: reply.createdAt }
+    },
+    { new: true }
+  );
+};
+
+// Static method to get which of the given file URLs are still attached to a message other
+// than the excluded ones. Forwarded copies share a file, so it may only go with its last message.
+messageSchema.statics.getFileUrlsInUse = async function(fileUrls, excludeIds = []) {
+  const urls = fileUrls.filter(Boolean);
+  if (urls.length === 0) {
+    return new Set();
+  }
+
+  const inUse = await this.distinct('fileUrl', { fileUrl: { $in: urls }, _id: { $nin: excludeIds } });
+  return new Set(inUse);
+};
+
+// Static method to find a message's attachment for a user to download: the message must have
+// one, not be deleted for them and not have expired. Whether they can see it is up to the caller.
+messageSchema.statics.findAttachment = async function(messageId, userId) {
+  return this.findOne({
+    _id: messageId,
+    fileUrl: { $ne: null },
+    deletedFor: { $ne: userId },
+    expiresAt: notExpired()
+  }).select('sender receiver conversation fileUrl fileName thumbnail media.status');
+};
+
+// Static method to get a batch of messages whose disappearing timer has run out
+messageSchema.statics.findExpired = async function(limit, now = new Date()) {
+  return this.find({ expiresAt: { $lte: now } })
+    .select('sender receiver conversation fileUrl thumbnail')
+    .limit(limit)
+    .lean();
+};
+
 // Static method to get unread count
 messageSchema.statics.getUnreadCount = async function(userId) {
   return this.countDocuments({
     receiver: userId,
     isRead: false,
-    deletedFor: { $ne: userId }
+    deletedFor: { $ne: userId },
+    threadRoot: null,
+    expiresAt: notExpired()
   });
 };
 
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// One user's votes on a poll message: every option they picked, in one document so a change
+// of vote replaces them in a single write. Kept apart from Message so anonymous polls can be
+// sent to every member without revealing who voted for what.
+const pollVoteSchema = new mongoose.Schema({
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  options: [{
+    type: mongoose.Schema.Types.ObjectId
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+pollVoteSchema.index({ message: 1, user: 1 }, { unique: true });
+
+// Static method to replace a user's votes on a poll with the given options
+pollVoteSchema.statics.setVotes = async function(messageId, userId, optionIds) {
+  const replace = () => this.findOneAndUpdate(
+    { message: messageId, user: userId },
+    { $set: { options: optionIds } },
+    { upsert: true }
+  );
+
+  try {
+    await replace();
+  } catch (error) {
+    // Two first votes raced to create the document; the loser updates the winner's
+    if (error.code !== 11000) {
+      throw error;
+    }
+    await replace();
+  }
+};
+
+// Static method to remove a user's vote for one option, or all their votes on a poll
+pollVoteSchema.statics.removeVotes = async function(messageId, userId, optionId = null) {
+  if (optionId) {
+    await this.updateOne({ message: messageId, user: userId }, { $pull: { options: optionId } });
+  } else {
+    await this.deleteOne({ message: messageId, user: userId });
+  }
+};
+
+// Static method to get the voters for each option of a poll, keyed by option ID
+pollVoteSchema.statics.getVotersByOption = async function(messageId) {
+  const votes = await this.find({ message: messageId }).sort({ createdAt: 1 }).select('user options').lean();
+  return votes.reduce((voters, vote) => {
+    vote.options.forEach(option => {
+      const key = option.toString();
+      voters.set(key, [...(voters.get(key) || []), vote.user]);
+    });
+    return voters;
+  }, new Map());
+};
+
+// Static method to get the options a user picked in each of the given polls, keyed by message ID
+pollVoteSchema.statics.getUserVotes = async function(userId, messageIds) {
+  const votes = await this.find({ user: userId, message: { $in: messageIds } }).select('message options').lean();
+  return votes.reduce((byMessage, vote) => {
+    byMessage[vote.message.toString()] = vote.options.map(option => option.toString());
+    return byMessage;
+  }, {});
+};
+
+module.exports = mongoose.model('PollVote', pollVoteSchema);
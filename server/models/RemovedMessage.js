@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// How long removals are remembered. A client last synced before that has to reload instead.
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// A message that was deleted for good (its disappearing timer ran out, or its group was
+// deleted), kept so clients that were offline at the time drop it when they resync.
+const removedMessageSchema = new mongoose.Schema({
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    default: null
+  },
+  // Both sides of a direct message, who can see it whatever its conversation
+  users: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  removedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for better query performance
+removedMessageSchema.index({ removedAt: 1 }, { expireAfterSeconds: RETENTION_MS / 1000 });
+removedMessageSchema.index({ users: 1, removedAt: 1 });
+removedMessageSchema.index({ conversation: 1, removedAt: 1 });
+
+// Static method to remember that messages are being removed. Each needs _id, sender,
+// receiver and conversation.
+removedMessageSchema.statics.record = async function(messages, removedAt = new Date()) {
+  if (messages.length === 0) {
+    return;
+  }
+
+  await this.insertMany(messages.map(message => ({
+    message: message._id,
+    conversation: message.conversation || null,
+    users: message.receiver ? [message.sender, message.receiver] : [],
+    removedAt
+  })));
+};
+
+// Static method to get the IDs of messages a user could see that were removed after a point
+// in time, or null when that's longer ago than removals are remembered
+removedMessageSchema.statics.getRemovedSince = async function(userId, groupConversationIds, since) {
+  if (since.getTime() < Date.now() - RETENTION_MS) {
+    return null;
+  }
+
+  const removed = await this.find({
+    removedAt: { $gt: since },
+    $or: [
+      { users: userId },
+      { conversation: { $in: groupConversationIds } }
+    ]
+  }).select('message').lean();
+  return removed.map(entry => entry.message.toString());
+};
+
+module.exports = mongoose.model('RemovedMessage', removedMessageSchema);
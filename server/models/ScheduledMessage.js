@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// How long a dispatch may hold a scheduled message before another attempt can take it over
+const DISPATCH_LOCK_MS = 5 * 60 * 1000;
+// Unexpected errors are retried this many times before the message is marked failed
+const MAX_DISPATCH_ATTEMPTS = 3;
+// Wait before the first retry, doubled after each attempt
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+
+// A message waiting to be sent at scheduledFor. The entry is removed once the message is sent.
+const scheduledMessageSchema = new mongoose.Schema({
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Direct or group conversation the message will be sent to
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  // Kept as written; sanitized like any message text once it is sent
+  content: {
+    type: String,
+    required: true,
+    maxlength: 5000
+  },
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'failed'],
+    default: 'pending'
+  },
+  // Why the last attempt failed, shown to the sender
+  error: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  // After a failed attempt, when the next one may start
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+scheduledMessageSchema.index({ status: 1, scheduledFor: 1 });
+scheduledMessageSchema.index({ sender: 1, conversation: 1, scheduledFor: 1 });
+
+// Static method to claim the next due message for sending. Messages left in 'sending' by a
+// dispatch that never finished (e.g. the server restarted mid-send) are claimed again once stale.
+scheduledMessageSchema.statics.claimNextDue = async function(now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', scheduledFor: { $lte: now }, nextAttemptAt: { $not: { $gt: now } } },
+        { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - DISPATCH_LOCK_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'sending', lockedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { scheduledFor: 1 }, new: true }
+  );
+};
+
+// Method to record a failed attempt: permanent failures stop at once, others are retried
+// after a backoff
+scheduledMessageSchema.methods.recordFailure = async function(reason, permanent = false, now = new Date()) {
+  const giveUp = permanent || this.attempts >= MAX_DISPATCH_ATTEMPTS;
+  this.status = giveUp ? 'failed' : 'pending';
+  this.error = giveUp ? reason : null;
+  this.lockedAt = null;
+  this.nextAttemptAt = giveUp ? null : new Date(now.getTime() + RETRY_BASE_DELAY_MS * 2 ** (this.attempts - 1));
+  await this.save();
+  return giveUp;
+};
+
+module.exports = mongoose.model('ScheduledMessage', scheduledMessageSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const Message = require('./Message');
+
+// A message a user has saved for later. Kept out of Message so nobody else can see who starred what.
+const starredMessageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  // Set even for legacy direct messages, so saved messages can be filtered by chat
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+starredMessageSchema.index({ user: 1, message: 1 }, { unique: true });
+starredMessageSchema.index({ user: 1, conversation: 1, _id: -1 });
+starredMessageSchema.index({ message: 1 });
+
+// Static method to get which of the given messages a user has starred
+starredMessageSchema.statics.getStarredIds = async function(userId, messageIds) {
+  const stars = await this.find({ user: userId, message: { $in: messageIds } })
+    .select('message')
+    .lean();
+  return stars.map(star => star.message.toString());
+};
+
+// Static method to get a page of a user's starred messages, most recently starred first.
+// Messages the user deleted, that have expired, or that are in groups they have left, are skipped.
+starredMessageSchema.statics.getStarred = async function(userId, {
+  groupConversationIds = [],
+  conversationId,
+  messageType,
+  before,
+  limit = 20
+}) {
+  const { ObjectId } = mongoose.Types;
+  const user = new ObjectId(userId);
+
+  const starConditions = { user };
+  if (conversationId) starConditions.conversation = new ObjectId(conversationId);
+  if (before) starConditions._id = { $lt: new ObjectId(before) };
+
+  const messageConditions = {
+    'message.deletedFor': { $ne: user },
+    'message.expiresAt': Message.notExpired(),
+    $or: [
+      { 'message.sender': user, 'message.receiver': { $ne: null } },
+      { 'message.receiver': user },
+      { 'message.conversation': { $in: groupConversationIds.map(id => new ObjectId(id)) } }
+    ]
+  };
+  if (messageType) messageConditions['message.messageType'] = messageType;
+
+  const stars = await this.aggregate([
+    { $match: starConditions },
+    { $sort: { _id: -1 } },
+    {
+      $lookup: {
+        from: 'messages',
+        localField: 'message',
+        foreignField: '_id',
+        as: 'message'
+      }
+    },
+    { $unwind: '$message' },
+    { $match: messageConditions },
+    { $limit: limit + 1 },
+    { $project: { 'message.editHistory': 0 } }
+  ]);
+
+  await this.populate(stars, [
+    { path: 'message.sender', model: 'User', select: 'username firstName lastName avatar' },
+    { path: 'message.receiver', model: 'User', select: 'username firstName lastName avatar' },
+    { path: 'conversation', select: 'type name' }
+  ]);
+
+  return {
+    stars: stars.slice(0, limit),
+    hasMore: stars.length > limit
+  };
+};
+
+module.exports = mongoose.model('StarredMessage', starredMessageSchema);
@@ -1,25 +1,16 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const { auth, setFileTokenCookie, clearFileTokenCookie } = require('../middleware/auth');
 const multer = require('multer');
 const path = require('path');
+const { uploadStorage } = require('../storage/multerStorage');
 
 const router = express.Router();
 
 // Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/avatars/');
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
 const upload = multer({
-  storage: storage,
+  storage: uploadStorage({ folder: 'avatars' }),
   limits: {
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 // 5MB
   },
@@ -74,6 +65,7 @@ router.post('/register', async (req, res) => {
 
     // Generate token
     const token = generateToken(user._id);
+    setFileTokenCookie(req, res, token);
 
     res.status(201).json({
       message: 'User registered successfully',
@@ -112,6 +104,7 @@ router.post('/login', async (req, res) => {
 
     // Generate token
     const token = generateToken(user._id);
+    setFileTokenCookie(req, res, token);
 
     res.json({
       message: 'Login successful',
@@ -125,10 +118,11 @@ router.post('/login', async (req, res) => {
 });
 
 // @route   GET /api/auth/me
-// @desc    Get current user profile
+// @desc    Get current user profile. Also renews the cookie attachments are downloaded with.
 // @access  Private
 router.get('/me', auth, async (req, res) => {
   try {
+    setFileTokenCookie(req, res, req.token);
     res.json({
       user: req.user.getPublicProfile()
     });
@@ -176,7 +170,7 @@ router.post('/avatar', auth, upload.single('avatar'), async (req, res) => {
       return res.status(400).json({ message: 'No file uploaded' });
     }
 
-    const avatarUrl = `/uploads/avatars/${req.file.filename}`;
+    const avatarUrl = req.file.fileUrl;
     
     const user = await User.findByIdAndUpdate(
       req.user._id,
@@ -205,6 +199,7 @@ router.post('/logout', auth, async (req, res) => {
       lastSeen: new Date()
     });
 
+    clearFileTokenCookie(res);
     res.json({ message: 'Logged out successfully' });
   } catch (error) {
     console.error('Logout error:', error);
@@ -0,0 +1,415 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const StarredMessage = require('../models/StarredMessage');
+const PollVote = require('../models/PollVote');
+const { auth } = require('../middleware/auth');
+const {
+  resolveTarget,
+  markDelivered,
+  createSystemMessage,
+  removeConversationMessages,
+  MessageServiceError
+} = require('../services/messageService');
+const { parseHistoryQuery } = require('../utils/pagination');
+
+const router = express.Router();
+
+const MEMBER_FIELDS = 'username firstName lastName avatar status lastSeen';
+const MAX_GROUP_NAME_LENGTH = 100;
+const TIMER_LABELS = { 3600: '1 hour', 86400: '24 hours', 604800: '7 days' };
+
+// Load a conversation the current user belongs to, or send the error response
+const loadConversation = async (req, res) => {
+  const conversation = mongoose.Types.ObjectId.isValid(req.params.conversationId)
+    ? await Conversation.findById(req.params.conversationId)
+    : null;
+
+  if (!conversation || !conversation.isMember(req.user._id)) {
+    res.status(404).json({ message: 'Conversation not found' });
+    return null;
+  }
+
+  return conversation;
+};
+
+// Make sure every user ID is a friend of the current user
+const allFriends = (user, userIds) => {
+  return userIds.every(id => user.friends.includes(id) && !user.blockedUsers.includes(id));
+};
+
+// Notify members that the group changed, and return the populated group
+const broadcastConversation = async (req, conversation, extraUserIds = []) => {
+  await conversation.populate('members.user', MEMBER_FIELDS);
+
+  const io = req.app.get('io');
+  if (io) {
+    io.to([...conversation.getMemberIds(), ...extraUserIds.map(String)])
+      .emit('conversation_updated', { conversation });
+  }
+
+  return conversation;
+};
+
+// @route   GET /api/conversations
+// @desc    Get conversations the current user belongs to
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { type } = req.query;
+    const query = { 'members.user': req.user._id };
+
+    if (type) {
+      query.type = type;
+    }
+
+    const conversations = await Conversation.find(query)
+      .populate('members.user', MEMBER_FIELDS)
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    res.json({ conversations });
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/conversations
+// @desc    Create a group conversation
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, memberIds = [] } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: 'Group name is required' });
+    }
+
+    if (name.trim().length > MAX_GROUP_NAME_LENGTH) {
+      return res.status(400).json({ message: 'Group name is too long' });
+    }
+
+    if (!Array.isArray(memberIds) || memberIds.length === 0) {
+      return res.status(400).json({ message: 'At least one member is required' });
+    }
+
+    const uniqueMemberIds = [...new Set(memberIds.map(String))]
+      .filter(id => id !== req.user._id.toString());
+
+    if (!allFriends(req.user, uniqueMemberIds)) {
+      return res.status(403).json({ message: 'Can only add friends to a group' });
+    }
+
+    const conversation = new Conversation({
+      type: 'group',
+      name: name.trim(),
+      createdBy: req.user._id,
+      members: [
+        { user: req.user._id, role: 'admin' },
+        ...uniqueMemberIds.map(id => ({ user: id, role: 'member' }))
+      ]
+    });
+
+    await conversation.save();
+    await broadcastConversation(req, conversation);
+
+    res.status(201).json({ conversation });
+  } catch (error) {
+    console.error('Create conversation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/conversations/direct/:userId
+// @desc    Get the direct conversation with a friend, creating it if needed
+// @access  Private
+router.get('/direct/:userId', auth, async (req, res) => {
+  try {
+    const { conversation } = await resolveTarget(req.user, { receiverId: req.params.userId });
+    await conversation.populate('members.user', MEMBER_FIELDS);
+
+    res.json({ conversation });
+  } catch (error) {
+    if (error instanceof MessageServiceError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Get direct conversation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/conversations/:conversationId
+// @desc    Get a conversation with its members
+// @access  Private
+router.get('/:conversationId', auth, async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    await conversation.populate('members.user', MEMBER_FIELDS);
+
+    res.json({ conversation });
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/conversations/:conversationId
+// @desc    Rename a group conversation
+// @access  Private (group admins)
+router.put('/:conversationId', auth, async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: 'Group name is required' });
+    }
+
+    if (name.trim().length > MAX_GROUP_NAME_LENGTH) {
+      return res.status(400).json({ message: 'Group name is too long' });
+    }
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    if (conversation.type !== 'group') {
+      return res.status(400).json({ message: 'Only group conversations can be renamed' });
+    }
+
+    if (!conversation.isAdmin(req.user._id)) {
+      return res.status(403).json({ message: 'Only group admins can rename the group' });
+    }
+
+    conversation.name = name.trim();
+    await conversation.save();
+    await broadcastConversation(req, conversation);
+
+    res.json({ conversation });
+  } catch (error) {
+    console.error('Rename conversation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/conversations/:conversationId/disappearing
+// @desc    Set the disappearing messages timer (seconds: 0, 3600, 86400 or 604800)
+// @access  Private (either side of a direct chat, group admins)
+router.put('/:conversationId/disappearing', auth, async (req, res) => {
+  try {
+    const seconds = Number(req.body.seconds);
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    if (conversation.type === 'group' && !conversation.isAdmin(req.user._id)) {
+      return res.status(403).json({ message: 'Only group admins can change disappearing messages' });
+    }
+
+    // The change is announced in the chat, so it needs the same permission as sending
+    if (conversation.type === 'direct') {
+      await resolveTarget(req.user, { conversationId: conversation._id });
+    }
+
+    if (seconds === conversation.disappearingTimer) {
+      return res.json({ conversation, message: null });
+    }
+
+    if (!conversation.setDisappearingTimer(seconds)) {
+      return res.status(400).json({ message: 'Unsupported disappearing messages timer' });
+    }
+    await conversation.save();
+
+    const name = req.user.fullName.trim() || req.user.username;
+    const message = await createSystemMessage(
+      req.app.get('io'),
+      conversation,
+      req.user,
+      seconds
+        ? `${name} set disappearing messages to ${TIMER_LABELS[seconds]}`
+        : `${name} turned off disappearing messages`
+    );
+    await broadcastConversation(req, conversation);
+
+    res.json({ conversation, message });
+  } catch (error) {
+    if (error instanceof MessageServiceError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Set disappearing timer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/conversations/:conversationId/members
+// @desc    Add members to a group conversation
+// @access  Private (group admins)
+router.post('/:conversationId/members', auth, async (req, res) => {
+  try {
+    const { userIds } = req.body;
+
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+      return res.status(400).json({ message: 'User IDs are required' });
+    }
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    if (conversation.type !== 'group') {
+      return res.status(400).json({ message: 'Members can only be added to group conversations' });
+    }
+
+    if (!conversation.isAdmin(req.user._id)) {
+      return res.status(403).json({ message: 'Only group admins can add members' });
+    }
+
+    if (!allFriends(req.user, userIds.map(String))) {
+      return res.status(403).json({ message: 'Can only add friends to a group' });
+    }
+
+    userIds.forEach(userId => conversation.addMember(userId));
+    await conversation.save();
+    await broadcastConversation(req, conversation);
+
+    res.json({ conversation });
+  } catch (error) {
+    console.error('Add conversation members error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/conversations/:conversationId/members/:userId
+// @desc    Change a member's role
+// @access  Private (group admins)
+router.put('/:conversationId/members/:userId', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!['admin', 'member'].includes(role)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    if (conversation.type !== 'group') {
+      return res.status(400).json({ message: 'Roles only apply to group conversations' });
+    }
+
+    if (!conversation.isAdmin(req.user._id)) {
+      return res.status(403).json({ message: 'Only group admins can change roles' });
+    }
+
+    const member = conversation.getMember(userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (role === 'member' && member.role === 'admin' &&
+        conversation.members.filter(m => m.role === 'admin').length === 1) {
+      return res.status(400).json({ message: 'A group needs at least one admin' });
+    }
+
+    member.role = role;
+    await conversation.save();
+    await broadcastConversation(req, conversation);
+
+    res.json({ conversation });
+  } catch (error) {
+    console.error('Change member role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/conversations/:conversationId/members/:userId
+// @desc    Remove a member from a group (admins), or leave it (self)
+// @access  Private
+router.delete('/:conversationId/members/:userId', auth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const isSelf = userId === req.user._id.toString();
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    if (conversation.type !== 'group') {
+      return res.status(400).json({ message: 'Members can only be removed from group conversations' });
+    }
+
+    if (!isSelf && !conversation.isAdmin(req.user._id)) {
+      return res.status(403).json({ message: 'Only group admins can remove members' });
+    }
+
+    if (!conversation.isMember(userId)) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    conversation.removeMember(userId);
+
+    if (conversation.members.length === 0) {
+      await Conversation.deleteOne({ _id: conversation._id });
+      await removeConversationMessages(conversation._id);
+      return res.json({ message: 'Group deleted' });
+    }
+
+    await conversation.save();
+    await broadcastConversation(req, conversation, [userId]);
+
+    res.json({ conversation });
+  } catch (error) {
+    console.error('Remove conversation member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/conversations/:conversationId/messages
+// @desc    Get a page of conversation history (?before=, ?after= or ?around= a message ID)
+// @access  Private
+router.get('/:conversationId/messages', auth, async (req, res) => {
+  try {
+    const { options, error } = parseHistoryQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const otherUserId = conversation.type === 'direct'
+      ? conversation.getMemberIds().find(id => id !== req.user._id.toString())
+      : null;
+
+    // Same rule as GET /api/messages/:userId
+    if (otherUserId && req.user.blockedUsers.includes(otherUserId)) {
+      return res.status(403).json({ message: 'Cannot access messages from blocked user' });
+    }
+
+    // Direct conversations may hold messages sent before conversations existed
+    const page = otherUserId
+      ? await Message.getConversation(req.user._id, otherUserId, options)
+      : await Message.getGroupConversation(conversation._id, req.user._id, options);
+
+    if (!page) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    if (otherUserId) {
+      await markDelivered(req.app.get('io'), req.user._id, { sender: otherUserId });
+    }
+
+    const messageIds = page.messages.map(message => message._id);
+    const starredIds = await StarredMessage.getStarredIds(req.user._id, messageIds);
+    const pollVotes = await PollVote.getUserVotes(req.user._id, messageIds);
+
+    res.json({ ...page, starredIds, pollVotes });
+  } catch (error) {
+    console.error('Get conversation messages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const { fileAuth } = require('../middleware/auth');
+const { getParticipantIds } = require('../services/messageService');
+const { serveUpload, getContentDisposition } = require('../storage');
+
+const router = express.Router();
+
+// Load a message with an attachment the current user can still see, or send the error response.
+// Someone else's file is reported missing, so IDs can't be probed.
+const loadMessageFile = async (req, res) => {
+  const userId = req.user._id.toString();
+  const message = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Message.findAttachment(req.params.id, userId)
+    : null;
+
+  if (!message || !(await getParticipantIds(message)).includes(userId)) {
+    res.status(404).json({ message: 'File not found' });
+    return null;
+  }
+
+  return message;
+};
+
+// @route   GET /api/files/:id
+// @desc    Download a message's attachment, by message ID. Supports range requests, so audio
+//          and video can stream; download=true saves it instead of showing it in the browser.
+//          Photos and videos are held back until their location data has been removed.
+// @access  Private (participants of the message who haven't deleted it; Authorization header
+//          or the files_token cookie, so <img>, <video> and <audio> can load it)
+router.get('/:id', fileAuth, async (req, res) => {
+  try {
+    const message = await loadMessageFile(req, res);
+    if (!message) return;
+
+    if (message.media && message.media.status === 'processing') {
+      return res.status(409).json({ message: 'File is still being processed' });
+    }
+
+    await serveUpload(res, message.fileUrl, {
+      disposition: getContentDisposition(message.fileUrl, message.fileName, {
+        download: req.query.download === 'true'
+      })
+    });
+  } catch (error) {
+    console.error('Download file error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// @route   GET /api/files/:id/thumbnail
+// @desc    Download the thumbnail (or video poster) of an image or video attachment
+// @access  Private (as GET /api/files/:id)
+router.get('/:id/thumbnail', fileAuth, async (req, res) => {
+  try {
+    const message = await loadMessageFile(req, res);
+    if (!message) return;
+
+    if (!message.thumbnail) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    await serveUpload(res, message.thumbnail, { disposition: getContentDisposition(message.thumbnail) });
+  } catch (error) {
+    console.error('Download thumbnail error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+module.exports = router;
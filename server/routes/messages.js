@@ -1,156 +1,749 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Message = require('../models/Message');
 const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const StarredMessage = require('../models/StarredMessage');
+const PollVote = require('../models/PollVote');
 const { auth } = require('../middleware/auth');
+const {
+  createMessage,
+  deliverMessage,
+  populateMessage,
+  findMessageConversation,
+  getParticipantIds,
+  broadcastMessageChange,
+  markDelivered,
+  resolveMentions,
+  notifyMentioned,
+  attachLinkPreview,
+  MessageServiceError
+} = require('../services/messageService');
+const { getSearchTerms, buildSnippet } = require('../utils/highlight');
+const { parseHistoryQuery } = require('../utils/pagination');
+const { sanitizeContent, unescapeContent } = require('../utils/sanitize');
+const { extractFirstUrl } = require('../utils/links');
+const { removeUpload } = require('../storage');
+const { uploadStorage } = require('../storage/multerStorage');
+const { getAudioType, isValidAudioFile } = require('../utils/audio');
+const { processMessageMedia } = require('../services/mediaProcessor');
 const multer = require('multer');
-const path = require('path');
 
 const router = express.Router();
 
+const MAX_PINNED_MESSAGES = 10;
+const MAX_FORWARD_TARGETS = 5;
+// Content forwarded this many times can only be passed on to one chat at a time
+const FREQUENTLY_FORWARDED_COUNT = 5;
+const PIN_USER_FIELDS = 'username firstName lastName avatar';
+
+// Pinned messages, newest first, with what the pinned banner needs, leaving out any the viewer
+// can no longer see
+const getVisiblePins = async (conversation, userId) => {
+  await conversation.populate([
+    {
+      path: 'pinnedMessages.message',
+      select: 'content sender receiver messageType fileName createdAt deletedFor expiresAt',
+      populate: { path: 'sender', select: PIN_USER_FIELDS }
+    },
+    { path: 'pinnedMessages.pinnedBy', select: PIN_USER_FIELDS }
+  ]);
+
+  return [...conversation.pinnedMessages]
+    .reverse()
+    .filter(pin => pin.message && !pin.message.isHiddenFrom(userId))
+    .map(({ message, pinnedBy, pinnedAt }) => ({
+      message: {
+        _id: message._id,
+        content: message.content,
+        sender: message.sender,
+        receiver: message.receiver,
+        messageType: message.messageType,
+        fileName: message.fileName,
+        createdAt: message.createdAt
+      },
+      pinnedBy,
+      pinnedAt
+    }));
+};
+
+// Load a message the current user can still see, with everyone who can see it, or send the
+// error response. select adds fields that aren't loaded by default.
+const loadVisibleMessage = async (req, res, select) => {
+  const userId = req.user._id.toString();
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.messageId)) {
+    res.status(400).json({ message: 'Invalid message ID' });
+    return null;
+  }
+
+  const query = Message.findById(req.params.messageId);
+  const message = await (select ? query.select(select) : query);
+  if (!message || message.isHiddenFrom(userId)) {
+    res.status(404).json({ message: 'Message not found' });
+    return null;
+  }
+
+  const participantIds = await getParticipantIds(message);
+  if (!participantIds.includes(userId)) {
+    res.status(404).json({ message: 'Message not found' });
+    return null;
+  }
+
+  return { message, participantIds };
+};
+
+// Load a message and its conversation for a pin change, or send the error response.
+// Nobody can change pins in a direct chat where either side has blocked the other.
+const loadPinTarget = async (req, res) => {
+  const userId = req.user._id.toString();
+  const message = mongoose.Types.ObjectId.isValid(req.params.messageId)
+    ? await Message.findById(req.params.messageId)
+    : null;
+
+  if (!message || message.isHiddenFrom(userId)) {
+    res.status(404).json({ message: 'Message not found' });
+    return null;
+  }
+
+  const conversation = await findMessageConversation(message);
+  if (!conversation || !conversation.isMember(userId)) {
+    res.status(404).json({ message: 'Message not found' });
+    return null;
+  }
+
+  if (conversation.type === 'direct') {
+    const otherUserId = conversation.getMemberIds().find(id => id !== userId);
+    const otherUser = await User.findById(otherUserId).select('blockedUsers');
+
+    if (req.user.blockedUsers.includes(otherUserId) ||
+        (otherUser && otherUser.blockedUsers.includes(userId))) {
+      res.status(403).json({ message: 'Cannot change pins in a chat with a blocked user' });
+      return null;
+    }
+  }
+
+  return { message, conversation };
+};
+
+// Where a message lives, as shown in search results and saved messages.
+// Expects message.conversation to be populated with at least its name.
+const describeConversation = (message, userId) => {
+  if (!message.receiver) {
+    return { type: 'group', _id: message.conversation._id, name: message.conversation.name };
+  }
+
+  const partner = message.sender._id.toString() === userId.toString() ? message.receiver : message.sender;
+  return { type: 'direct', _id: message.conversation ? message.conversation._id : null, user: partner };
+};
+
+// Load a poll message the current user can vote on, with everyone who can see it,
+// or send the error response
+const loadPoll = async (req, res) => {
+  const userId = req.user._id.toString();
+  const message = mongoose.Types.ObjectId.isValid(req.params.messageId)
+    ? await Message.findById(req.params.messageId)
+    : null;
+
+  if (!message || message.messageType !== 'poll' || !message.poll || message.isHiddenFrom(userId)) {
+    res.status(404).json({ message: 'Poll not found' });
+    return null;
+  }
+
+  const participantIds = await getParticipantIds(message);
+  if (!participantIds.includes(userId)) {
+    res.status(404).json({ message: 'Poll not found' });
+    return null;
+  }
+
+  return { message, participantIds };
+};
+
+// Recount a poll after a vote changed and tell everyone who can see it. The voter's own
+// sessions also get their picks, which anonymous tallies don't reveal.
+const publishPollVotes = async (req, message, participantIds) => {
+  const updated = await message.updatePollTally(await PollVote.getVotersByOption(message._id));
+  const myVotes = (await PollVote.getUserVotes(req.user._id, [message._id]))[message._id.toString()] || [];
+
+  const io = req.app.get('io');
+  broadcastMessageChange(io, updated, participantIds, 'poll_updated', { poll: updated.poll });
+  if (io) {
+    io.to(req.user._id.toString()).emit('poll_vote_changed', { messageId: message._id.toString(), optionIds: myVotes });
+  }
+
+  return { poll: updated.poll, myVotes };
+};
+
 // Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/messages/');
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+const upload = multer({
+  storage: uploadStorage({ folder: 'messages' }),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB
   }
 });
 
-const upload = multer({
-  storage: storage,
+// Voice notes: audio types only, stored with the extension of their type since
+// recordings arrive as unnamed blobs
+const voiceUpload = multer({
+  storage: uploadStorage({
+    folder: 'messages',
+    extension: (file) => getAudioType(file.mimetype).extension
+  }),
   limits: {
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (getAudioType(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
   }
 });
 
+// Receive a voice note upload, answering 400 instead of failing the request on a bad file
+const receiveVoiceNote = (req, res, next) => {
+  voiceUpload.single('audio')(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? 'Voice note is too large'
+        : 'Voice notes must be WebM, Ogg, MP4, AAC, MP3 or WAV audio';
+      return res.status(400).json({ message });
+    }
+    next();
+  });
+};
+
 // @route   POST /api/messages
-// @desc    Send a message
+// @desc    Send a message to a friend or a conversation. Location messages send a location
+//          ({ lat, lng, accuracy, label, liveMinutes }) instead of content.
 // @access  Private
 router.post('/', auth, async (req, res) => {
   try {
-    const { receiverId, content, messageType = 'text', replyTo } = req.body;
+    const {
+      receiverId,
+      conversationId,
+      content,
+      messageType = 'text',
+      location,
+      replyTo,
+      threadRoot,
+      clientMessageId
+    } = req.body;
 
-    if (!receiverId || !content) {
-      return res.status(400).json({ message: 'Receiver ID and content are required' });
+    if ((!receiverId && !conversationId) || (!content && messageType !== 'location')) {
+      return res.status(400).json({ message: 'Receiver or conversation ID and content are required' });
     }
 
-    // Check if receiver exists and is not blocked
-    const receiver = await User.findById(receiverId);
-    if (!receiver) {
-      return res.status(404).json({ message: 'Receiver not found' });
+    const result = await createMessage(req.user, {
+      receiverId,
+      conversationId,
+      content,
+      messageType,
+      location,
+      replyTo,
+      threadRoot,
+      clientMessageId
+    });
+
+    deliverMessage(req.app.get('io'), result, req.user);
+
+    // A retried send answers with the message stored the first time
+    res.status(result.duplicate ? 200 : 201).json({ message: result.message });
+  } catch (error) {
+    if (error instanceof MessageServiceError) {
+      return res.status(error.status).json({ message: error.message });
     }
+    console.error('Send message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/messages/file
+// @desc    Send a file message. Images and videos are sent straight away and get their
+//          thumbnail, placeholder and dimensions afterwards (media_processed).
+// @access  Private
+router.post('/file', auth, upload.single('file'), async (req, res) => {
+  const fileUrl = req.file ? req.file.fileUrl : null;
+  let result = null;
+
+  try {
+    const {
+      receiverId,
+      conversationId,
+      messageType = 'file',
+      replyTo,
+      threadRoot,
+      clientMessageId
+    } = req.body;
 
-    if (req.user.blockedUsers.includes(receiverId)) {
-      return res.status(403).json({ message: 'Cannot send message to blocked user' });
+    if ((!receiverId && !conversationId) || !req.file) {
+      return res.status(400).json({ message: 'Receiver or conversation ID and file are required' });
     }
 
-    // Check if they are friends (optional - you can remove this if you want to allow messages to anyone)
-    if (!req.user.friends.includes(receiverId)) {
-      return res.status(403).json({ message: 'Can only send messages to friends' });
+    // Audio messages get played inline, so they must really be audio
+    if (messageType === 'audio' && !(await isValidAudioFile(req.file))) {
+      await removeUpload(fileUrl);
+      return res.status(400).json({ message: 'File is not a supported audio type' });
     }
 
-    const messageData = {
-      sender: req.user._id,
-      receiver: receiverId,
-      content,
-      messageType
-    };
+    result = await createMessage(req.user, {
+      receiverId,
+      conversationId,
+      content: req.file.originalname,
+      messageType,
+      replyTo,
+      fileUrl,
+      fileName: req.file.originalname,
+      fileSize: req.file.size,
+      media: ['image', 'video'].includes(messageType) ? { status: 'processing' } : undefined,
+      threadRoot,
+      clientMessageId
+    });
 
-    if (replyTo) {
-      const replyMessage = await Message.findById(replyTo);
-      if (replyMessage) {
-        messageData.replyTo = replyTo;
-      }
+    // A retry that was already stored keeps the first upload
+    if (result.duplicate) {
+      await removeUpload(fileUrl);
     }
 
-    const message = new Message(messageData);
-    await message.save();
+    const io = req.app.get('io');
+    deliverMessage(io, result, req.user);
 
-    // Populate sender and receiver info
-    await message.populate('sender', 'username firstName lastName avatar');
-    await message.populate('receiver', 'username firstName lastName avatar');
-    if (message.replyTo) {
-      await message.populate('replyTo', 'content sender');
+    if (!result.duplicate && result.message.media) {
+      processMessageMedia(io, result.message).catch(error => console.error('Media processing error:', error));
     }
 
-    res.status(201).json({ message: message });
+    res.status(result.duplicate ? 200 : 201).json({ message: result.message });
   } catch (error) {
-    console.error('Send message error:', error);
+    // Nothing refers to the upload unless its message was stored. Thumbnails and posters are
+    // only made once it is, so there's nothing else to clean up.
+    if (!result) {
+      await removeUpload(fileUrl).catch(removeError => console.error('Remove message file error:', removeError));
+    }
+    if (error instanceof MessageServiceError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Send file message error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @route   POST /api/messages/file
-// @desc    Send a file message
+// @route   POST /api/messages/voice
+// @desc    Send a voice note: an 'audio' file plus its duration (seconds) and waveform
+//          (JSON array of 0-100 bar heights) to a friend or a conversation
 // @access  Private
-router.post('/file', auth, upload.single('file'), async (req, res) => {
+router.post('/voice', auth, receiveVoiceNote, async (req, res) => {
+  const fileUrl = req.file ? req.file.fileUrl : null;
+  let result = null;
+
   try {
-    const { receiverId, messageType = 'file', replyTo } = req.body;
+    const {
+      receiverId,
+      conversationId,
+      duration,
+      waveform,
+      threadRoot,
+      clientMessageId
+    } = req.body;
+
+    if ((!receiverId && !conversationId) || !req.file) {
+      return res.status(400).json({ message: 'Receiver or conversation ID and a recording are required' });
+    }
+
+    // The declared type is only a claim; check the bytes match it
+    if (!(await isValidAudioFile(req.file))) {
+      await removeUpload(fileUrl);
+      return res.status(400).json({ message: 'Recording is not a supported audio type' });
+    }
+
+    result = await createMessage(req.user, {
+      receiverId,
+      conversationId,
+      content: 'Voice message',
+      messageType: 'audio',
+      fileUrl,
+      fileName: req.file.filename,
+      fileSize: req.file.size,
+      voiceNote: { duration, waveform },
+      threadRoot,
+      clientMessageId
+    });
 
-    if (!receiverId || !req.file) {
-      return res.status(400).json({ message: 'Receiver ID and file are required' });
+    // A retry that was already stored keeps the first upload
+    if (result.duplicate) {
+      await removeUpload(fileUrl);
     }
 
-    // Check if receiver exists and is not blocked
-    const receiver = await User.findById(receiverId);
-    if (!receiver) {
-      return res.status(404).json({ message: 'Receiver not found' });
+    deliverMessage(req.app.get('io'), result, req.user);
+
+    res.status(result.duplicate ? 200 : 201).json({ message: result.message });
+  } catch (error) {
+    // Nothing refers to the recording unless its message was stored
+    if (!result) {
+      await removeUpload(fileUrl).catch(removeError => console.error('Remove voice note file error:', removeError));
     }
+    if (error instanceof MessageServiceError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Send voice note error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    if (req.user.blockedUsers.includes(receiverId)) {
-      return res.status(403).json({ message: 'Cannot send message to blocked user' });
+// @route   POST /api/messages/poll
+// @desc    Send a poll (question, options, allowMultiple, anonymous) to a friend or a conversation
+// @access  Private
+router.post('/poll', auth, async (req, res) => {
+  try {
+    const {
+      receiverId,
+      conversationId,
+      question,
+      options,
+      allowMultiple,
+      anonymous,
+      clientMessageId
+    } = req.body;
+
+    if (!receiverId && !conversationId) {
+      return res.status(400).json({ message: 'Receiver or conversation ID is required' });
     }
 
-    // Check if they are friends
-    if (!req.user.friends.includes(receiverId)) {
-      return res.status(403).json({ message: 'Can only send messages to friends' });
+    const result = await createMessage(req.user, {
+      receiverId,
+      conversationId,
+      messageType: 'poll',
+      poll: { question, options, allowMultiple, anonymous },
+      clientMessageId
+    });
+
+    deliverMessage(req.app.get('io'), result, req.user);
+
+    res.status(result.duplicate ? 200 : 201).json({ message: result.message });
+  } catch (error) {
+    if (error instanceof MessageServiceError) {
+      return res.status(error.status).json({ message: error.message });
     }
+    console.error('Send poll error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    const fileUrl = `/uploads/messages/${req.file.filename}`;
-    
-    const messageData = {
-      sender: req.user._id,
-      receiver: receiverId,
-      content: req.file.originalname,
+// @route   GET /api/messages/search
+// @desc    Full-text search across the current user's conversations
+// @access  Private
+router.get('/search', auth, async (req, res) => {
+  try {
+    const {
+      q,
+      from,
+      userId,
+      conversationId,
+      startDate,
+      endDate,
       messageType,
-      fileUrl,
-      fileName: req.file.originalname,
-      fileSize: req.file.size
-    };
+      hasAttachment,
+      limit = 20,
+      skip = 0
+    } = req.query;
+
+    if (!q || q.trim().length < 2) {
+      return res.status(400).json({ message: 'Search query must be at least 2 characters' });
+    }
 
-    if (replyTo) {
-      const replyMessage = await Message.findById(replyTo);
-      if (replyMessage) {
-        messageData.replyTo = replyTo;
+    const ids = [from, userId, conversationId].filter(Boolean);
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'Invalid ID filter' });
+    }
+
+    const start = startDate ? new Date(startDate) : null;
+    const end = endDate ? new Date(endDate) : null;
+    if ((start && isNaN(start)) || (end && isNaN(end))) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+
+    const groups = await Conversation.find({ type: 'group', 'members.user': req.user._id })
+      .select('_id')
+      .lean();
+    const groupIds = groups.map(group => group._id);
+
+    // Optionally narrow the search to one chat
+    let conversationFilter = null;
+    if (userId) {
+      conversationFilter = Message.conversationFilter(req.user._id, userId);
+    } else if (conversationId) {
+      if (!groupIds.some(id => id.toString() === conversationId)) {
+        return res.status(404).json({ message: 'Conversation not found' });
+      }
+      conversationFilter = { conversation: conversationId };
+    }
+
+    const messages = await Message.search(req.user._id, {
+      q: q.trim(),
+      groupConversationIds: groupIds,
+      blockedUserIds: req.user.blockedUsers,
+      from,
+      conversationFilter,
+      startDate: start,
+      endDate: end,
+      messageType,
+      hasAttachment: hasAttachment === undefined ? undefined : hasAttachment === 'true',
+      limit: Math.min(parseInt(limit) || 20, 50),
+      skip: parseInt(skip) || 0
+    });
+
+    const terms = getSearchTerms(q);
+    const results = messages.map(message => ({
+      _id: message._id,
+      sender: message.sender,
+      messageType: message.messageType,
+      fileName: message.fileName,
+      createdAt: message.createdAt,
+      threadRoot: message.threadRoot,
+      score: message.score,
+      snippet: buildSnippet(unescapeContent(message.content), terms),
+      conversation: describeConversation(message, req.user._id)
+    }));
+
+    res.json({ results });
+  } catch (error) {
+    console.error('Search messages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/messages/conversations
+// @desc    Get the inbox: every conversation with its last message and unread count
+// @access  Private
+router.get('/conversations', auth, async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const [groups, directConversations] = await Promise.all([
+      Conversation.find({ type: 'group', 'members.user': userId }),
+      Conversation.find({ type: 'direct', 'members.user': userId }).select('members').lean()
+    ]);
+
+    const summaries = await Message.getConversationSummaries(
+      userId,
+      groups.map(group => group._id)
+    );
+
+    // Direct chats: attach the other participant, skipping blocked users
+    const partnerIds = summaries
+      .filter(summary => summary._id.user)
+      .map(summary => summary._id.user)
+      .filter(id => !req.user.blockedUsers.includes(id));
+
+    const partners = await User.find({ _id: { $in: partnerIds } })
+      .select('username firstName lastName avatar status lastSeen')
+      .lean();
+    const partnersById = new Map(partners.map(partner => [partner._id.toString(), partner]));
+
+    const directConversationIds = new Map(directConversations.map(conversation => {
+      const otherMember = conversation.members.find(
+        member => member.user.toString() !== userId.toString()
+      );
+      return [otherMember ? otherMember.user.toString() : userId.toString(), conversation._id];
+    }));
+
+    const summariesByGroup = new Map(summaries
+      .filter(summary => summary._id.conversation)
+      .map(summary => [summary._id.conversation.toString(), summary]));
+
+    const conversations = summaries
+      .filter(summary => summary._id.user && partnersById.has(summary._id.user.toString()))
+      .map(summary => {
+        const partnerId = summary._id.user.toString();
+        return {
+          type: 'direct',
+          conversationId: directConversationIds.get(partnerId) || null,
+          user: partnersById.get(partnerId),
+          lastMessage: summary.lastMessage,
+          lastMessageAt: summary.lastMessage.createdAt,
+          unreadCount: summary.unreadCount
+        };
+      });
+
+    // Groups: unread counts depend on each member's lastReadAt; empty groups are listed too
+    const groupEntries = await Promise.all(groups.map(async (group) => {
+      const summary = summariesByGroup.get(group._id.toString());
+      const member = group.getMember(userId);
+
+      return {
+        type: 'group',
+        conversationId: group._id,
+        name: group.name,
+        memberCount: group.members.length,
+        lastMessage: summary ? summary.lastMessage : null,
+        lastMessageAt: summary ? summary.lastMessage.createdAt : group.createdAt,
+        unreadCount: summary
+          ? await Message.getGroupUnreadCount(group._id, userId, member.lastReadAt)
+          : 0
+      };
+    }));
+
+    conversations.push(...groupEntries);
+    conversations.sort((a, b) => new Date(b.lastMessageAt) - new Date(a.lastMessageAt));
+
+    // Only the preview fields of the last message are needed
+    conversations.forEach(conversation => {
+      if (conversation.lastMessage) {
+        const { _id, sender, content, messageType, createdAt } = conversation.lastMessage;
+        conversation.lastMessage = { _id, sender, content, messageType, createdAt };
       }
+    });
+
+    res.json({ conversations });
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/messages/pins
+// @desc    Get pinned messages for a direct chat (?userId=) or a group (?conversationId=)
+// @access  Private
+router.get('/pins', auth, async (req, res) => {
+  try {
+    const { userId, conversationId } = req.query;
+
+    if ((!userId && !conversationId) ||
+        !mongoose.Types.ObjectId.isValid(userId || conversationId)) {
+      return res.status(400).json({ message: 'A valid user or conversation ID is required' });
     }
 
-    const message = new Message(messageData);
-    await message.save();
+    const conversation = conversationId
+      ? await Conversation.findById(conversationId)
+      : await Conversation.findOne({ directKey: Conversation.directKeyFor(req.user._id, userId) });
+
+    if (conversationId && (!conversation || !conversation.isMember(req.user._id))) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
 
-    // Populate sender and receiver info
-    await message.populate('sender', 'username firstName lastName avatar');
-    await message.populate('receiver', 'username firstName lastName avatar');
-    if (message.replyTo) {
-      await message.populate('replyTo', 'content sender');
+    // A direct chat that has never had a conversation has nothing pinned
+    if (!conversation) {
+      return res.json({ conversationId: null, pins: [] });
     }
 
-    res.status(201).json({ message: message });
+    res.json({
+      conversationId: conversation._id,
+      pins: await getVisiblePins(conversation, req.user._id)
+    });
   } catch (error) {
-    console.error('Send file message error:', error);
+    console.error('Get pinned messages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/messages/starred
+// @desc    Get the current user's starred messages, most recently starred first
+//          (filters: userId or conversationId, messageType; page with before=<starId>)
+// @access  Private
+router.get('/starred', auth, async (req, res) => {
+  try {
+    const { userId, conversationId, messageType, before, limit = 20 } = req.query;
+
+    const ids = [userId, conversationId, before].filter(Boolean);
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'Invalid ID filter' });
+    }
+
+    const groups = await Conversation.find({ type: 'group', 'members.user': req.user._id })
+      .select('_id')
+      .lean();
+
+    // Optionally narrow to one chat
+    let scopeId = conversationId;
+    if (userId) {
+      const direct = await Conversation.findOne({ directKey: Conversation.directKeyFor(req.user._id, userId) })
+        .select('_id')
+        .lean();
+      if (!direct) {
+        return res.json({ starred: [], hasMore: false });
+      }
+      scopeId = direct._id;
+    }
+
+    const { stars, hasMore } = await StarredMessage.getStarred(req.user._id, {
+      groupConversationIds: groups.map(group => group._id),
+      conversationId: scopeId,
+      messageType,
+      before,
+      limit: Math.min(parseInt(limit) || 20, 50)
+    });
+
+    const starred = stars.map(star => ({
+      _id: star._id,
+      starredAt: star.createdAt,
+      message: {
+        _id: star.message._id,
+        sender: star.message.sender,
+        content: star.message.content,
+        messageType: star.message.messageType,
+        fileName: star.message.fileName,
+        createdAt: star.message.createdAt,
+        threadRoot: star.message.threadRoot
+      },
+      conversation: describeConversation({ ...star.message, conversation: star.conversation }, req.user._id)
+    }));
+
+    res.json({ starred, hasMore });
+  } catch (error) {
+    console.error('Get starred messages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/messages/mentions
+// @desc    Messages that @mention the current user, newest first (page with before=<messageId>)
+// @access  Private
+router.get('/mentions', auth, async (req, res) => {
+  try {
+    const { before, limit = 20 } = req.query;
+
+    if (before && !mongoose.Types.ObjectId.isValid(before)) {
+      return res.status(400).json({ message: 'Invalid message ID' });
+    }
+
+    const groups = await Conversation.find({ type: 'group', 'members.user': req.user._id })
+      .select('_id')
+      .lean();
+
+    const { messages, hasMore } = await Message.getMentions(req.user._id, {
+      groupConversationIds: groups.map(group => group._id),
+      blockedUserIds: req.user.blockedUsers,
+      before,
+      limit: Math.min(parseInt(limit) || 20, 50)
+    });
+
+    const mentions = messages.map(message => ({
+      _id: message._id,
+      sender: message.sender,
+      content: message.content,
+      messageType: message.messageType,
+      createdAt: message.createdAt,
+      threadRoot: message.threadRoot,
+      conversation: describeConversation(message, req.user._id)
+    }));
+
+    res.json({ mentions, hasMore });
+  } catch (error) {
+    console.error('Get mentions error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 // @route   GET /api/messages/:userId
-// @desc    Get conversation with a user
+// @desc    Get a page of conversation history with a user (?before=, ?after= or ?around= a message ID)
 // @access  Private
 router.get('/:userId', auth, async (req, res) => {
   try {
     const { userId } = req.params;
-    const { limit = 50, skip = 0 } = req.query;
+    const { options, error } = parseHistoryQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
 
     // Check if user exists and is not blocked
     const otherUser = await User.findById(userId);
@@ -162,14 +755,20 @@ router.get('/:userId', auth, async (req, res) => {
       return res.status(403).json({ message: 'Cannot access messages from blocked user' });
     }
 
-    const messages = await Message.getConversation(
-      req.user._id,
-      userId,
-      parseInt(limit),
-      parseInt(skip)
-    );
+    const page = await Message.getConversation(req.user._id, userId, options);
+
+    if (!page) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    // Fetching history counts as delivery for anything the ack missed
+    await markDelivered(req.app.get('io'), req.user._id, { sender: userId });
 
-    res.json({ messages: messages.reverse() }); // Reverse to get chronological order
+    const messageIds = page.messages.map(message => message._id);
+    const starredIds = await StarredMessage.getStarredIds(req.user._id, messageIds);
+    const pollVotes = await PollVote.getUserVotes(req.user._id, messageIds);
+
+    res.json({ ...page, starredIds, pollVotes });
   } catch (error) {
     console.error('Get conversation error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -189,7 +788,7 @@ router.put('/:messageId/read', auth, async (req, res) => {
     }
 
     // Only mark as read if user is the receiver
-    if (message.receiver.toString() !== req.user._id.toString()) {
+    if (!message.receiver || message.receiver.toString() !== req.user._id.toString()) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
@@ -207,17 +806,16 @@ router.put('/:messageId/read', auth, async (req, res) => {
 // @access  Private
 router.put('/:messageId', auth, async (req, res) => {
   try {
-    const { messageId } = req.params;
-    const { content } = req.body;
+    const content = sanitizeContent(req.body.content);
 
     if (!content) {
       return res.status(400).json({ message: 'Content is required' });
     }
 
-    const message = await Message.findById(messageId);
-    if (!message) {
-      return res.status(404).json({ message: 'Message not found' });
-    }
+    // Edit history isn't selected by default, but editMessage appends to it
+    const target = await loadVisibleMessage(req, res, '+editHistory');
+    if (!target) return;
+    const { message, participantIds } = target;
 
     // Only allow sender to edit
     if (message.sender.toString() !== req.user._id.toString()) {
@@ -225,12 +823,47 @@ router.put('/:messageId', auth, async (req, res) => {
     }
 
     // Only allow editing text messages
-    if (message.messageType !== 'text') {
+    if (message.messageType !== 'text' || message.deletedForEveryone) {
       return res.status(400).json({ message: 'Only text messages can be edited' });
     }
 
+    if (!message.isWithinEditWindow()) {
+      return res.status(403).json({ message: 'This message can no longer be edited' });
+    }
+
+    // Mentions follow the new text; only people it newly mentions are notified
+    const previousMentions = message.mentions.map(id => id.toString());
+    message.mentions = await resolveMentions(content, participantIds.filter(id => id !== req.user._id.toString()));
+
+    // A preview stays only while the edited text still leads with the same link
+    const linkUrl = extractFirstUrl(content);
+    if (message.linkPreview && message.linkPreview.url !== linkUrl) {
+      message.linkPreview = undefined;
+    }
+
     await message.editMessage(content);
 
+    const io = req.app.get('io');
+    broadcastMessageChange(io, message, participantIds, 'message_edited', {
+      content: message.content,
+      isEdited: message.isEdited,
+      editedAt: message.editedAt,
+      mentions: message.mentions,
+      linkPreview: message.linkPreview || null
+    });
+
+    if (linkUrl && !message.linkPreview) {
+      attachLinkPreview(io, message, participantIds)
+        .catch(error => console.error('Link preview error:', error));
+    }
+
+    const newlyMentioned = message.mentions.filter(id => !previousMentions.includes(id.toString()));
+    if (newlyMentioned.length > 0) {
+      // Reloaded so the edit history selected above isn't sent along
+      const edited = await populateMessage(await Message.findById(message._id));
+      notifyMentioned(io, newlyMentioned, edited, await findMessageConversation(message), req.user);
+    }
+
     res.json({ message: 'Message edited successfully' });
   } catch (error) {
     console.error('Edit message error:', error);
@@ -238,12 +871,335 @@ router.put('/:messageId', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/messages/:messageId/thread
+// @desc    Get a thread root and a page of its replies (same cursors as conversation history)
+// @access  Private
+router.get('/:messageId/thread', auth, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { options, error } = parseHistoryQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({ message: 'Invalid message ID' });
+    }
+
+    const root = await Message.findById(messageId);
+    if (!root || root.threadRoot || root.isHiddenFrom(req.user._id)) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+
+    const participantIds = await getParticipantIds(root);
+    if (!participantIds.includes(req.user._id.toString())) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+
+    const page = await Message.getThreadReplies(root._id, req.user._id, options);
+    await populateMessage(root);
+
+    if (!page) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    res.json({ root, ...page });
+  } catch (error) {
+    console.error('Get thread error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/messages/:messageId/forward
+// @desc    Forward a message to one or more chats, given as targets: [{ receiverId } | { conversationId }].
+//          Attachments are shared with the original rather than uploaded again.
+// @access  Private
+router.post('/:messageId/forward', auth, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { targets } = req.body;
+    const userId = req.user._id.toString();
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({ message: 'Invalid message ID' });
+    }
+
+    const isTarget = (target) => !!target && typeof target === 'object' &&
+      mongoose.Types.ObjectId.isValid(target.conversationId || target.receiverId);
+    if (!Array.isArray(targets) || targets.length === 0 || !targets.every(isTarget)) {
+      return res.status(400).json({ message: 'At least one chat to forward to is required' });
+    }
+
+    // The same chat picked twice only gets one copy
+    const uniqueTargets = [...new Map(targets.map(target => [
+      target.conversationId ? `conversation:${target.conversationId}` : `user:${target.receiverId}`,
+      target.conversationId ? { conversationId: target.conversationId } : { receiverId: target.receiverId }
+    ])).values()];
+
+    if (uniqueTargets.length > MAX_FORWARD_TARGETS) {
+      return res.status(400).json({ message: `Messages can be forwarded to at most ${MAX_FORWARD_TARGETS} chats at once` });
+    }
+
+    const message = await Message.findById(messageId);
+    if (!message || message.isHiddenFrom(userId)) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    const participantIds = await getParticipantIds(message);
+    if (!participantIds.includes(userId)) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    if (message.deletedForEveryone || message.messageType === 'system') {
+      return res.status(400).json({ message: 'This message cannot be forwarded' });
+    }
+
+    // A poll's votes belong to the chat it was asked in
+    if (message.messageType === 'poll') {
+      return res.status(400).json({ message: 'Polls cannot be forwarded' });
+    }
+
+    if (message.forwardCount >= FREQUENTLY_FORWARDED_COUNT && uniqueTargets.length > 1) {
+      return res.status(400).json({
+        message: 'Messages forwarded many times can only be forwarded to one chat at a time'
+      });
+    }
+
+    const io = req.app.get('io');
+    const forwarded = [];
+    const failed = [];
+    let failedStatus = 400;
+
+    // One at a time, so a target the sender may not message doesn't stop the others
+    for (const target of uniqueTargets) {
+      try {
+        const result = await createMessage(req.user, {
+          ...target,
+          content: message.content,
+          messageType: message.messageType,
+          fileUrl: message.fileUrl,
+          fileName: message.fileName,
+          fileSize: message.fileSize,
+          thumbnail: message.thumbnail,
+          // Copies made while the original is still processing are updated along with it
+          media: message.media ? message.media.toObject() : undefined,
+          voiceNote: message.voiceNote ? message.voiceNote.toObject() : undefined,
+          // A live location is passed on as the place it was at
+          location: message.location
+            ? { lat: message.location.lat, lng: message.location.lng, accuracy: message.location.accuracy, label: message.location.label }
+            : undefined,
+          forwardCount: message.forwardCount + 1
+        });
+        deliverMessage(io, result, req.user);
+        forwarded.push(result.message);
+      } catch (error) {
+        if (!(error instanceof MessageServiceError)) {
+          throw error;
+        }
+        failed.push({ ...target, message: error.message });
+        failedStatus = error.status;
+      }
+    }
+
+    if (forwarded.length === 0) {
+      return res.status(failedStatus).json({ message: failed[0].message, failed });
+    }
+
+    res.status(201).json({ messages: forwarded, failed });
+  } catch (error) {
+    console.error('Forward message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/messages/:messageId/pin
+// @desc    Pin a message in its conversation
+// @access  Private
+router.post('/:messageId/pin', auth, async (req, res) => {
+  try {
+    const target = await loadPinTarget(req, res);
+    if (!target) return;
+    const { message, conversation } = target;
+
+    if (message.deletedForEveryone) {
+      return res.status(400).json({ message: 'Deleted messages cannot be pinned' });
+    }
+
+    if (!conversation.isPinned(message._id)) {
+      if (conversation.pinnedMessages.length >= MAX_PINNED_MESSAGES) {
+        return res.status(400).json({
+          message: `A conversation can have at most ${MAX_PINNED_MESSAGES} pinned messages`
+        });
+      }
+
+      conversation.pinMessage(message._id, req.user._id);
+      await conversation.save();
+
+      const pins = await getVisiblePins(conversation, req.user._id);
+      const io = req.app.get('io');
+      if (io) {
+        io.to(conversation.getMemberIds()).emit('message_pinned', {
+          conversationId: conversation._id.toString(),
+          pin: pins.find(pin => pin.message._id.toString() === message._id.toString())
+        });
+      }
+
+      return res.status(201).json({ conversationId: conversation._id, pins });
+    }
+
+    res.json({ conversationId: conversation._id, pins: await getVisiblePins(conversation, req.user._id) });
+  } catch (error) {
+    console.error('Pin message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/messages/:messageId/pin
+// @desc    Unpin a message (group members can unpin their own pins, admins any pin)
+// @access  Private
+router.delete('/:messageId/pin', auth, async (req, res) => {
+  try {
+    const target = await loadPinTarget(req, res);
+    if (!target) return;
+    const { message, conversation } = target;
+
+    const pin = conversation.pinnedMessages.find(
+      item => item.message.toString() === message._id.toString()
+    );
+    if (!pin) {
+      return res.status(404).json({ message: 'Message is not pinned' });
+    }
+
+    if (conversation.type === 'group' && !conversation.isAdmin(req.user._id) &&
+        (!pin.pinnedBy || pin.pinnedBy.toString() !== req.user._id.toString())) {
+      return res.status(403).json({ message: 'Only admins can unpin messages pinned by others' });
+    }
+
+    conversation.unpinMessage(message._id);
+    await conversation.save();
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(conversation.getMemberIds()).emit('message_unpinned', {
+        conversationId: conversation._id.toString(),
+        messageId: message._id.toString()
+      });
+    }
+
+    res.json({ conversationId: conversation._id, pins: await getVisiblePins(conversation, req.user._id) });
+  } catch (error) {
+    console.error('Unpin message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/messages/:messageId/star
+// @desc    Star a message for the current user
+// @access  Private
+router.post('/:messageId/star', auth, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user._id.toString();
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({ message: 'Invalid message ID' });
+    }
+
+    const message = await Message.findById(messageId);
+    if (!message || message.isHiddenFrom(userId)) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    const participantIds = await getParticipantIds(message);
+    if (!participantIds.includes(userId)) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    if (message.deletedForEveryone) {
+      return res.status(400).json({ message: 'Deleted messages cannot be starred' });
+    }
+
+    const conversation = await findMessageConversation(message);
+    await StarredMessage.updateOne(
+      { user: req.user._id, message: message._id },
+      { $setOnInsert: { conversation: conversation._id } },
+      { upsert: true }
+    );
+
+    // Keep the user's other sessions in step; nobody else is told
+    const io = req.app.get('io');
+    if (io) {
+      io.to(userId).emit('message_star_changed', { messageId: message._id.toString(), starred: true });
+    }
+
+    res.json({ message: 'Message starred' });
+  } catch (error) {
+    console.error('Star message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/messages/:messageId/star
+// @desc    Unstar a message for the current user
+// @access  Private
+router.delete('/:messageId/star', auth, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({ message: 'Invalid message ID' });
+    }
+
+    await StarredMessage.deleteOne({ user: req.user._id, message: messageId });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(req.user._id.toString()).emit('message_star_changed', { messageId, starred: false });
+    }
+
+    res.json({ message: 'Message unstarred' });
+  } catch (error) {
+    console.error('Unstar message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/messages/:messageId/history
+// @desc    Get every revision of an edited message
+// @access  Private
+router.get('/:messageId/history', auth, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({ message: 'Invalid message ID' });
+    }
+
+    const message = await Message.findById(messageId).select('+editHistory');
+    if (!message || message.isHiddenFrom(req.user._id)) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    const participantIds = await getParticipantIds(message);
+    if (!participantIds.includes(req.user._id.toString())) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    res.json({ messageId: message._id, revisions: message.getRevisions() });
+  } catch (error) {
+    console.error('Get message history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   DELETE /api/messages/:messageId
-// @desc    Delete message
+// @desc    Delete message for yourself, or for everyone with ?forEveryone=true
 // @access  Private
 router.delete('/:messageId', auth, async (req, res) => {
   try {
     const { messageId } = req.params;
+    const forEveryone = req.query.forEveryone === 'true';
 
     const message = await Message.findById(messageId);
     if (!message) {
@@ -255,7 +1211,59 @@ router.delete('/:messageId', auth, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
+    if (forEveryone) {
+      if (message.deletedForEveryone) {
+        return res.status(400).json({ message: 'Message already deleted' });
+      }
+
+      if (!message.isWithinUnsendWindow()) {
+        return res.status(403).json({ message: 'This message can no longer be deleted for everyone' });
+      }
+
+      const { fileUrl, thumbnail } = message;
+      await message.deleteForEveryone();
+
+      // Forwarded copies share the file; it goes once none of them use it
+      const inUse = await Message.getFileUrlsInUse([fileUrl]);
+      if (!inUse.has(fileUrl)) {
+        [fileUrl, thumbnail].filter(Boolean).forEach(url => (
+          removeUpload(url).catch(error => console.error('Remove message file error:', error))
+        ));
+      }
+      await StarredMessage.deleteMany({ message: message._id });
+      await PollVote.deleteMany({ message: message._id });
+
+      // An unsent message can't stay pinned
+      const conversation = await findMessageConversation(message);
+      if (conversation && conversation.isPinned(message._id)) {
+        conversation.unpinMessage(message._id);
+        await conversation.save();
+        const io = req.app.get('io');
+        if (io) {
+          io.to(conversation.getMemberIds()).emit('message_unpinned', {
+            conversationId: conversation._id.toString(),
+            messageId: message._id.toString()
+          });
+        }
+      }
+
+      broadcastMessageChange(req.app.get('io'), message, await getParticipantIds(message), 'message_deleted', {
+        forEveryone: true,
+        content: message.content,
+        deletedAt: message.deletedAt
+      });
+
+      return res.json({ message: 'Message deleted for everyone' });
+    }
+
     await message.deleteForUser(req.user._id);
+    await StarredMessage.deleteOne({ user: req.user._id, message: message._id });
+
+    // Only the deleting user loses the message, so only their other sessions hear about it
+    broadcastMessageChange(req.app.get('io'), message, [req.user._id.toString()], 'message_deleted', {
+      deletedFor: req.user._id.toString(),
+      forEveryone: false
+    });
 
     res.json({ message: 'Message deleted successfully' });
   } catch (error) {
@@ -264,25 +1272,121 @@ router.delete('/:messageId', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/messages/:messageId/vote
+// @desc    Vote in a poll; optionIds replaces the current user's previous picks
+// @access  Private
+router.post('/:messageId/vote', auth, async (req, res) => {
+  try {
+    const { optionIds } = req.body;
+
+    const target = await loadPoll(req, res);
+    if (!target) return;
+    const { message, participantIds } = target;
+
+    if (message.poll.closedAt) {
+      return res.status(400).json({ message: 'This poll is closed' });
+    }
+
+    const picked = Array.isArray(optionIds) ? [...new Set(optionIds.map(String))] : [];
+    const validIds = message.poll.options.map(option => option._id.toString());
+
+    if (picked.length === 0 || picked.some(id => !validIds.includes(id))) {
+      return res.status(400).json({ message: 'Pick one or more of the poll\'s options' });
+    }
+
+    if (!message.poll.allowMultiple && picked.length > 1) {
+      return res.status(400).json({ message: 'This poll allows only one choice' });
+    }
+
+    await PollVote.setVotes(message._id, req.user._id, picked);
+
+    res.json(await publishPollVotes(req, message, participantIds));
+  } catch (error) {
+    console.error('Vote in poll error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/messages/:messageId/vote
+// @desc    Take back the current user's vote (?optionId= removes just that pick)
+// @access  Private
+router.delete('/:messageId/vote', auth, async (req, res) => {
+  try {
+    const { optionId } = req.query;
+
+    const target = await loadPoll(req, res);
+    if (!target) return;
+    const { message, participantIds } = target;
+
+    if (message.poll.closedAt) {
+      return res.status(400).json({ message: 'This poll is closed' });
+    }
+
+    if (optionId && !mongoose.Types.ObjectId.isValid(optionId)) {
+      return res.status(400).json({ message: 'Invalid option ID' });
+    }
+
+    await PollVote.removeVotes(message._id, req.user._id, optionId);
+
+    res.json(await publishPollVotes(req, message, participantIds));
+  } catch (error) {
+    console.error('Remove poll vote error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/messages/:messageId/close-poll
+// @desc    Close a poll to further votes (poll creator only)
+// @access  Private
+router.post('/:messageId/close-poll', auth, async (req, res) => {
+  try {
+    const target = await loadPoll(req, res);
+    if (!target) return;
+    const { message, participantIds } = target;
+
+    if (message.sender.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the poll creator can close it' });
+    }
+
+    if (message.poll.closedAt) {
+      return res.status(400).json({ message: 'This poll is already closed' });
+    }
+
+    const updated = await message.closePoll();
+    broadcastMessageChange(req.app.get('io'), updated, participantIds, 'poll_updated', { poll: updated.poll });
+
+    res.json({ poll: updated.poll });
+  } catch (error) {
+    console.error('Close poll error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/messages/:messageId/reaction
 // @desc    Add reaction to message
 // @access  Private
 router.post('/:messageId/reaction', auth, async (req, res) => {
   try {
-    const { messageId } = req.params;
     const { emoji } = req.body;
 
     if (!emoji) {
       return res.status(400).json({ message: 'Emoji is required' });
     }
 
-    const message = await Message.findById(messageId);
-    if (!message) {
-      return res.status(404).json({ message: 'Message not found' });
+    const target = await loadVisibleMessage(req, res);
+    if (!target) return;
+    const { message, participantIds } = target;
+
+    if (message.deletedForEveryone) {
+      return res.status(400).json({ message: 'Cannot react to a deleted message' });
     }
 
     await message.addReaction(req.user._id, emoji);
 
+    broadcastMessageChange(req.app.get('io'), message, participantIds, 'message_reaction_changed', {
+      reactions: message.reactions
+    });
+
     res.json({ message: 'Reaction added successfully' });
   } catch (error) {
     console.error('Add reaction error:', error);
@@ -295,15 +1399,16 @@ router.post('/:messageId/reaction', auth, async (req, res) => {
 // @access  Private
 router.delete('/:messageId/reaction', auth, async (req, res) => {
   try {
-    const { messageId } = req.params;
-
-    const message = await Message.findById(messageId);
-    if (!message) {
-      return res.status(404).json({ message: 'Message not found' });
-    }
+    const target = await loadVisibleMessage(req, res);
+    if (!target) return;
+    const { message, participantIds } = target;
 
     await message.removeReaction(req.user._id);
 
+    broadcastMessageChange(req.app.get('io'), message, participantIds, 'message_reaction_changed', {
+      reactions: message.reactions
+    });
+
     res.json({ message: 'Reaction removed successfully' });
   } catch (error) {
     console.error('Remove reaction error:', error);
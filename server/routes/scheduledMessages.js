@@ -0,0 +1,186 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const { auth } = require('../middleware/auth');
+const { resolveTarget, MessageServiceError } = require('../services/messageService');
+const { normalizeContent } = require('../utils/sanitize');
+
+const router = express.Router();
+
+const MAX_CONTENT_LENGTH = 5000;
+const MAX_PENDING_PER_USER = 100;
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Check the content and send time of a new or edited scheduled message.
+// Returns an error message, or null when the values are usable.
+const validateSchedule = ({ content, scheduledFor }) => {
+  if (content !== undefined &&
+      (!normalizeContent(content) || content.length > MAX_CONTENT_LENGTH)) {
+    return `Content is required and must be at most ${MAX_CONTENT_LENGTH} characters`;
+  }
+
+  if (scheduledFor !== undefined) {
+    const sendAt = new Date(scheduledFor);
+    if (isNaN(sendAt)) {
+      return 'Invalid send time';
+    }
+    if (sendAt <= new Date()) {
+      return 'Send time must be in the future';
+    }
+    if (sendAt - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+      return 'Messages can be scheduled at most a year ahead';
+    }
+  }
+
+  return null;
+};
+
+// @route   GET /api/scheduled-messages
+// @desc    Get the current user's scheduled messages, soonest first (?userId= or ?conversationId= for one chat)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { userId, conversationId } = req.query;
+    const filter = { sender: req.user._id };
+
+    if (userId || conversationId) {
+      if (!mongoose.Types.ObjectId.isValid(userId || conversationId)) {
+        return res.status(400).json({ message: 'Invalid ID filter' });
+      }
+
+      const conversation = conversationId
+        ? await Conversation.findById(conversationId).select('_id')
+        : await Conversation.findOne({ directKey: Conversation.directKeyFor(req.user._id, userId) }).select('_id');
+
+      if (!conversation) {
+        return res.json({ scheduledMessages: [] });
+      }
+      filter.conversation = conversation._id;
+    }
+
+    const scheduledMessages = await ScheduledMessage.find(filter).sort({ scheduledFor: 1 });
+
+    res.json({ scheduledMessages });
+  } catch (error) {
+    console.error('Get scheduled messages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/scheduled-messages
+// @desc    Schedule a message to a user (receiverId) or conversation (conversationId)
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { receiverId, conversationId, content, scheduledFor } = req.body;
+
+    if (content === undefined || scheduledFor === undefined) {
+      return res.status(400).json({ message: 'Content and send time are required' });
+    }
+
+    const invalid = validateSchedule({ content, scheduledFor });
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const pendingCount = await ScheduledMessage.countDocuments({ sender: req.user._id });
+    if (pendingCount >= MAX_PENDING_PER_USER) {
+      return res.status(400).json({ message: `You can have at most ${MAX_PENDING_PER_USER} scheduled messages` });
+    }
+
+    // Same checks as sending now; they run again when the message goes out
+    const { conversation } = await resolveTarget(req.user, { receiverId, conversationId });
+
+    const scheduledMessage = await ScheduledMessage.create({
+      sender: req.user._id,
+      conversation: conversation._id,
+      content: normalizeContent(content),
+      scheduledFor: new Date(scheduledFor)
+    });
+
+    res.status(201).json({ scheduledMessage });
+  } catch (error) {
+    if (error instanceof MessageServiceError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Schedule message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/scheduled-messages/:id
+// @desc    Change a scheduled message's content or send time (a failed message is queued again)
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const { content, scheduledFor } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid scheduled message ID' });
+    }
+
+    if (content === undefined && scheduledFor === undefined) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    const invalid = validateSchedule({ content, scheduledFor });
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const updates = { status: 'pending', error: null, attempts: 0, nextAttemptAt: null };
+    if (content !== undefined) updates.content = normalizeContent(content);
+    if (scheduledFor !== undefined) updates.scheduledFor = new Date(scheduledFor);
+
+    // A message the dispatcher has already picked up can no longer change
+    const scheduledMessage = await ScheduledMessage.findOneAndUpdate(
+      { _id: req.params.id, sender: req.user._id, status: { $ne: 'sending' } },
+      { $set: updates },
+      { new: true }
+    );
+
+    if (!scheduledMessage) {
+      const exists = await ScheduledMessage.exists({ _id: req.params.id, sender: req.user._id });
+      return exists
+        ? res.status(409).json({ message: 'This message is already being sent' })
+        : res.status(404).json({ message: 'Scheduled message not found' });
+    }
+
+    res.json({ scheduledMessage });
+  } catch (error) {
+    console.error('Update scheduled message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/scheduled-messages/:id
+// @desc    Cancel a scheduled message
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid scheduled message ID' });
+    }
+
+    const { deletedCount } = await ScheduledMessage.deleteOne({
+      _id: req.params.id,
+      sender: req.user._id,
+      status: { $ne: 'sending' }
+    });
+
+    if (deletedCount === 0) {
+      const exists = await ScheduledMessage.exists({ _id: req.params.id, sender: req.user._id });
+      return exists
+        ? res.status(409).json({ message: 'This message is already being sent' })
+        : res.status(404).json({ message: 'Scheduled message not found' });
+    }
+
+    res.json({ message: 'Scheduled message cancelled' });
+  } catch (error) {
+    console.error('Cancel scheduled message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
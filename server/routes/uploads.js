@@ -0,0 +1,31 @@
+const express = require('express');
+const { serveUpload, getContentDisposition, verifySignedUrl } = require('../storage');
+const { isMessageFile } = require('../utils/fileLinks');
+
+const router = express.Router();
+
+// @route   GET /uploads/*
+// @desc    Download an upload through a signed, expiring link (as given out in avatar
+//          fields). Redirects to the bucket when stored in S3. Message attachments are only
+//          served by /api/files, which checks who is asking.
+// @access  Public (signed link)
+router.get('/*', async (req, res) => {
+  try {
+    const fileUrl = `/uploads/${req.params[0]}`;
+    const remaining = verifySignedUrl(fileUrl, req.query.expires, req.query.signature);
+
+    if (!remaining || isMessageFile(fileUrl)) {
+      return res.status(403).json({ message: 'Link has expired or is invalid' });
+    }
+
+    // Browsers may keep the file for as long as the link is valid
+    await serveUpload(res, fileUrl, { maxAge: remaining, disposition: getContentDisposition(fileUrl) });
+  } catch (error) {
+    console.error('Serve upload error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const Message = require('../models/Message');
+const { getParticipantIds, removeMessages } = require('./messageService');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const SWEEP_BATCH_SIZE = 200;
+
+// Delete one batch of expired messages with their files, stars, poll votes and pins,
+// and tell everyone who could see them. Returns how many messages were removed.
+const sweepBatch = async (io) => {
+  const expired = await Message.findExpired(SWEEP_BATCH_SIZE);
+  if (expired.length === 0) {
+    return 0;
+  }
+
+  await removeMessages(expired);
+
+  if (io) {
+    // One event per conversation, sent to its participants. Only messages sent since
+    // conversations existed can expire, so every one of them has a conversation.
+    const byConversation = new Map();
+    expired.forEach(message => {
+      const key = message.conversation.toString();
+      if (!byConversation.has(key)) {
+        byConversation.set(key, { sample: message, messageIds: [] });
+      }
+      byConversation.get(key).messageIds.push(message._id.toString());
+    });
+
+    for (const [conversationId, { sample, messageIds: ids }] of byConversation) {
+      io.to(await getParticipantIds(sample)).emit('messages_expired', { conversationId, messageIds: ids });
+    }
+  }
+
+  return expired.length;
+};
+
+// Remove disappearing messages once their timer runs out. A sweeper is used rather than a
+// TTL index so attachments are deleted too and open chats hear about it.
+const startExpiredMessageSweeper = (io) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      while (await sweepBatch(io) === SWEEP_BATCH_SIZE) {
+        // Keep going until a partial batch shows we've caught up
+      }
+    } catch (error) {
+      console.error('Expired message sweeper error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startExpiredMessageSweeper };
@@ -0,0 +1,336 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const zlib = require('zlib');
+const LinkPreview = require('../models/LinkPreview');
+
+const DEFAULT_OPTIONS = {
+  timeoutMs: parseInt(process.env.LINK_PREVIEW_TIMEOUT_MS) || 5000,
+  maxBytes: parseInt(process.env.LINK_PREVIEW_MAX_BYTES) || 512 * 1024,
+  maxRedirects: 3,
+  // Only for development and tests against a local fixture server: never enable in production
+  allowPrivateHosts: process.env.LINK_PREVIEW_ALLOW_PRIVATE_HOSTS === 'true'
+};
+const PREVIEW_TTL_MS = 24 * 60 * 60 * 1000;
+const FAILED_PREVIEW_TTL_MS = 60 * 60 * 1000;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_URL_LENGTH = 2048;
+const USER_AGENT = 'YapperBot/1.0 (link preview)';
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved ranges. A link
+// that resolves into any of them is never fetched, so messages can't be used to probe the
+// server's own network. ::/96 covers ::, ::1 and the deprecated IPv4-compatible addresses
+// (::127.0.0.1), which some systems still route to the IPv4 host.
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 96], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['2002::', 16],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// Error for a page that can't be previewed; never shown to users
+class LinkPreviewError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LinkPreviewError';
+  }
+}
+
+// Check whether an IP address is one the server must not connect to.
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as the IPv4 address they carry.
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  return PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// A dns.lookup replacement for http.request that refuses hostnames resolving to a private
+// address. Checking at connect time, on the address actually used, means DNS rebinding
+// and redirects to internal hosts are caught too.
+const createSafeLookup = (allowPrivateHosts) => (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.length === 0) {
+      return callback(new LinkPreviewError(`No addresses found for ${hostname}`));
+    }
+    if (!allowPrivateHosts && addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new LinkPreviewError(`${hostname} resolves to a private address`));
+    }
+
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+};
+
+// Send a GET request and resolve with the response once its headers arrive
+const requestPage = (url, options, signal) => new Promise((resolve, reject) => {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return reject(new LinkPreviewError(`Unsupported protocol ${url.protocol}`));
+  }
+
+  // Addresses written into the URL never go through a DNS lookup, so check them here
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && !options.allowPrivateHosts && isPrivateAddress(hostname)) {
+    return reject(new LinkPreviewError(`${hostname} is a private address`));
+  }
+
+  const client = url.protocol === 'https:' ? https : http;
+  const request = client.get(url, {
+    headers: {
+      'User-Agent': USER_AGENT,
+      Accept: 'text/html,application/xhtml+xml',
+      'Accept-Encoding': 'gzip, deflate, br'
+    },
+    lookup: createSafeLookup(options.allowPrivateHosts),
+    signal
+  }, resolve);
+  request.on('error', reject);
+});
+
+const DECOMPRESSORS = {
+  gzip: zlib.createGunzip,
+  'x-gzip': zlib.createGunzip,
+  deflate: zlib.createInflate,
+  br: zlib.createBrotliDecompress
+};
+
+// Read at most maxBytes of a (possibly compressed) response body. Metadata lives in the
+// <head>, so a page cut short still has everything a preview needs.
+const readBody = (response, maxBytes) => new Promise((resolve, reject) => {
+  const encoding = (response.headers['content-encoding'] || '').trim().toLowerCase();
+  const stream = DECOMPRESSORS[encoding] ? response.pipe(DECOMPRESSORS[encoding]()) : response;
+  const chunks = [];
+  let size = 0;
+
+  // Resolve before dropping the connection: destroying it emits 'aborted'
+  const finish = () => {
+    stream.removeAllListeners('data');
+    resolve(Buffer.concat(chunks).subarray(0, maxBytes));
+    response.destroy();
+  };
+
+  stream.on('data', (chunk) => {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size >= maxBytes) {
+      finish();
+    }
+  });
+  stream.on('end', finish);
+  stream.on('error', reject);
+  response.on('error', reject);
+  response.on('aborted', () => reject(new LinkPreviewError('Response was cut off')));
+});
+
+// Decode a page with the charset from its Content-Type header or <meta charset>, defaulting to UTF-8
+const decodeBody = (body, contentType) => {
+  const headerCharset = /charset=["']?([\w-]+)/i.exec(contentType);
+  const metaCharset = /<meta[^>]+charset=["']?([\w-]+)/i.exec(body.subarray(0, 2048).toString('latin1'));
+  const charset = (headerCharset || metaCharset || [])[1];
+
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(body);
+  } catch (error) {
+    return new TextDecoder('utf-8').decode(body);
+  }
+};
+
+// Fetch an HTML page, following a few redirects. Resolves to { url, html } where url is
+// where the page ended up. The whole exchange, redirects included, must finish in time.
+const fetchPage = async (pageUrl, options) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), options.timeoutMs);
+
+  try {
+    let url = new URL(pageUrl);
+    for (let redirects = 0; ; redirects++) {
+      const response = await requestPage(url, options, controller.signal);
+      const { statusCode, headers } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        if (redirects === options.maxRedirects) {
+          throw new LinkPreviewError('Too many redirects');
+        }
+        url = new URL(headers.location, url);
+        continue;
+      }
+
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        throw new LinkPreviewError(`Page answered with status ${statusCode}`);
+      }
+
+      const contentType = headers['content-type'] || '';
+      if (!/^\s*(text\/html|application\/xhtml\+xml)\b/i.test(contentType)) {
+        response.resume();
+        throw new LinkPreviewError(`Not an HTML page (${contentType || 'no content type'})`);
+      }
+
+      const body = await readBody(response, options.maxBytes);
+      return { url, html: decodeBody(body, contentType) };
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new LinkPreviewError('Timed out fetching the page');
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+  if (name[0] === '#') {
+    const codePoint = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+  }
+  return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+});
+
+// Plain, single-line text for a preview field, cut to a maximum length
+const cleanText = (text, maxLength) => {
+  if (!text) {
+    return null;
+  }
+  const cleaned = decodeEntities(text).replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+  if (!cleaned) {
+    return null;
+  }
+  return cleaned.length > maxLength ? `${cleaned.slice(0, maxLength - 1).trimEnd()}…` : cleaned;
+};
+
+// An absolute http(s) URL for an image path found on a page, or null
+const resolveImageUrl = (value, pageUrl) => {
+  if (!value) {
+    return null;
+  }
+  try {
+    const url = new URL(decodeEntities(value.trim()), pageUrl);
+    if ((url.protocol !== 'http:' && url.protocol !== 'https:') || url.href.length > MAX_URL_LENGTH) {
+      return null;
+    }
+    return url.href;
+  } catch (error) {
+    return null;
+  }
+};
+
+const META_TAG = /<meta\b[^>]*>/gi;
+const ATTRIBUTE = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+
+// Pull a preview out of a page's OpenGraph and Twitter card tags, falling back to its <title>
+// and meta description. Returns { title, description, image, siteName }, or null when the
+// page has neither a title nor a description.
+const extractMetadata = (html, pageUrl) => {
+  const head = html.split(/<\/head\s*>/i)[0].replace(/<!--[\s\S]*?-->/g, '');
+  const meta = {};
+
+  for (const [tag] of head.matchAll(META_TAG)) {
+    const attributes = {};
+    for (const match of tag.matchAll(ATTRIBUTE)) {
+      attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+    }
+
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    if (key && attributes.content && !(key in meta)) {
+      meta[key] = attributes.content;
+    }
+  }
+
+  const titleTag = /<title\b[^>]*>([\s\S]*?)<\/title>/i.exec(head);
+  const title = cleanText(meta['og:title'] || meta['twitter:title'] || (titleTag && titleTag[1]), MAX_TITLE_LENGTH);
+  const description = cleanText(
+    meta['og:description'] || meta['twitter:description'] || meta.description,
+    MAX_DESCRIPTION_LENGTH
+  );
+
+  if (!title && !description) {
+    return null;
+  }
+
+  const image = resolveImageUrl(
+    meta['og:image:secure_url'] || meta['og:image'] || meta['og:image:url'] ||
+      meta['twitter:image'] || meta['twitter:image:src'],
+    pageUrl
+  );
+
+  return {
+    title,
+    description,
+    image,
+    siteName: cleanText(meta['og:site_name'], MAX_TITLE_LENGTH) || new URL(pageUrl).hostname.replace(/^www\./, '')
+  };
+};
+
+// Fetch a page and build its preview, without touching the cache.
+// Options override the configured limits: { timeoutMs, maxBytes, maxRedirects, allowPrivateHosts }.
+const fetchLinkPreview = async (url, options = {}) => {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const page = await fetchPage(url, settings);
+  const metadata = extractMetadata(page.html, page.url.href);
+  if (!metadata) {
+    throw new LinkPreviewError('Page has no title or description');
+  }
+  return { url, ...metadata };
+};
+
+// Unfurls in progress, so a link pasted into several chats at once is fetched only once
+const pending = new Map();
+
+// Get the preview for a URL from the cache, fetching and caching it on a miss.
+// Resolves to { url, title, description, image, siteName }, or null if the page can't be previewed.
+const getLinkPreview = async (url) => {
+  const cached = await LinkPreview.findFresh(url);
+  if (cached) {
+    return cached.failed ? null : {
+      url,
+      title: cached.title,
+      description: cached.description,
+      image: cached.image,
+      siteName: cached.siteName
+    };
+  }
+
+  if (!pending.has(url)) {
+    const unfurl = fetchLinkPreview(url)
+      .catch(error => {
+        // Unreachable and unsuitable pages are expected; anything else is a bug worth seeing
+        if (!(error instanceof LinkPreviewError) && !error.code) {
+          console.error('Link preview fetch error:', error);
+        }
+        return null;
+      })
+      .then(async preview => {
+        await LinkPreview.store(url, preview, preview ? PREVIEW_TTL_MS : FAILED_PREVIEW_TTL_MS);
+        return preview;
+      })
+      .finally(() => pending.delete(url));
+    pending.set(url, unfurl);
+  }
+
+  return pending.get(url);
+};
+
+module.exports = {
+  LinkPreviewError,
+  isPrivateAddress,
+  extractMetadata,
+  fetchLinkPreview,
+  getLinkPreview
+};
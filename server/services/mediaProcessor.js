@@ -0,0 +1,196 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const sharp = require('sharp');
+const Message = require('../models/Message');
+const { getParticipantIds, broadcastMessageChange } = require('./messageService');
+const { readUpload, writeUpload, statUpload, removeUpload } = require('../storage');
+const { stripJpegLocation } = require('../utils/images');
+const { getMessageFileUrl } = require('../utils/fileLinks');
+
+// Longest side of a thumbnail, and of the tiny image blurred up while it loads
+const THUMBNAIL_SIZE = 480;
+const THUMBNAIL_QUALITY = 70;
+const PLACEHOLDER_SIZE = 16;
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFMPEG_TIMEOUT_MS = 60 * 1000;
+// Formats other than JPEG that can be written back without their metadata
+const REWRITABLE_FORMATS = ['png', 'webp', 'gif', 'avif', 'tiff'];
+
+// Files are processed one at a time so a burst of uploads can't starve the server
+let queue = Promise.resolve();
+let warnedFfmpegMissing = false;
+
+const enqueue = (task) => {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+};
+
+// Thumbnails sit in a thumbs/ folder beside the attachment
+const getThumbnailUrl = (fileUrl) => (
+  `${path.posix.dirname(fileUrl)}/thumbs/${path.posix.basename(fileUrl)}.webp`
+);
+
+const runFfmpeg = (args) => new Promise((resolve, reject) => {
+  execFile(FFMPEG_PATH, ['-v', 'error', '-y', ...args], { timeout: FFMPEG_TIMEOUT_MS }, (error) => (
+    error ? reject(error) : resolve()
+  ));
+});
+
+// Read an uploaded image with its location data removed from the stored file. JPEGs are
+// edited in place so they aren't re-compressed; other formats are only rewritten when they
+// carry EXIF or XMP metadata at all. Resolves to the image's (cleaned) bytes.
+const readImageWithoutLocation = async (fileUrl, contentType) => {
+  const original = await readUpload(fileUrl);
+  const metadata = await sharp(original).metadata();
+
+  if (metadata.format === 'jpeg') {
+    const stripped = stripJpegLocation(original);
+    if (!stripped) {
+      return original;
+    }
+    await writeUpload(fileUrl, stripped, { contentType });
+    return stripped;
+  }
+
+  if ((metadata.exif || metadata.xmp) && REWRITABLE_FORMATS.includes(metadata.format)) {
+    // Writing drops all metadata, so apply the orientation it recorded first
+    const animated = (metadata.pages || 1) > 1;
+    const image = animated ? sharp(original, { animated }) : sharp(original).rotate();
+    const rewritten = await image.toFormat(metadata.format).toBuffer();
+    await writeUpload(fileUrl, rewritten, { contentType });
+    return rewritten;
+  }
+
+  return original;
+};
+
+// Remux an uploaded video without its metadata (which is where phones record the position)
+// and grab a representative frame from its opening seconds as the poster. ffmpeg works on
+// local copies, whichever storage the video is kept in. Resolves to the poster's bytes.
+const readVideoPoster = async (fileUrl, contentType) => {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'media-'));
+  const extension = path.extname(fileUrl);
+  const inputPath = path.join(workDir, `input${extension}`);
+  const remuxedPath = path.join(workDir, `remuxed${extension}`);
+  const posterPath = path.join(workDir, 'poster.png');
+
+  try {
+    await fs.promises.writeFile(inputPath, await readUpload(fileUrl));
+    await runFfmpeg(['-i', inputPath, '-map', '0', '-ignore_unknown', '-map_metadata', '-1', '-c', 'copy', remuxedPath]);
+    await writeUpload(fileUrl, await fs.promises.readFile(remuxedPath), { contentType });
+
+    await runFfmpeg(['-i', remuxedPath, '-vf', 'thumbnail', '-frames:v', '1', posterPath]);
+    return await fs.promises.readFile(posterPath);
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+// Strip location data from an image or video attachment, then save a thumbnail and work out
+// what a message needs to show it before the full file loads. Resolves to the message changes.
+const processFile = async (fileUrl, messageType) => {
+  // Rewritten files keep the type they were uploaded with
+  const { contentType } = (await statUpload(fileUrl)) || {};
+
+  const input = messageType === 'video'
+    ? await readVideoPoster(fileUrl, contentType)
+    : await readImageWithoutLocation(fileUrl, contentType);
+
+  // Sideways photos are stored as shot, with a note to turn them
+  const metadata = await sharp(input).metadata();
+  const turned = metadata.orientation >= 5;
+  const image = sharp(input).rotate();
+
+  const thumbnail = await image.clone()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: THUMBNAIL_QUALITY })
+    .toBuffer();
+  const placeholder = await image.clone()
+    .resize(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, { fit: 'inside' })
+    .webp({ quality: 50 })
+    .toBuffer();
+
+  const thumbnailUrl = getThumbnailUrl(fileUrl);
+  await writeUpload(thumbnailUrl, thumbnail, { contentType: 'image/webp' });
+
+  const { size } = await statUpload(fileUrl);
+  return {
+    thumbnail: thumbnailUrl,
+    fileSize: size,
+    media: {
+      status: 'ready',
+      width: turned ? metadata.height : metadata.width,
+      height: turned ? metadata.width : metadata.height,
+      placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`
+    }
+  };
+};
+
+// Save the outcome on every message still waiting on the file (forwarded copies share it)
+// and tell everyone who can see them with media_processed
+const publishResult = async (io, fileUrl, changes) => {
+  const waiting = await Message.find({ fileUrl, 'media.status': 'processing' }).select('_id');
+
+  // Deleted while it was being processed
+  if (waiting.length === 0) {
+    if (changes.thumbnail) {
+      await removeUpload(changes.thumbnail);
+    }
+    return;
+  }
+
+  for (const { _id } of waiting) {
+    const message = await Message.findOneAndUpdate({ _id, fileUrl }, { $set: changes }, { new: true });
+    if (message) {
+      broadcastMessageChange(io, message, await getParticipantIds(message), 'media_processed', {
+        thumbnail: message.thumbnail ? getMessageFileUrl(message._id, 'thumbnail') : null,
+        fileSize: message.fileSize,
+        media: message.media
+      });
+    }
+  }
+};
+
+// Process an image or video message's attachment in the background. The message goes out
+// straight away with media.status 'processing' and is updated once this finishes.
+const processMessageMedia = (io, message) => enqueue(async () => {
+  const { fileUrl, messageType } = message;
+  let changes;
+
+  try {
+    changes = await processFile(fileUrl, messageType);
+  } catch (error) {
+    if (error.code === 'ENOENT' && error.syscall === `spawn ${FFMPEG_PATH}`) {
+      if (!warnedFfmpegMissing) {
+        console.warn('ffmpeg not found; videos are sent without posters (set FFMPEG_PATH)');
+        warnedFfmpegMissing = true;
+      }
+    } else {
+      console.error('Media processing error:', error);
+    }
+    changes = { media: { status: 'failed' } };
+  }
+
+  await publishResult(io, fileUrl, changes);
+});
+
+// Pick up attachments that were still being processed when the server last stopped
+const resumeMediaProcessing = async (io) => {
+  const pending = await Message.find({ 'media.status': 'processing', fileUrl: { $ne: null } })
+    .select('fileUrl messageType')
+    .lean();
+
+  const fileUrls = new Set();
+  pending.forEach(message => {
+    if (fileUrls.has(message.fileUrl)) {
+      return;
+    }
+    fileUrls.add(message.fileUrl);
+    processMessageMedia(io, message).catch(error => console.error('Media processing error:', error));
+  });
+};
+
+module.exports = { processMessageMedia, resumeMediaProcessing };
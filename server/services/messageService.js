@@ -0,0 +1,828 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const StarredMessage = require('../models/StarredMessage');
+const PollVote = require('../models/PollVote');
+const RemovedMessage = require('../models/RemovedMessage');
+const { removeUpload } = require('../storage');
+const { normalizeContent, sanitizeContent } = require('../utils/sanitize');
+const { extractMentionNames } = require('../utils/mentions');
+const { extractFirstUrl } = require('../utils/links');
+const { getLinkPreview } = require('./linkPreviewService');
+
+const MAX_CLIENT_MESSAGE_ID_LENGTH = 100;
+const MAX_POLL_QUESTION_LENGTH = 300;
+const MAX_POLL_OPTION_LENGTH = 100;
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 10;
+const MAX_VOICE_NOTE_SECONDS = 10 * 60;
+const MAX_WAVEFORM_BARS = 128;
+const MAX_LOCATION_LABEL_LENGTH = 200;
+const MAX_LOCATION_ACCURACY_METRES = 100000;
+// How long a live location may be shared for, in minutes
+const LIVE_LOCATION_MINUTES = [15, 60, 480];
+// Position updates closer together than this are dropped
+const MIN_LIVE_LOCATION_INTERVAL_MS = 2000;
+// More changes than this since a client's last sync and it should just reload instead
+const MAX_SYNC_CHANGES = 500;
+// Messages removed at a time when a whole conversation goes
+const REMOVE_BATCH_SIZE = 200;
+
+// Error carrying the HTTP status a route should answer with
+class MessageServiceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MessageServiceError';
+    this.status = status;
+  }
+}
+
+// Resolve who a message is for, from either a receiver ID (direct) or a conversation ID
+const resolveTarget = async (sender, { receiverId, conversationId }) => {
+  const senderId = sender._id.toString();
+
+  if (conversationId) {
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation || !conversation.isMember(senderId)) {
+      throw new MessageServiceError('Conversation not found', 404);
+    }
+
+    if (conversation.type === 'group') {
+      return {
+        conversation,
+        receiverId: null,
+        recipientIds: conversation.getMemberIds().filter(id => id !== senderId)
+      };
+    }
+
+    // Direct conversations go through the same friend/block checks as a receiver ID
+    receiverId = conversation.getMemberIds().find(id => id !== senderId);
+  }
+
+  if (!receiverId) {
+    throw new MessageServiceError('Receiver ID or conversation ID is required');
+  }
+
+  const receiver = await User.findById(receiverId);
+  if (!receiver) {
+    throw new MessageServiceError('Receiver not found', 404);
+  }
+
+  if (sender.blockedUsers.includes(receiverId)) {
+    throw new MessageServiceError('Cannot send message to blocked user', 403);
+  }
+
+  if (!sender.friends.includes(receiverId)) {
+    throw new MessageServiceError('Can only send messages to friends', 403);
+  }
+
+  const conversation = await Conversation.findOrCreateDirect(sender._id, receiver._id);
+
+  return {
+    conversation,
+    receiverId: receiver._id,
+    recipientIds: [receiver._id.toString()]
+  };
+};
+
+// Check a message belongs to a conversation. Legacy direct messages predate
+// conversations and are matched by their two participants instead.
+const belongsToConversation = (message, conversation) => {
+  if (message.conversation) {
+    return message.conversation.toString() === conversation._id.toString();
+  }
+
+  const memberIds = conversation.getMemberIds();
+  return conversation.type === 'direct' && !!message.receiver &&
+    memberIds.includes(message.sender.toString()) &&
+    memberIds.includes(message.receiver.toString());
+};
+
+// Resolve the root a new thread reply hangs off. Replying to a reply joins the same thread.
+const resolveThreadRoot = async (threadRootId, conversation) => {
+  const root = await Message.findById(threadRootId);
+  if (!root || root.deletedForEveryone || root.messageType === 'system' ||
+      !belongsToConversation(root, conversation)) {
+    throw new MessageServiceError('Thread not found', 404);
+  }
+  return root.threadRoot || root._id;
+};
+
+// Find the conversation a message belongs to. Legacy direct messages have none stored,
+// so their pair's direct conversation is looked up (and created on first use).
+const findMessageConversation = async (message) => {
+  if (message.conversation) {
+    return Conversation.findById(message.conversation);
+  }
+  if (message.receiver) {
+    return Conversation.findOrCreateDirect(message.sender, message.receiver);
+  }
+  return null;
+};
+
+// Resolve the @usernames in a message's content to the IDs of the given candidates
+// (the other participants of its conversation). Usernames match case-insensitively.
+const resolveMentions = async (content, candidateIds) => {
+  const names = extractMentionNames(content);
+  if (names.length === 0 || candidateIds.length === 0) {
+    return [];
+  }
+
+  const candidates = await User.find({ _id: { $in: candidateIds } }).select('username').lean();
+  return candidates
+    .filter(candidate => names.includes(candidate.username.toLowerCase()))
+    .map(candidate => candidate._id);
+};
+
+// Populate the fields clients expect on a message
+const populateMessage = async (message) => {
+  await message.populate('sender', 'username firstName lastName avatar');
+  if (message.receiver) {
+    await message.populate('receiver', 'username firstName lastName avatar');
+  }
+  if (message.replyTo) {
+    await message.populate('replyTo', 'content sender');
+  }
+  return message;
+};
+
+// Look up a message the sender already stored under a client message ID.
+// Duplicates have no recipients, so delivering them again is a no-op.
+const findByClientMessageId = async (senderId, clientMessageId) => {
+  if (!clientMessageId) {
+    return null;
+  }
+
+  const message = await Message.findOne({ sender: senderId, clientMessageId });
+  if (!message) {
+    return null;
+  }
+
+  await populateMessage(message);
+  return { message, conversation: null, recipientIds: [], duplicate: true };
+};
+
+// Validate a new poll's question and options and return the poll to store
+const buildPoll = (poll) => {
+  const { question, options, allowMultiple = false, anonymous = false } = poll || {};
+
+  const questionText = normalizeContent(question);
+  if (!questionText || questionText.length > MAX_POLL_QUESTION_LENGTH) {
+    throw new MessageServiceError(`Poll question is required and must be at most ${MAX_POLL_QUESTION_LENGTH} characters`);
+  }
+
+  if (!Array.isArray(options) || options.some(option => typeof option !== 'string')) {
+    throw new MessageServiceError('Poll options must be a list of text');
+  }
+
+  const texts = options.map(normalizeContent).filter(Boolean);
+  if (texts.length < MIN_POLL_OPTIONS || texts.length > MAX_POLL_OPTIONS) {
+    throw new MessageServiceError(`A poll needs between ${MIN_POLL_OPTIONS} and ${MAX_POLL_OPTIONS} options`);
+  }
+
+  if (texts.some(text => text.length > MAX_POLL_OPTION_LENGTH)) {
+    throw new MessageServiceError(`Poll options must be at most ${MAX_POLL_OPTION_LENGTH} characters`);
+  }
+
+  if (new Set(texts.map(text => text.toLowerCase())).size !== texts.length) {
+    throw new MessageServiceError('Poll options must be different from each other');
+  }
+
+  return {
+    question: questionText,
+    options: texts.map(text => ({ text })),
+    allowMultiple: !!allowMultiple,
+    anonymous: !!anonymous
+  };
+};
+
+// Validate a voice note's duration (seconds) and waveform (0-100 per bar) and return what to store.
+// The waveform may arrive as a JSON string, as multipart form fields do.
+const buildVoiceNote = (voiceNote) => {
+  const duration = Number(voiceNote && voiceNote.duration);
+  if (!Number.isFinite(duration) || duration <= 0 || duration > MAX_VOICE_NOTE_SECONDS) {
+    throw new MessageServiceError(`Voice notes must be between 0 and ${MAX_VOICE_NOTE_SECONDS / 60} minutes long`);
+  }
+
+  let waveform = voiceNote.waveform || [];
+  if (typeof waveform === 'string') {
+    try {
+      waveform = JSON.parse(waveform);
+    } catch (error) {
+      throw new MessageServiceError('Invalid waveform');
+    }
+  }
+
+  if (!Array.isArray(waveform) || waveform.length > MAX_WAVEFORM_BARS ||
+      waveform.some(value => !Number.isInteger(value) || value < 0 || value > 100)) {
+    throw new MessageServiceError(`Waveform must be at most ${MAX_WAVEFORM_BARS} whole numbers from 0 to 100`);
+  }
+
+  return { duration: Math.round(duration * 10) / 10, waveform };
+};
+
+// Validate a position ({ lat, lng, accuracy }) and return it with accuracy defaulting to null
+const parseCoordinates = ({ lat, lng, accuracy } = {}) => {
+  if (typeof lat !== 'number' || !Number.isFinite(lat) || lat < -90 || lat > 90 ||
+      typeof lng !== 'number' || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+    throw new MessageServiceError('Location needs a latitude from -90 to 90 and a longitude from -180 to 180');
+  }
+
+  if (accuracy !== undefined && accuracy !== null &&
+      (typeof accuracy !== 'number' || !Number.isFinite(accuracy) || accuracy < 0 || accuracy > MAX_LOCATION_ACCURACY_METRES)) {
+    throw new MessageServiceError(`Location accuracy must be between 0 and ${MAX_LOCATION_ACCURACY_METRES} metres`);
+  }
+
+  return { lat, lng, accuracy: accuracy === undefined || accuracy === null ? null : Math.round(accuracy) };
+};
+
+// Validate a shared location and return what to store. liveMinutes, one of LIVE_LOCATION_MINUTES,
+// makes it a live location that keeps updating for that long.
+const buildLocation = (location) => {
+  if (!location || typeof location !== 'object') {
+    throw new MessageServiceError('Location is required');
+  }
+
+  const coordinates = parseCoordinates(location);
+
+  const label = location.label === undefined || location.label === null ? '' : normalizeContent(location.label);
+  if (label.length > MAX_LOCATION_LABEL_LENGTH) {
+    throw new MessageServiceError(`Location label must be at most ${MAX_LOCATION_LABEL_LENGTH} characters`);
+  }
+
+  const { liveMinutes } = location;
+  if (liveMinutes !== undefined && liveMinutes !== null && !LIVE_LOCATION_MINUTES.includes(liveMinutes)) {
+    throw new MessageServiceError(`Live location can be shared for ${LIVE_LOCATION_MINUTES.join(', ')} minutes`);
+  }
+
+  const now = new Date();
+  return {
+    ...coordinates,
+    label: label || null,
+    liveUntil: liveMinutes ? new Date(now.getTime() + liveMinutes * 60 * 1000) : null,
+    positionAt: now
+  };
+};
+
+// Validate, save and populate a new message
+const createMessage = async (sender, data) => {
+  const {
+    receiverId,
+    conversationId,
+    messageType = 'text',
+    replyTo,
+    fileUrl,
+    fileName,
+    fileSize,
+    thumbnail,
+    media,
+    clientMessageId,
+    threadRoot,
+    forwardCount
+  } = data;
+
+  const voiceNote = messageType === 'audio' && data.voiceNote ? buildVoiceNote(data.voiceNote) : null;
+  const location = messageType === 'location' ? buildLocation(data.location) : null;
+
+  // A poll's question doubles as its content, and a location is described by its label,
+  // so previews and search work unchanged
+  const poll = messageType === 'poll' ? buildPoll(data.poll) : null;
+  let content;
+  if (poll) {
+    content = poll.question;
+  } else if (location) {
+    content = location.label || (location.liveUntil ? 'Live location' : 'Location');
+  } else {
+    content = sanitizeContent(data.content);
+  }
+
+  if (!content) {
+    throw new MessageServiceError('Content is required');
+  }
+
+  if (messageType === 'system') {
+    throw new MessageServiceError('Invalid message type');
+  }
+
+  if (clientMessageId !== undefined && clientMessageId !== null &&
+      (typeof clientMessageId !== 'string' || clientMessageId.length > MAX_CLIENT_MESSAGE_ID_LENGTH)) {
+    throw new MessageServiceError('Invalid client message ID');
+  }
+
+  // A retry of a send that already went through: hand back the stored message
+  const existing = await findByClientMessageId(sender._id, clientMessageId);
+  if (existing) {
+    return existing;
+  }
+
+  const { conversation, receiverId: directReceiverId, recipientIds } =
+    await resolveTarget(sender, { receiverId, conversationId });
+
+  const messageData = {
+    sender: sender._id,
+    receiver: directReceiverId,
+    conversation: conversation._id,
+    content,
+    messageType,
+    expiresAt: conversation.getMessageExpiry()
+  };
+
+  if (threadRoot) {
+    messageData.threadRoot = await resolveThreadRoot(threadRoot, conversation);
+  }
+
+  if (clientMessageId) {
+    messageData.clientMessageId = clientMessageId;
+  }
+
+  if (poll) {
+    messageData.poll = poll;
+  }
+
+  if (voiceNote) {
+    messageData.voiceNote = voiceNote;
+  }
+
+  if (location) {
+    messageData.location = location;
+  }
+
+  // Forwarded text was written for another chat, so it doesn't mention anyone here
+  if (messageType === 'text' && !forwardCount) {
+    messageData.mentions = await resolveMentions(content, recipientIds);
+  }
+
+  if (forwardCount) {
+    messageData.forwarded = true;
+    messageData.forwardCount = forwardCount;
+  }
+
+  if (fileUrl) {
+    messageData.fileUrl = fileUrl;
+    messageData.fileName = fileName;
+    messageData.fileSize = fileSize;
+    messageData.thumbnail = thumbnail || null;
+    messageData.media = media || undefined;
+  }
+
+  // Only messages from the same chat can be quoted, so a reply can't reveal another chat's content
+  if (replyTo && mongoose.Types.ObjectId.isValid(replyTo)) {
+    const replyMessage = await Message.findById(replyTo);
+    if (replyMessage && belongsToConversation(replyMessage, conversation)) {
+      messageData.replyTo = replyTo;
+    }
+  }
+
+  const message = new Message(messageData);
+  try {
+    await message.save();
+  } catch (error) {
+    // Two retries raced each other; the first one won
+    if (error.code === 11000 && clientMessageId) {
+      const duplicate = await findByClientMessageId(sender._id, clientMessageId);
+      if (duplicate) {
+        return duplicate;
+      }
+    }
+    throw error;
+  }
+  await populateMessage(message);
+
+  const updatedThreadRoot = message.threadRoot
+    ? await Message.recordThreadReply(message.threadRoot, message)
+    : null;
+
+  return { message, conversation, recipientIds, threadRoot: updatedThreadRoot, duplicate: false };
+};
+
+// Tell users they were mentioned. This is its own event, separate from new_message,
+// so clients can notify about mentions however they treat the conversation otherwise.
+const notifyMentioned = (io, userIds, message, conversation, sender) => {
+  if (!io || userIds.length === 0) {
+    return;
+  }
+
+  io.to(userIds.map(id => id.toString())).emit('mentioned', {
+    message,
+    conversationId: conversation._id.toString(),
+    conversationType: conversation.type,
+    conversationName: conversation.type === 'group' ? conversation.name : null,
+    sender: sender.getPublicProfile()
+  });
+};
+
+// Unfurl the first link in a text message and push the preview to everyone who can see it
+// as link_preview_ready. Runs after delivery so a slow site never holds up sending; the
+// preview is only stored if the message still says the same thing by the time it's ready.
+const attachLinkPreview = async (io, message, participantIds) => {
+  const url = message.messageType === 'text' ? extractFirstUrl(message.content) : null;
+  if (!url) {
+    return null;
+  }
+
+  const preview = await getLinkPreview(url);
+  if (!preview) {
+    return null;
+  }
+
+  const updated = await Message.findOneAndUpdate(
+    { _id: message._id, content: message.content, deletedForEveryone: false },
+    { linkPreview: preview },
+    { new: true }
+  ).select('conversation linkPreview updatedAt');
+  if (!updated) {
+    return null;
+  }
+
+  broadcastMessageChange(io, updated, participantIds, 'link_preview_ready', {
+    linkPreview: updated.linkPreview
+  });
+  return updated.linkPreview;
+};
+
+// Push a new message to every recipient's personal room, and a mentioned event to anyone
+// it mentions. Thread replies also go out as thread_reply to everyone, the sender included,
+// so open threads and reply counts stay current. Links get their preview once it's fetched.
+const deliverMessage = (io, { message, conversation, recipientIds, threadRoot }, sender) => {
+  if (!io || recipientIds.length === 0) {
+    return;
+  }
+
+  io.to(recipientIds).emit('new_message', {
+    message,
+    conversationId: conversation._id.toString(),
+    conversationType: conversation.type,
+    sender: sender.getPublicProfile()
+  });
+
+  notifyMentioned(io, message.mentions || [], message, conversation, sender);
+
+  if (threadRoot) {
+    io.to([...recipientIds, sender._id.toString()]).emit('thread_reply', {
+      message,
+      threadRootId: threadRoot._id.toString(),
+      conversationId: conversation._id.toString(),
+      replyCount: threadRoot.threadReplyCount,
+      lastReplyAt: threadRoot.threadLastReplyAt,
+      updatedAt: message.createdAt
+    });
+  }
+
+  attachLinkPreview(io, message, [...recipientIds, sender._id.toString()])
+    .catch(error => console.error('Link preview error:', error));
+};
+
+// Post a server-generated announcement into a conversation on behalf of the member whose
+// action it describes, and push it to the other members. System messages never expire.
+const createSystemMessage = async (io, conversation, actor, content) => {
+  const actorId = actor._id.toString();
+  const recipientIds = conversation.getMemberIds().filter(id => id !== actorId);
+
+  const message = new Message({
+    sender: actor._id,
+    receiver: conversation.type === 'direct' ? recipientIds[0] : null,
+    conversation: conversation._id,
+    content,
+    messageType: 'system'
+  });
+  await message.save();
+  await populateMessage(message);
+
+  deliverMessage(io, { message, conversation, recipientIds, threadRoot: null }, actor);
+  return message;
+};
+
+// Create a message and push it to its recipients: the send path shared by the socket
+// handler and the scheduled message dispatcher
+const sendMessage = async (io, sender, data) => {
+  const result = await createMessage(sender, data);
+  deliverMessage(io, result, sender);
+  return result;
+};
+
+// Find a live location the user is sharing, or fail the way a socket ack reports it
+const findSharedLiveLocation = async (userId, messageId) => {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    throw new MessageServiceError('Invalid message ID');
+  }
+
+  const message = await Message.findById(messageId);
+  if (!message || message.sender.toString() !== userId.toString() || message.messageType !== 'location') {
+    throw new MessageServiceError('Live location not found', 404);
+  }
+
+  if (!message.isLiveLocationActive()) {
+    throw new MessageServiceError('Live location sharing has ended', 410);
+  }
+
+  return message;
+};
+
+// Move a live location to the sharer's latest position and show everyone who can see it.
+// Updates arriving faster than MIN_LIVE_LOCATION_INTERVAL_MS are ignored.
+const updateLiveLocation = async (io, userId, messageId, position) => {
+  const coordinates = parseCoordinates(position);
+  const message = await findSharedLiveLocation(userId, messageId);
+
+  const now = new Date();
+  if (message.location.positionAt && now - message.location.positionAt < MIN_LIVE_LOCATION_INTERVAL_MS) {
+    return message.location;
+  }
+
+  message.location.lat = coordinates.lat;
+  message.location.lng = coordinates.lng;
+  message.location.accuracy = coordinates.accuracy;
+  message.location.positionAt = now;
+  await message.save();
+
+  broadcastMessageChange(io, message, await getParticipantIds(message), 'live_location_updated', {
+    location: message.location
+  });
+  return message.location;
+};
+
+// End a live location share before its time runs out
+const stopLiveLocation = async (io, userId, messageId) => {
+  const message = await findSharedLiveLocation(userId, messageId);
+
+  message.location.liveUntil = new Date();
+  await message.save();
+
+  broadcastMessageChange(io, message, await getParticipantIds(message), 'live_location_updated', {
+    location: message.location
+  });
+  return message.location;
+};
+
+// Users who can see a message: both sides of a direct chat, or every member of its group
+const getParticipantIds = async (message) => {
+  if (message.receiver) {
+    return [message.sender.toString(), message.receiver.toString()];
+  }
+
+  const conversation = await Conversation.findById(message.conversation).select('members');
+  return conversation ? conversation.getMemberIds() : [message.sender.toString()];
+};
+
+// Tell everyone who can see a message that it changed
+const broadcastMessageChange = (io, message, participantIds, event, payload = {}) => {
+  if (!io) {
+    return;
+  }
+
+  io.to(participantIds).emit(event, {
+    messageId: message._id.toString(),
+    conversationId: message.conversation ? message.conversation.toString() : null,
+    updatedAt: message.updatedAt,
+    ...payload
+  });
+};
+
+// Delete messages for good, with their files, stars, poll votes and pins, and remember them so
+// offline clients drop them when they resync. Each needs _id, sender, receiver, conversation,
+// fileUrl and thumbnail. Files go first: if the server stops halfway, the messages are still
+// there to be found again. Files that forwarded copies elsewhere still use are kept, along
+// with their thumbnails.
+const removeMessages = async (messages) => {
+  if (messages.length === 0) {
+    return;
+  }
+
+  const messageIds = messages.map(message => message._id);
+  const fileUrls = [...new Set(messages.map(message => message.fileUrl).filter(Boolean))];
+  const inUse = await Message.getFileUrlsInUse(fileUrls, messageIds);
+  const unused = messages.filter(message => message.fileUrl && !inUse.has(message.fileUrl));
+  const removable = [...new Set(unused.flatMap(message => [message.fileUrl, message.thumbnail]).filter(Boolean))];
+  await Promise.all(removable.map(fileUrl => (
+    removeUpload(fileUrl).catch(error => console.error('Remove message file error:', error))
+  )));
+
+  await RemovedMessage.record(messages);
+  await Message.deleteMany({ _id: { $in: messageIds } });
+  await StarredMessage.deleteMany({ message: { $in: messageIds } });
+  await PollVote.deleteMany({ message: { $in: messageIds } });
+  await Conversation.updateMany(
+    { 'pinnedMessages.message': { $in: messageIds } },
+    { $pull: { pinnedMessages: { message: { $in: messageIds } } } }
+  );
+};
+
+// Delete every message of a conversation (see removeMessages), a batch at a time
+const removeConversationMessages = async (conversationId) => {
+  let batch;
+  do {
+    batch = await Message.find({ conversation: conversationId })
+      .select('sender receiver conversation fileUrl thumbnail')
+      .limit(REMOVE_BATCH_SIZE)
+      .lean();
+    await removeMessages(batch);
+  } while (batch.length === REMOVE_BATCH_SIZE);
+};
+
+// Mark a receiver's undelivered direct messages as delivered and tell each sender
+const markDelivered = async (io, receiverId, filter = {}) => {
+  const pending = await Message.find({
+    ...filter,
+    receiver: receiverId,
+    deliveredAt: null
+  })
+  .select('_id sender')
+  .lean();
+
+  if (pending.length === 0) {
+    return [];
+  }
+
+  const deliveredAt = new Date();
+  await Message.updateMany(
+    { _id: { $in: pending.map(message => message._id) } },
+    { deliveredAt }
+  );
+
+  if (io) {
+    const idsBySender = new Map();
+    pending.forEach(message => {
+      const senderId = message.sender.toString();
+      idsBySender.set(senderId, [...(idsBySender.get(senderId) || []), message._id.toString()]);
+    });
+
+    idsBySender.forEach((messageIds, senderId) => {
+      io.to(senderId).emit('message_delivered', {
+        messageIds,
+        deliveredTo: receiverId.toString(),
+        deliveredAt
+      });
+    });
+  }
+
+  return pending;
+};
+
+// Mark a conversation read for a user up to and including a message (or everything so far).
+// Notifies the other participants and the reader's own sockets, so unread badges clear everywhere.
+const markConversationRead = async (io, readerId, { conversationId, userId, upToMessageId }) => {
+  readerId = readerId.toString();
+  let partnerId = userId ? userId.toString() : null;
+  let conversation = null;
+
+  if (conversationId) {
+    conversation = await Conversation.findById(conversationId);
+    if (!conversation || !conversation.isMember(readerId)) {
+      throw new MessageServiceError('Conversation not found', 404);
+    }
+    if (conversation.type === 'direct') {
+      partnerId = conversation.getMemberIds().find(id => id !== readerId);
+    }
+  } else if (partnerId) {
+    conversation = await Conversation.findOne({
+      directKey: Conversation.directKeyFor(readerId, partnerId)
+    });
+  } else {
+    throw new MessageServiceError('Conversation or user ID is required');
+  }
+
+  let upTo = new Date();
+  if (upToMessageId) {
+    // The message has to be in this chat, or the read cursor could be moved anywhere
+    const filter = conversation && conversation.type === 'group'
+      ? Message.groupConversationFilter(conversation._id, readerId)
+      : Message.conversationFilter(readerId, partnerId);
+    const upToMessage = mongoose.Types.ObjectId.isValid(upToMessageId)
+      ? await Message.findOne({ _id: upToMessageId, ...filter }).select('createdAt').lean()
+      : null;
+    if (!upToMessage) {
+      throw new MessageServiceError('Message not found', 404);
+    }
+    upTo = upToMessage.createdAt;
+  }
+
+  const readAt = new Date();
+  const event = {
+    conversationId: conversation ? conversation._id.toString() : null,
+    readBy: readerId,
+    readAt,
+    upToMessageId: upToMessageId || null,
+    upTo
+  };
+
+  if (conversation && conversation.type === 'group') {
+    const advanced = await conversation.markReadBy(readerId, upTo);
+    if (advanced && io) {
+      const member = conversation.getMember(readerId);
+      io.to(conversation.getMemberIds()).emit('message_read', {
+        ...event,
+        remainingUnread: await Message.getGroupUnreadCount(conversation._id, readerId, member.lastReadAt)
+      });
+    }
+    return advanced;
+  }
+
+  const unreadFromPartner = {
+    sender: partnerId,
+    receiver: readerId,
+    isRead: false,
+    createdAt: { $lte: upTo }
+  };
+
+  // Anything being read now was delivered too, even if the delivery ack never arrived
+  await markDelivered(io, readerId, { sender: partnerId, createdAt: { $lte: upTo } });
+  const result = await Message.updateMany(unreadFromPartner, { isRead: true, readAt });
+
+  if (result.modifiedCount > 0 && io) {
+    const remainingUnread = await Message.countDocuments({
+      sender: partnerId,
+      receiver: readerId,
+      isRead: false,
+      deletedFor: { $ne: readerId }
+    });
+
+    io.to([partnerId, readerId]).emit('message_read', {
+      ...event,
+      senderId: partnerId,
+      remainingUnread
+    });
+  }
+
+  return result.modifiedCount > 0;
+};
+
+// Collect everything a reconnecting client missed since its last-seen server time.
+// Returns { serverTime, messages, deletedMessageIds, readStates, reset }; with reset set the
+// client should refetch what it has open rather than apply the changes one by one.
+const getChangesSince = async (io, userId, since) => {
+  userId = userId.toString();
+  const serverTime = new Date();
+  const empty = { serverTime, messages: [], deletedMessageIds: [], readStates: [], reset: false };
+
+  const sinceDate = since ? new Date(since) : null;
+  if (!sinceDate || isNaN(sinceDate.getTime())) {
+    return empty;
+  }
+
+  const groups = await Conversation.find({ type: 'group', 'members.user': userId })
+    .select('members updatedAt')
+    .lean();
+  const groupIds = groups.map(group => group._id);
+
+  const changed = await Message.getChangedSince(userId, groupIds, sinceDate, MAX_SYNC_CHANGES + 1);
+  // Messages deleted for good leave no trace in Message, only in RemovedMessage
+  const removedIds = await RemovedMessage.getRemovedSince(userId, groupIds, sinceDate);
+  if (changed.length > MAX_SYNC_CHANGES || !removedIds || removedIds.length > MAX_SYNC_CHANGES) {
+    return { ...empty, reset: true };
+  }
+
+  const deletedMessageIds = [...removedIds];
+  const messages = [];
+  changed.forEach(message => {
+    if (message.deletedFor.some(id => id.toString() === userId)) {
+      deletedMessageIds.push(message._id.toString());
+    } else {
+      messages.push(message);
+    }
+  });
+
+  // Group read receipts live on the conversation, not the messages
+  const readStates = groups
+    .filter(group => group.updatedAt > sinceDate)
+    .map(group => ({
+      conversationId: group._id.toString(),
+      members: group.members.map(member => ({
+        user: member.user.toString(),
+        lastReadAt: member.lastReadAt
+      }))
+    }));
+
+  // Direct messages that were waiting for this client have now reached it
+  const undelivered = messages
+    .filter(message => message.receiver && message.receiver._id.toString() === userId && !message.deliveredAt)
+    .map(message => message._id);
+  if (undelivered.length > 0) {
+    await markDelivered(io, userId, { _id: { $in: undelivered } });
+  }
+
+  return { serverTime, messages, deletedMessageIds, readStates, reset: false };
+};
+
+module.exports = {
+  MessageServiceError,
+  resolveTarget,
+  populateMessage,
+  findMessageConversation,
+  createMessage,
+  deliverMessage,
+  resolveMentions,
+  notifyMentioned,
+  attachLinkPreview,
+  sendMessage,
+  updateLiveLocation,
+  stopLiveLocation,
+  createSystemMessage,
+  getParticipantIds,
+  broadcastMessageChange,
+  removeMessages,
+  removeConversationMessages,
+  markDelivered,
+  markConversationRead,
+  getChangesSince
+};
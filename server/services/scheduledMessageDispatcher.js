@@ -0,0 +1,86 @@
+const ScheduledMessage = require('../models/ScheduledMessage');
+const User = require('../models/User');
+const { sendMessage, MessageServiceError } = require('./messageService');
+
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULED_MESSAGE_POLL_MS) || 15 * 1000;
+
+// Send one claimed scheduled message and tell its sender how it went. The queue entry's ID
+// doubles as the clientMessageId, so a send repeated after a crash can't post the message twice.
+const dispatchScheduledMessage = async (io, scheduled) => {
+  const senderId = scheduled.sender.toString();
+
+  try {
+    const sender = await User.findById(scheduled.sender).select('-password');
+    if (!sender) {
+      await scheduled.deleteOne();
+      return;
+    }
+
+    const { message } = await sendMessage(io, sender, {
+      conversationId: scheduled.conversation,
+      content: scheduled.content,
+      clientMessageId: `scheduled-${scheduled._id}`
+    });
+
+    await scheduled.deleteOne();
+
+    if (io) {
+      io.to(senderId).emit('scheduled_message_sent', {
+        scheduledMessageId: scheduled._id.toString(),
+        message
+      });
+    }
+  } catch (error) {
+    // Service errors (no longer friends, left the group, ...) won't fix themselves on a retry
+    const permanent = error instanceof MessageServiceError;
+    if (!permanent) {
+      console.error('Dispatch scheduled message error:', error);
+    }
+
+    const failed = await scheduled.recordFailure(permanent ? error.message : 'Failed to send message', permanent);
+    if (failed && io) {
+      io.to(senderId).emit('scheduled_message_failed', {
+        scheduledMessageId: scheduled._id.toString(),
+        conversationId: scheduled.conversation.toString(),
+        error: scheduled.error
+      });
+    }
+  }
+};
+
+// Send everything that is due, oldest first
+const dispatchDueMessages = async (io) => {
+  let scheduled = await ScheduledMessage.claimNextDue();
+  while (scheduled) {
+    await dispatchScheduledMessage(io, scheduled);
+    scheduled = await ScheduledMessage.claimNextDue();
+  }
+};
+
+// Poll for due scheduled messages in this process. The queue lives in MongoDB, so anything
+// that came due while the server was down goes out on the first run after it starts.
+const startScheduledMessageDispatcher = (io) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      await dispatchDueMessages(io);
+    } catch (error) {
+      console.error('Scheduled message dispatcher error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, POLL_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startScheduledMessageDispatcher };
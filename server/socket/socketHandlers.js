@@ -1,6 +1,14 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const Message = require('../models/Message');
+const {
+  sendMessage,
+  updateLiveLocation,
+  stopLiveLocation,
+  markDelivered,
+  markConversationRead,
+  getChangesSince,
+  MessageServiceError
+} = require('../services/messageService');
 
 // Store connected users
 const connectedUsers = new Map();
@@ -60,68 +68,101 @@ const setupSocketHandlers = (io) => {
     // Join user to their personal room
     socket.join(socket.userId);
 
-    // Handle private messages
-    socket.on('send_message', async (data) => {
-      console.log('Received send_message event:', data);
-      try {
-        const { receiverId, content, messageType = 'text', replyTo } = data;
+    // Handle resync after a reconnect: the client sends the last server time it saw and
+    // gets back every message change since then (new, edited, deleted, reacted, read)
+    socket.on('sync', async (data, ack) => {
+      if (typeof ack !== 'function') {
+        return;
+      }
 
-        // Validate receiver
-        const receiver = await User.findById(receiverId);
-        if (!receiver) {
-          socket.emit('error', { message: 'Receiver not found' });
-          return;
-        }
+      try {
+        const { since } = data || {};
+        ack(await getChangesSince(io, socket.userId, since));
+      } catch (error) {
+        console.error('Sync error:', error);
+        ack({ error: { message: 'Failed to sync', status: 500 } });
+      }
+    });
 
-        // Check if they are friends
-        if (!socket.user.friends.includes(receiverId)) {
-          socket.emit('error', { message: 'Can only send messages to friends' });
-          return;
-        }
+    // Handle direct and group messages. Clients pass an ack callback and a clientMessageId
+    // so they can retry safely; the ack answers { message } or { error }.
+    socket.on('send_message', async (data, ack) => {
+      const respond = typeof ack === 'function' ? ack : null;
 
-        // Create message
-        const messageData = {
-          sender: socket.userId,
-          receiver: receiverId,
+      try {
+        const {
+          receiverId,
+          conversationId,
           content,
-          messageType
-        };
-
-        if (replyTo) {
-          const replyMessage = await Message.findById(replyTo);
-          if (replyMessage) {
-            messageData.replyTo = replyTo;
-          }
-        }
-
-        const message = new Message(messageData);
-        await message.save();
+          messageType = 'text',
+          location,
+          replyTo,
+          threadRoot,
+          clientMessageId
+        } = data;
+
+        // Saves the message and fans it out to every recipient's personal room
+        const result = await sendMessage(io, socket.user, {
+          receiverId,
+          conversationId,
+          content,
+          messageType,
+          location,
+          replyTo,
+          threadRoot,
+          clientMessageId
+        });
 
-        // Populate sender and receiver info
-        await message.populate('sender', 'username firstName lastName avatar');
-        await message.populate('receiver', 'username firstName lastName avatar');
-        if (message.replyTo) {
-          await message.populate('replyTo', 'content sender');
+        // Send confirmation to sender
+        if (respond) {
+          respond({ message: result.message, duplicate: result.duplicate });
+        } else {
+          socket.emit('message_sent', { message: result.message });
         }
 
-        // Send to receiver if online
-        const receiverSocket = connectedUsers.get(receiverId);
-        if (receiverSocket) {
-          io.to(receiverSocket.socketId).emit('new_message', {
-            message,
-            sender: socket.user.getPublicProfile()
-          });
+      } catch (error) {
+        const isServiceError = error instanceof MessageServiceError;
+        if (!isServiceError) {
+          console.error('Send message error:', error);
         }
 
-        // Send confirmation to sender
-        socket.emit('message_sent', { message });
+        const payload = isServiceError
+          ? { message: error.message, status: error.status }
+          : { message: 'Failed to send message', status: 500 };
 
-      } catch (error) {
-        console.error('Send message error:', error);
-        socket.emit('error', { message: 'Failed to send message' });
+        if (respond) {
+          respond({ error: payload });
+        } else {
+          socket.emit('error', { message: payload.message });
+        }
       }
     });
 
+    // Live location: the sharing client streams its position ({ messageId, lat, lng, accuracy })
+    // while the share lasts, and can end it early. Acks answer { location } or { error }.
+    const handleLiveLocation = (eventName, action) => {
+      socket.on(eventName, async (data, ack) => {
+        const respond = typeof ack === 'function' ? ack : () => {};
+
+        try {
+          const { messageId, ...position } = data || {};
+          respond({ location: await action(messageId, position) });
+        } catch (error) {
+          if (error instanceof MessageServiceError) {
+            respond({ error: { message: error.message, status: error.status } });
+            return;
+          }
+          console.error('Live location error:', error);
+          respond({ error: { message: 'Failed to update live location', status: 500 } });
+        }
+      });
+    };
+
+    handleLiveLocation('update_live_location', (messageId, position) => (
+      updateLiveLocation(io, socket.userId, messageId, position)
+    ));
+    handleLiveLocation('stop_live_location', (messageId) => stopLiveLocation(io, socket.userId, messageId));
+
     // Handle typing indicators
     socket.on('typing_start', (data) => {
       const { receiverId } = data;
@@ -144,27 +185,31 @@ const setupSocketHandlers = (io) => {
       }
     });
 
-    // Handle message read receipts
-    socket.on('mark_read', async (data) => {
+    // Handle delivery receipts for direct messages that reached this client
+    socket.on('confirm_delivery', async (data) => {
       try {
-        const { messageId } = data;
-        const message = await Message.findById(messageId);
-        
-        if (message && message.receiver.toString() === socket.userId) {
-          await message.markAsRead();
-          
-          // Notify sender that message was read
-          const senderSocket = connectedUsers.get(message.sender.toString());
-          if (senderSocket) {
-            io.to(senderSocket.socketId).emit('message_read', {
-              messageId,
-              readBy: socket.userId,
-              readAt: new Date()
-            });
-          }
+        const { messageIds } = data;
+        if (!Array.isArray(messageIds) || messageIds.length === 0) {
+          return;
         }
+
+        await markDelivered(io, socket.userId, { _id: { $in: messageIds } });
+      } catch (error) {
+        console.error('Confirm delivery error:', error);
+      }
+    });
+
+    // Handle read receipts: everything in a conversation up to a message (or up to now)
+    socket.on('mark_conversation_read', async (data) => {
+      try {
+        const { conversationId, userId, upToMessageId } = data;
+        await markConversationRead(io, socket.userId, { conversationId, userId, upToMessageId });
       } catch (error) {
-        console.error('Mark read error:', error);
+        if (error instanceof MessageServiceError) {
+          socket.emit('error', { message: error.message });
+          return;
+        }
+        console.error('Mark conversation read error:', error);
       }
     });
 
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const path = require('path');
+const contentDisposition = require('content-disposition');
+const { createLocalDriver } = require('./localDriver');
+const { createS3Driver } = require('./s3Driver');
+
+// Uploads are referred to everywhere (fileUrl, thumbnail, avatar) as /uploads/<key>, whichever
+// driver stores them. Clients only ever see signed links to them (see signFileUrls).
+const URL_PREFIX = '/uploads/';
+const KEY_PATTERN = /^[A-Za-z0-9_-]+(?:\/[A-Za-z0-9_.-]+)+$/;
+// Fields holding upload URLs, signed whenever they're sent to a client
+const FILE_URL_FIELDS = new Set(['fileUrl', 'thumbnail', 'avatar']);
+
+// Images, videos and audio the browser shows itself. Anything else (HTML and SVG included)
+// is always sent as a download, so an upload can never run script on this site.
+const INLINE_EXTENSIONS = new Set([
+  '.jpg', '.jpeg', '.png', '.gif', '.webp',
+  '.mp4', '.webm', '.mov',
+  '.mp3', '.m4a', '.ogg', '.oga', '.opus', '.aac', '.wav'
+]);
+
+const URL_TTL_SECONDS = parseInt(process.env.STORAGE_URL_TTL_SECONDS) || 6 * 60 * 60;
+// Expiry times are rounded up to this, so a file's link stays the same (and cacheable) for a while
+const URL_EXPIRY_STEP_SECONDS = Math.max(1, Math.floor(URL_TTL_SECONDS / 6));
+
+const getUrlSecret = () => process.env.STORAGE_URL_SECRET || process.env.JWT_SECRET;
+
+const createDriver = () => {
+  const driverName = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  if (driverName === 's3') {
+    return createS3Driver({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    });
+  }
+
+  if (driverName !== 'local') {
+    throw new Error(`Unknown STORAGE_DRIVER: ${driverName}`);
+  }
+
+  return createLocalDriver({
+    root: process.env.UPLOAD_PATH
+      ? path.resolve(process.env.UPLOAD_PATH)
+      : path.join(__dirname, '../../uploads')
+  });
+};
+
+let driver = null;
+
+// The configured driver, set up on first use so a bad configuration only fails uploads
+const getDriver = () => {
+  if (!driver) {
+    driver = createDriver();
+  }
+  return driver;
+};
+
+// Storage key of an upload URL, or null for anything that isn't one
+const getKey = (fileUrl) => {
+  if (typeof fileUrl !== 'string' || !fileUrl.startsWith(URL_PREFIX)) {
+    return null;
+  }
+
+  const key = fileUrl.slice(URL_PREFIX.length);
+  return KEY_PATTERN.test(key) && !key.split('/').includes('..') ? key : null;
+};
+
+const requireKey = (fileUrl) => {
+  const key = getKey(fileUrl);
+  if (!key) {
+    throw new Error(`Not an upload URL: ${fileUrl}`);
+  }
+  return key;
+};
+
+// A new, unique upload URL in a folder, e.g. /uploads/messages/file-1700000000000-123456789.png
+const createFileUrl = (folder, fieldname, extension = '') => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const safeExtension = /^\.[A-Za-z0-9]{1,10}$/.test(extension) ? extension.toLowerCase() : '';
+  return `${URL_PREFIX}${folder}/${fieldname}-${uniqueSuffix}${safeExtension}`;
+};
+
+// Store a Buffer or stream at an upload URL. Resolves to { size }.
+const writeUpload = (fileUrl, body, options) => getDriver().save(requireKey(fileUrl), body, options);
+
+// Read an upload, or the bytes from start to end (inclusive). Missing files reject with code ENOENT.
+const readUpload = (fileUrl, range) => getDriver().read(requireKey(fileUrl), range);
+
+// { size, contentType } of an upload, or null when it doesn't exist
+const statUpload = (fileUrl) => getDriver().stat(requireKey(fileUrl));
+
+// Delete an upload, given its URL. Missing files and anything that isn't an upload URL are ignored.
+const removeUpload = async (fileUrl) => {
+  const key = getKey(fileUrl);
+  if (key) {
+    await getDriver().remove(key);
+  }
+};
+
+// Content-Disposition for sending an upload: inline when it's safe to show, otherwise (or when
+// download is set) as an attachment. fileName is the name to save it as, defaulting to the stored one.
+const getContentDisposition = (fileUrl, fileName, { download = false } = {}) => {
+  const inline = !download && INLINE_EXTENSIONS.has(path.posix.extname(fileUrl).toLowerCase());
+  return contentDisposition(fileName || path.posix.basename(fileUrl), {
+    type: inline ? 'inline' : 'attachment'
+  });
+};
+
+// Answer a download request with the file, or a redirect to wherever the driver keeps it.
+// Options: maxAge (ms the browser may keep it) and disposition (a Content-Disposition header).
+const serveUpload = (res, fileUrl, options) => getDriver().serve(res, requireKey(fileUrl), options);
+
+const computeSignature = (fileUrl, expires) => crypto
+  .createHmac('sha256', getUrlSecret())
+  .update(`${fileUrl}\n${expires}`)
+  .digest('base64url');
+
+// A link to an upload that works until it expires, e.g. /uploads/avatars/x.png?expires=...&signature=...
+const signFileUrl = (fileUrl, now = Date.now()) => {
+  const expires = Math.ceil((now / 1000 + URL_TTL_SECONDS) / URL_EXPIRY_STEP_SECONDS) * URL_EXPIRY_STEP_SECONDS;
+  return `${fileUrl}?expires=${expires}&signature=${computeSignature(fileUrl, expires)}`;
+};
+
+// Check a download link's expiry and signature. Returns the milliseconds it has left, or 0
+// when it's expired or wasn't signed by this server.
+const verifySignedUrl = (fileUrl, expires, signature, now = Date.now()) => {
+  const expiresAt = Number(expires) * 1000;
+  if (!getKey(fileUrl) || !Number.isInteger(Number(expires)) || expiresAt <= now || typeof signature !== 'string') {
+    return 0;
+  }
+
+  const expected = Buffer.from(computeSignature(fileUrl, Number(expires)));
+  const given = Buffer.from(signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? expiresAt - now : 0;
+};
+
+// JSON replacer that swaps upload URLs for signed links in everything sent to clients,
+// over HTTP (app 'json replacer') and Socket.IO (its encoder), lean query results included
+const signFileUrls = (key, value) => (
+  FILE_URL_FIELDS.has(key) && getKey(value) ? signFileUrl(value) : value
+);
+
+module.exports = {
+  createFileUrl,
+  writeUpload,
+  readUpload,
+  statUpload,
+  removeUpload,
+  serveUpload,
+  getContentDisposition,
+  signFileUrl,
+  verifySignedUrl,
+  signFileUrls
+};
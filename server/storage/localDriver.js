@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Stores uploads as files under a directory on this server's disk. Fine for a single
+// long-lived server; hosts that wipe the disk on deploy need the S3 driver instead.
+const createLocalDriver = ({ root }) => {
+  const baseDir = path.resolve(root);
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  // Write a Buffer or stream, swapping it in whole once written. Resolves to { size }.
+  const save = async (key, body) => {
+    const filePath = resolveKey(key);
+    const temporaryPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    try {
+      if (Buffer.isBuffer(body)) {
+        await fs.promises.writeFile(temporaryPath, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(temporaryPath));
+      }
+      await fs.promises.rename(temporaryPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(temporaryPath, { force: true });
+      throw error;
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+    return { size };
+  };
+
+  // The whole file, or the bytes from start to end (inclusive)
+  const read = async (key, { start, end } = {}) => {
+    const filePath = resolveKey(key);
+    if (start === undefined) {
+      return fs.promises.readFile(filePath);
+    }
+
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const length = end === undefined ? (await handle.stat()).size - start : end - start + 1;
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(Math.max(0, length)), 0, Math.max(0, length), start);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  };
+
+  const remove = async (key) => {
+    try {
+      await fs.promises.unlink(resolveKey(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  };
+
+  // { size, contentType } or null when there's no such file. Types come from the extension.
+  const stat = async (key) => {
+    try {
+      const { size } = await fs.promises.stat(resolveKey(key));
+      return { size, contentType: null };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  // Send the file itself (Express handles range requests), cacheable only by the browser
+  const serve = (res, key, { maxAge = 0, disposition } = {}) => new Promise((resolve, reject) => {
+    res.set('Cache-Control', `private, max-age=${Math.floor(maxAge / 1000)}`);
+    if (disposition) {
+      res.set('Content-Disposition', disposition);
+    }
+    res.sendFile(resolveKey(key), { cacheControl: false, dotfiles: 'deny' }, (error) => {
+      if (error && error.code === 'ENOENT') {
+        if (!res.headersSent) {
+          res.status(404).json({ message: 'File not found' });
+        }
+        return resolve();
+      }
+      return error && !res.headersSent ? reject(error) : resolve();
+    });
+  });
+
+  return { name: 'local', save, read, remove, stat, serve };
+};
+
+module.exports = { createLocalDriver };
@@ -0,0 +1,31 @@
+const path = require('path');
+const { createFileUrl, writeUpload, removeUpload } = require('./index');
+
+// Multer storage engine that saves uploads through the configured storage driver, into
+// folder. Where diskStorage sets file.path, this sets file.fileUrl (the upload's URL);
+// file.filename and file.size are set as usual. extension picks the stored file's
+// extension, defaulting to the uploaded name's.
+class DriverStorage {
+  constructor({ folder, extension }) {
+    this.folder = folder;
+    this.getExtension = extension || ((file) => path.extname(file.originalname));
+  }
+
+  _handleFile(req, file, cb) {
+    const fileUrl = createFileUrl(this.folder, file.fieldname, this.getExtension(file));
+
+    writeUpload(fileUrl, file.stream, { contentType: file.mimetype })
+      .then(({ size }) => cb(null, { fileUrl, filename: path.posix.basename(fileUrl), size }))
+      .catch(cb);
+  }
+
+  _removeFile(req, file, cb) {
+    removeUpload(file.fileUrl)
+      .then(() => cb(null))
+      .catch(cb);
+  }
+}
+
+const uploadStorage = (options) => new DriverStorage(options);
+
+module.exports = { uploadStorage };
@@ -0,0 +1,108 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// How long the presigned link a download is redirected to stays valid
+const PRESIGNED_URL_SECONDS = 5 * 60;
+
+const isNotFound = (error) => (
+  error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404
+);
+
+// Report a missing object the way the local driver reports a missing file
+const toNotFoundError = (error, key) => {
+  if (!isNotFound(error)) {
+    return error;
+  }
+  const notFound = new Error(`No such file: ${key}`);
+  notFound.code = 'ENOENT';
+  return notFound;
+};
+
+const streamToBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Stores uploads in an S3 bucket, or any S3-compatible service such as MinIO (set endpoint
+// and forcePathStyle). The bucket can stay private: downloads are redirected to short-lived
+// presigned links.
+const createS3Driver = ({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for S3 storage');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: !!forcePathStyle,
+    // Without keys the SDK's usual sources apply (environment, instance role)
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  // Uploads are capped by multer's size limit, so buffering one is fine and lets S3 know
+  // its length up front. Resolves to { size }.
+  const save = async (key, body, { contentType } = {}) => {
+    const data = Buffer.isBuffer(body) ? body : await streamToBuffer(body);
+    await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: data,
+      ContentType: contentType || undefined
+    }));
+    return { size: data.length };
+  };
+
+  const read = async (key, { start, end } = {}) => {
+    try {
+      const response = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Range: start === undefined ? undefined : `bytes=${start}-${end === undefined ? '' : end}`
+      }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      throw toNotFoundError(error, key);
+    }
+  };
+
+  const remove = async (key) => {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  };
+
+  const stat = async (key) => {
+    try {
+      const response = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+      return { size: response.ContentLength, contentType: response.ContentType || null };
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  // Send the browser straight to the bucket, which handles range requests itself. Its response
+  // carries the Content-Disposition asked for, as the presigned link says so.
+  const serve = async (res, key, { maxAge = 0, disposition } = {}) => {
+    const url = await getSignedUrl(client, new GetObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      ResponseCacheControl: maxAge ? `private, max-age=${Math.floor(maxAge / 1000)}` : undefined,
+      ResponseContentDisposition: disposition || undefined
+    }), { expiresIn: PRESIGNED_URL_SECONDS });
+    res.redirect(302, url);
+  };
+
+  return { name: 's3', save, read, remove, stat, serve };
+};
+
+module.exports = { createS3Driver };
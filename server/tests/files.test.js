@@ -0,0 +1,138 @@
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.UPLOAD_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'files-test-'));
+
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const { writeUpload } = require('../storage');
+const fileRoutes = require('../routes/files');
+
+const id = () => new mongoose.Types.ObjectId();
+const alice = { _id: id() };
+const bob = { _id: id() };
+const carol = { _id: id() };
+const users = [alice, bob, carol];
+
+const group = new Conversation({ type: 'group', members: [{ user: alice._id }, { user: carol._id }] });
+
+// Messages as findAttachment would load them; its own query (deletedFor, expiry) needs a database
+const messages = {
+  direct: { _id: id(), sender: alice._id, receiver: bob._id, fileUrl: '/uploads/messages/notes.txt', fileName: 'notes.txt' },
+  group: { _id: id(), sender: alice._id, receiver: null, conversation: group._id, fileUrl: '/uploads/messages/notes.txt' },
+  photo: {
+    _id: id(),
+    sender: alice._id,
+    receiver: bob._id,
+    fileUrl: '/uploads/messages/photo.webp',
+    thumbnail: '/uploads/messages/thumbs/photo.webp.webp',
+    media: { status: 'ready' }
+  },
+  processing: { _id: id(), sender: alice._id, receiver: bob._id, fileUrl: '/uploads/messages/photo.webp', media: { status: 'processing' } }
+};
+
+const tokenFor = (user) => jwt.sign({ userId: user._id.toString() }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+describe('GET /api/files/:id', () => {
+  let server;
+  let origin;
+
+  before(async () => {
+    mock.method(User, 'findById', (userId) => ({
+      select: async () => users.find(user => user._id.toString() === userId.toString()) || null
+    }));
+    mock.method(Message, 'findAttachment', async (messageId) => (
+      Object.values(messages).find(message => message._id.toString() === messageId) || null
+    ));
+    mock.method(Conversation, 'findById', (conversationId) => ({
+      select: async () => (conversationId.toString() === group._id.toString() ? group : null)
+    }));
+
+    await writeUpload('/uploads/messages/notes.txt', Buffer.from('meeting notes'));
+    await writeUpload('/uploads/messages/photo.webp', Buffer.from('photo'));
+    await writeUpload('/uploads/messages/thumbs/photo.webp.webp', Buffer.from('thumbnail'));
+
+    const app = express();
+    app.use('/api/files', fileRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    mock.restoreAll();
+    server.close();
+    fs.rmSync(process.env.UPLOAD_PATH, { recursive: true, force: true });
+  });
+
+  const download = (pathname, user, { cookie = false } = {}) => {
+    const headers = {};
+    if (user && cookie) {
+      headers.Cookie = `files_token=${tokenFor(user)}`;
+    } else if (user) {
+      headers.Authorization = `Bearer ${tokenFor(user)}`;
+    }
+    return fetch(`${origin}/api/files/${pathname}`, { headers });
+  };
+
+  test('serves a direct message file to both sides', async () => {
+    for (const user of [alice, bob]) {
+      const response = await download(messages.direct._id, user);
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(await response.text(), 'meeting notes');
+      assert.match(response.headers.get('content-disposition'), /^attachment; filename="notes.txt"/);
+    }
+  });
+
+  test('accepts the file token cookie instead of a header', async () => {
+    const response = await download(messages.direct._id, bob, { cookie: true });
+    assert.strictEqual(response.status, 200);
+  });
+
+  test('serves a group file to its members only', async () => {
+    assert.strictEqual((await download(messages.group._id, carol)).status, 200);
+    assert.strictEqual((await download(messages.group._id, bob)).status, 404);
+  });
+
+  test('reports files outside the user\'s chats as missing', async () => {
+    const response = await download(messages.direct._id, carol);
+    assert.strictEqual(response.status, 404);
+    assert.deepStrictEqual(await response.json(), { message: 'File not found' });
+  });
+
+  test('reports unknown and malformed IDs as missing', async () => {
+    assert.strictEqual((await download(id(), alice)).status, 404);
+    assert.strictEqual((await download('not-an-id', alice)).status, 404);
+  });
+
+  test('needs a valid session', async () => {
+    assert.strictEqual((await download(messages.direct._id)).status, 401);
+
+    const forged = jwt.sign({ userId: alice._id.toString() }, 'another-secret');
+    const response = await fetch(`${origin}/api/files/${messages.direct._id}`, {
+      headers: { Authorization: `Bearer ${forged}` }
+    });
+    assert.strictEqual(response.status, 401);
+  });
+
+  test('holds back a photo until it has been processed', async () => {
+    assert.strictEqual((await download(messages.processing._id, bob)).status, 409);
+  });
+
+  test('serves thumbnails with the same check', async () => {
+    const response = await download(`${messages.photo._id}/thumbnail`, bob);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(await response.text(), 'thumbnail');
+
+    assert.strictEqual((await download(`${messages.photo._id}/thumbnail`, carol)).status, 404);
+    assert.strictEqual((await download(`${messages.direct._id}/thumbnail`, alice)).status, 404);
+  });
+});
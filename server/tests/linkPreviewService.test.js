@@ -0,0 +1,114 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { LinkPreviewError, isPrivateAddress, fetchLinkPreview } = require('../services/linkPreviewService');
+
+// Pages served by the local fixture, by path
+const PAGES = {
+  '/article': `<!doctype html><html><head>
+    <title>Fallback title</title>
+    <meta property="og:title" content="Tom &amp; Jerry">
+    <meta property="og:description" content="A &lt;b&gt;classic&lt;/b&gt; cartoon">
+    <meta property="og:image" content="/images/cover.webp">
+    </head><body>Hello</body></html>`,
+  '/plain': '<html><head><title>Just a title</title><meta name="description" content="Described"></head></html>',
+  // The description only arrives after a long run of padding
+  '/large': `<html><head><title>Big page</title>${' '.repeat(64 * 1024)}<meta name="description" content="Too far"></head></html>`
+};
+
+describe('link previews', () => {
+  let server;
+  let origin;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/slow') {
+        // Never answers; the client has to give up on its own
+        return;
+      }
+      if (req.url === '/moved') {
+        res.writeHead(302, { Location: '/plain' });
+        return res.end();
+      }
+      if (!PAGES[req.url]) {
+        res.writeHead(404);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(PAGES[req.url]);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  // The fixture runs on loopback, which is only reachable with allowPrivateHosts
+  const fetchLocal = (path, options = {}) => fetchLinkPreview(`${origin}${path}`, { allowPrivateHosts: true, ...options });
+
+  test('reads the OpenGraph title, description and image', async () => {
+    const preview = await fetchLocal('/article');
+
+    assert.strictEqual(preview.title, 'Tom & Jerry');
+    assert.strictEqual(preview.description, 'A classic cartoon');
+    assert.strictEqual(preview.image, `${origin}/images/cover.webp`);
+    assert.strictEqual(preview.siteName, '127.0.0.1');
+  });
+
+  test('falls back to <title> and the meta description, following redirects', async () => {
+    const preview = await fetchLocal('/moved');
+
+    assert.strictEqual(preview.title, 'Just a title');
+    assert.strictEqual(preview.description, 'Described');
+    assert.strictEqual(preview.image, null);
+  });
+
+  test('reads no further than maxBytes', async () => {
+    const preview = await fetchLocal('/large', { maxBytes: 16 * 1024 });
+
+    assert.strictEqual(preview.title, 'Big page');
+    assert.strictEqual(preview.description, null);
+  });
+
+  test('gives up once timeoutMs has passed', async () => {
+    await assert.rejects(fetchLocal('/slow', { timeoutMs: 200 }), {
+      name: 'LinkPreviewError',
+      message: 'Timed out fetching the page'
+    });
+  });
+
+  test('rejects pages that answer with an error', async () => {
+    await assert.rejects(fetchLocal('/missing'), LinkPreviewError);
+  });
+
+  test('refuses private addresses, written out or resolved', async () => {
+    const port = server.address().port;
+    const urls = [
+      `${origin}/article`,
+      `http://localhost:${port}/article`,
+      `http://[::1]:${port}/article`,
+      `http://[::127.0.0.1]:${port}/article`,
+      `http://[::ffff:127.0.0.1]:${port}/article`
+    ];
+
+    for (const url of urls) {
+      await assert.rejects(fetchLinkPreview(url, { allowPrivateHosts: false }), /private address/, url);
+    }
+  });
+});
+
+describe('isPrivateAddress', () => {
+  test('flags loopback, private, link-local and IPv4-compatible addresses', () => {
+    ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+      '0.0.0.0', '::', '::1', '::127.0.0.1', '::ffff:10.0.0.1', 'fd00::1', 'fe80::1', 'not an address']
+      .forEach(address => assert.strictEqual(isPrivateAddress(address), true, address));
+  });
+
+  test('allows public addresses', () => {
+    ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111']
+      .forEach(address => assert.strictEqual(isPrivateAddress(address), false, address));
+  });
+});
@@ -0,0 +1,60 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { normalizeContent, sanitizeContent, unescapeContent, removeCode } = require('../utils/sanitize');
+
+describe('sanitizeContent', () => {
+  test('escapes markup in prose', () => {
+    assert.strictEqual(
+      sanitizeContent('<script>alert(1)</script> & <img src=x onerror=alert(1)>'),
+      '&lt;script&gt;alert(1)&lt;/script&gt; &amp; &lt;img src=x onerror=alert(1)&gt;'
+    );
+  });
+
+  test('keeps text that only looks like tags, escaped', () => {
+    assert.strictEqual(sanitizeContent('Vec<String> for <bob@example.com>'), 'Vec&lt;String&gt; for &lt;bob@example.com&gt;');
+  });
+
+  test('leaves code spans and blocks as written', () => {
+    const content = 'Use `a < b && c` here\n```html\n<div class="x">&nbsp;</div>\n```\nthen <b>';
+    assert.strictEqual(
+      sanitizeContent(content),
+      'Use `a < b && c` here\n```html\n<div class="x">&nbsp;</div>\n```\nthen &lt;b&gt;'
+    );
+  });
+
+  test('treats an unclosed fence as code to the end', () => {
+    assert.strictEqual(sanitizeContent('<i>\n```\n<i>'), '&lt;i&gt;\n```\n<i>');
+  });
+
+  test('is idempotent', () => {
+    const once = sanitizeContent('a < b & c > d `<x>` &amp; &lt;');
+    assert.strictEqual(sanitizeContent(once), once);
+  });
+
+  test('normalizes line endings, drops control characters and trims', () => {
+    assert.strictEqual(sanitizeContent('  one\r\ntwo\rthree\u0000\u0007\t\n '), 'one\ntwo\nthree');
+  });
+
+  test('returns an empty string for anything that is not a string', () => {
+    [undefined, null, 42, {}, ['<b>']].forEach(value => assert.strictEqual(sanitizeContent(value), ''));
+  });
+});
+
+describe('unescapeContent', () => {
+  test('gives back the text as it was written', () => {
+    const written = 'if (a < b && b > c) `x &amp; y` <3';
+    assert.strictEqual(unescapeContent(sanitizeContent(written)), written);
+  });
+});
+
+describe('normalizeContent', () => {
+  test('normalizes without escaping', () => {
+    assert.strictEqual(normalizeContent(' Fish & <chips>\r\n'), 'Fish & <chips>');
+  });
+});
+
+describe('removeCode', () => {
+  test('blanks out code spans and blocks', () => {
+    assert.strictEqual(removeCode('see `@bob` and ```\n@alice\n``` @carol'), 'see   and   @carol');
+  });
+});
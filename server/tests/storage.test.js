@@ -0,0 +1,76 @@
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert');
+const { signFileUrl, verifySignedUrl, signFileUrls } = require('../storage');
+
+const FILE_URL = '/uploads/avatars/avatar-1.png';
+const HOUR_MS = 60 * 60 * 1000;
+
+// Split a signed link into the arguments verifySignedUrl takes
+const parseSignedUrl = (signedUrl) => {
+  const url = new URL(signedUrl, 'http://localhost');
+  return [url.pathname, url.searchParams.get('expires'), url.searchParams.get('signature')];
+};
+
+describe('signed upload links', () => {
+  before(() => {
+    process.env.STORAGE_URL_SECRET = 'test-storage-secret';
+  });
+
+  test('verify while they last', () => {
+    const now = Date.now();
+    const remaining = verifySignedUrl(...parseSignedUrl(signFileUrl(FILE_URL, now)), now);
+
+    // Six hours by default, rounded up by at most an hour
+    assert.ok(remaining >= 6 * HOUR_MS && remaining <= 7 * HOUR_MS, `${remaining}ms left`);
+  });
+
+  test('stay the same for a while, so browsers can cache them', () => {
+    const now = Date.UTC(2026, 0, 1, 0, 1);
+    assert.strictEqual(signFileUrl(FILE_URL, now), signFileUrl(FILE_URL, now + 60 * 1000));
+  });
+
+  test('stop working once they expire', () => {
+    const now = Date.now();
+    const [fileUrl, expires, signature] = parseSignedUrl(signFileUrl(FILE_URL, now));
+
+    assert.strictEqual(verifySignedUrl(fileUrl, expires, signature, Number(expires) * 1000), 0);
+    assert.strictEqual(verifySignedUrl(fileUrl, expires, signature, now + 8 * HOUR_MS), 0);
+  });
+
+  test('are refused when tampered with', () => {
+    const now = Date.now();
+    const [fileUrl, expires, signature] = parseSignedUrl(signFileUrl(FILE_URL, now));
+    const flipped = `${signature.slice(0, -1)}${signature.endsWith('0') ? '1' : '0'}`;
+
+    assert.strictEqual(verifySignedUrl(fileUrl, expires, flipped, now), 0);
+    assert.strictEqual(verifySignedUrl('/uploads/avatars/avatar-2.png', expires, signature, now), 0);
+    assert.strictEqual(verifySignedUrl(fileUrl, String(Number(expires) + 3600), signature, now), 0);
+    assert.strictEqual(verifySignedUrl(fileUrl, expires, undefined, now), 0);
+    assert.strictEqual(verifySignedUrl(fileUrl, 'soon', signature, now), 0);
+  });
+
+  test('are refused when signed with another secret', () => {
+    const now = Date.now();
+    const signed = parseSignedUrl(signFileUrl(FILE_URL, now));
+
+    process.env.STORAGE_URL_SECRET = 'another-secret';
+    try {
+      assert.strictEqual(verifySignedUrl(...signed, now), 0);
+    } finally {
+      process.env.STORAGE_URL_SECRET = 'test-storage-secret';
+    }
+  });
+
+  test('are only made for upload URLs that are not paths out of the uploads folder', () => {
+    const now = Date.now();
+    assert.strictEqual(verifySignedUrl('/uploads/../server/index.js', String(now / 1000 + 60), 'x', now), 0);
+    assert.strictEqual(verifySignedUrl('/etc/passwd', String(now / 1000 + 60), 'x', now), 0);
+  });
+
+  test('replace upload URLs in JSON sent to clients', () => {
+    const json = JSON.parse(JSON.stringify({ avatar: FILE_URL, fileUrl: 'https://example.com/a.png' }, signFileUrls));
+
+    assert.match(json.avatar, /^\/uploads\/avatars\/avatar-1\.png\?expires=\d+&signature=[\w-]+$/);
+    assert.strictEqual(json.fileUrl, 'https://example.com/a.png');
+  });
+});
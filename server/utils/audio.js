@@ -0,0 +1,61 @@
+const { readUpload } = require('../storage');
+
+// Audio formats accepted for voice notes, by declared MIME type, with the extension the
+// stored file gets. Browsers record webm or ogg (Opus), Safari records mp4 (AAC).
+const AUDIO_TYPES = {
+  'audio/webm': { format: 'webm', extension: '.webm' },
+  'audio/ogg': { format: 'ogg', extension: '.ogg' },
+  'audio/mp4': { format: 'mp4', extension: '.m4a' },
+  'audio/x-m4a': { format: 'mp4', extension: '.m4a' },
+  'audio/aac': { format: 'aac', extension: '.aac' },
+  'audio/mpeg': { format: 'mp3', extension: '.mp3' },
+  'audio/wav': { format: 'wav', extension: '.wav' },
+  'audio/x-wav': { format: 'wav', extension: '.wav' },
+  'audio/wave': { format: 'wav', extension: '.wav' }
+};
+
+// Drop parameters such as ;codecs=opus from a Content-Type
+const baseMimeType = (mimetype) => (mimetype || '').split(';')[0].trim().toLowerCase();
+
+// The accepted audio type for a declared MIME type, or null
+const getAudioType = (mimetype) => AUDIO_TYPES[baseMimeType(mimetype)] || null;
+
+// Identify an audio container from the first bytes of a file. Returns the format name
+// (as in AUDIO_TYPES) or null when the bytes don't look like any accepted format.
+const detectAudioFormat = (bytes) => {
+  if (bytes.length >= 4 && bytes.readUInt32BE(0) === 0x1A45DFA3) {
+    return 'webm';
+  }
+  if (bytes.toString('latin1', 0, 4) === 'OggS') {
+    return 'ogg';
+  }
+  if (bytes.toString('latin1', 4, 8) === 'ftyp') {
+    return 'mp4';
+  }
+  if (bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WAVE') {
+    return 'wav';
+  }
+  if (bytes.toString('latin1', 0, 3) === 'ID3') {
+    return 'mp3';
+  }
+  // A bare MPEG frame: ADTS (AAC) has layer bits 00, MP3 frames don't
+  if (bytes.length >= 2 && bytes[0] === 0xFF && (bytes[1] & 0xE0) === 0xE0) {
+    return (bytes[1] & 0x06) === 0 ? 'aac' : 'mp3';
+  }
+  return null;
+};
+
+// Check that an uploaded file really is audio of the type it was declared as, not just
+// labelled that way. Resolves to true or false.
+const isValidAudioFile = async (file) => {
+  const type = getAudioType(file.mimetype);
+  if (!type) {
+    return false;
+  }
+
+  const format = detectAudioFormat(await readUpload(file.fileUrl, { start: 0, end: 11 }));
+  // MP4 audio is sometimes labelled AAC and vice versa
+  return format === type.format || (type.format === 'aac' && format === 'mp4');
+};
+
+module.exports = { getAudioType, detectAudioFormat, isValidAudioFile };
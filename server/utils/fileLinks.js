@@ -0,0 +1,24 @@
+const { signFileUrls } = require('../storage');
+
+const MESSAGE_FILES_PREFIX = '/uploads/messages/';
+// A message's files and where each is downloaded from, under /api/files/:id
+const MESSAGE_FILE_PATHS = new Map([['fileUrl', ''], ['thumbnail', '/thumbnail']]);
+
+// Whether an upload URL is a message attachment (or one of its thumbnails)
+const isMessageFile = (fileUrl) => typeof fileUrl === 'string' && fileUrl.startsWith(MESSAGE_FILES_PREFIX);
+
+// Link to one of a message's files: its fileUrl (the default) or thumbnail
+const getMessageFileUrl = (messageId, field = 'fileUrl') => `/api/files/${messageId}${MESSAGE_FILE_PATHS.get(field)}`;
+
+// JSON replacer for everything sent to clients, over HTTP (app 'json replacer') and Socket.IO
+// (its encoder), lean query results included. A message's files become /api/files links, which
+// check the viewer can still see the message on every download; other uploads such as avatars
+// get signed links (see signFileUrls). A message file outside a message object has no link.
+function toClientFileUrls(key, value) {
+  if (MESSAGE_FILE_PATHS.has(key) && isMessageFile(value)) {
+    return this && this._id ? getMessageFileUrl(this._id, key) : null;
+  }
+  return signFileUrls(key, value);
+}
+
+module.exports = { isMessageFile, getMessageFileUrl, toClientFileUrls };
@@ -0,0 +1,55 @@
+// Split a search query into the words worth highlighting
+const getSearchTerms = (query) => {
+  return [...new Set(
+    query
+      .toLowerCase()
+      .split(/[\s"'.,;:!?()[\]{}]+/)
+      .filter(term => term.length > 1)
+  )];
+};
+
+// Build a short excerpt around the first match, with the character ranges to highlight.
+// Ranges are returned instead of markup so clients never have to render server HTML.
+const buildSnippet = (content, terms, radius = 60) => {
+  const lower = content.toLowerCase();
+  const firstMatch = terms
+    .map(term => lower.indexOf(term))
+    .filter(index => index !== -1)
+    .sort((a, b) => a - b)[0];
+
+  const start = firstMatch === undefined ? 0 : Math.max(0, firstMatch - radius);
+  const end = Math.min(content.length, (firstMatch === undefined ? 0 : firstMatch) + radius * 2);
+  const text = content.slice(start, end);
+  const lowerText = text.toLowerCase();
+
+  const highlights = [];
+  terms.forEach(term => {
+    let index = lowerText.indexOf(term);
+    while (index !== -1) {
+      highlights.push({ start: index, end: index + term.length });
+      index = lowerText.indexOf(term, index + term.length);
+    }
+  });
+
+  // Merge overlapping ranges so clients can render them in one pass
+  const merged = highlights
+    .sort((a, b) => a.start - b.start)
+    .reduce((ranges, range) => {
+      const last = ranges[ranges.length - 1];
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        ranges.push({ ...range });
+      }
+      return ranges;
+    }, []);
+
+  return {
+    text,
+    highlights: merged,
+    truncatedStart: start > 0,
+    truncatedEnd: end < content.length
+  };
+};
+
+module.exports = { getSearchTerms, buildSnippet };
@@ -0,0 +1,109 @@
+// Bytes taken by one value of each TIFF field type, by type number
+const TIFF_TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+const GPS_IFD_TAG = 0x8825;
+const EXIF_HEADER = 'Exif\0\0';
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+
+// Blank out the GPS directory of an EXIF block in place, leaving an empty directory behind so
+// the rest of the block (orientation, camera, timestamps) stays valid. tiffStart and end bound
+// the TIFF data inside the JPEG. Returns true if there was anything to remove.
+const clearGpsDirectory = (buffer, tiffStart, end) => {
+  const order = buffer.toString('latin1', tiffStart, tiffStart + 2);
+  if (order !== 'II' && order !== 'MM') {
+    return false;
+  }
+
+  const little = order === 'II';
+  const inBounds = (offset, size) => offset >= tiffStart && offset + size <= end;
+  const read16 = (offset) => (little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+  const read32 = (offset) => (little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+
+  if (!inBounds(tiffStart, 8)) {
+    return false;
+  }
+
+  const ifd0 = tiffStart + read32(tiffStart + 4);
+  if (!inBounds(ifd0, 2)) {
+    return false;
+  }
+
+  const entryCount = read16(ifd0);
+  for (let index = 0; index < entryCount; index++) {
+    const entry = ifd0 + 2 + index * 12;
+    if (!inBounds(entry, 12) || read16(entry) !== GPS_IFD_TAG) {
+      continue;
+    }
+
+    const gpsIfd = tiffStart + read32(entry + 8);
+    if (!inBounds(gpsIfd, 2)) {
+      return false;
+    }
+
+    const gpsCount = read16(gpsIfd);
+    if (gpsCount === 0 || !inBounds(gpsIfd + 2, gpsCount * 12)) {
+      return false;
+    }
+
+    // Values too big to fit in their entry live elsewhere in the block
+    for (let gpsIndex = 0; gpsIndex < gpsCount; gpsIndex++) {
+      const gpsEntry = gpsIfd + 2 + gpsIndex * 12;
+      const size = (TIFF_TYPE_SIZES[read16(gpsEntry + 2)] || 0) * read32(gpsEntry + 4);
+      const valueOffset = tiffStart + read32(gpsEntry + 8);
+      if (size > 4 && inBounds(valueOffset, size)) {
+        buffer.fill(0, valueOffset, valueOffset + size);
+      }
+    }
+
+    // An empty directory: a zero count followed by the zeroed entries, which read as "no next directory"
+    buffer.fill(0, gpsIfd, gpsIfd + 2 + gpsCount * 12);
+    return true;
+  }
+
+  return false;
+};
+
+// Remove location data from a JPEG without re-encoding it: the EXIF GPS directory is blanked
+// and XMP blocks (which can repeat the GPS position) are dropped. Returns a new buffer, or null
+// when the image carried no location data or isn't a JPEG this can parse.
+const stripJpegLocation = (input) => {
+  if (input.length < 4 || input[0] !== 0xFF || input[1] !== 0xD8) {
+    return null;
+  }
+
+  const buffer = Buffer.from(input);
+  const kept = [buffer.subarray(0, 2)];
+  let changed = false;
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xFF) {
+    const marker = buffer[offset + 1];
+    // Start of scan: the rest is image data
+    if (marker === 0xDA || marker === 0xD9) {
+      break;
+    }
+
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (end > buffer.length) {
+      return null;
+    }
+
+    if (marker === 0xE1 && buffer.toString('latin1', offset + 4, offset + 4 + XMP_HEADER.length) === XMP_HEADER) {
+      changed = true;
+    } else {
+      if (marker === 0xE1 && buffer.toString('latin1', offset + 4, offset + 10) === EXIF_HEADER) {
+        changed = clearGpsDirectory(buffer, offset + 10, end) || changed;
+      }
+      kept.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+  }
+
+  if (!changed) {
+    return null;
+  }
+
+  kept.push(buffer.subarray(offset));
+  return Buffer.concat(kept);
+};
+
+module.exports = { stripJpegLocation };
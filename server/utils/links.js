@@ -0,0 +1,34 @@
+const { removeCode, unescapeContent } = require('./sanitize');
+
+// Bare links, as clients linkify them: http(s):// or www. up to the next space
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"]+/i;
+const MAX_URL_LENGTH = 2048;
+
+// Punctuation that usually ends the sentence around a URL rather than the URL itself
+const trimUrl = (url) => {
+  let trimmed = url.replace(/[.,;:!?'"\]]+$/, '');
+  while (trimmed.endsWith(')') && (trimmed.match(/\(/g) || []).length < (trimmed.match(/\)/g) || []).length) {
+    trimmed = trimmed.slice(0, -1).replace(/[.,;:!?'"\]]+$/, '');
+  }
+  return trimmed;
+};
+
+// The first http(s) link in a message's stored (escaped) text outside of any code, normalized
+// (no #fragment), or null if there isn't one
+const extractFirstUrl = (content) => {
+  const match = LINK_PATTERN.exec(removeCode(unescapeContent(content || '')));
+  if (!match) {
+    return null;
+  }
+
+  const text = trimUrl(match[0]);
+  try {
+    const url = new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`);
+    url.hash = '';
+    return url.href.length <= MAX_URL_LENGTH ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = { extractFirstUrl };
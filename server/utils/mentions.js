@@ -0,0 +1,17 @@
+const { removeCode } = require('./sanitize');
+
+// @username, not preceded by a word character (so emails don't count), ignoring trailing dots
+const MENTION_PATTERN = /(^|[^\w@.])@([\w.-]*[\w-])/g;
+const MAX_MENTIONS = 50;
+
+// The lower-cased usernames a message mentions, outside of any code
+const extractMentionNames = (content) => {
+  const names = new Set();
+  for (const match of removeCode(content || '').matchAll(MENTION_PATTERN)) {
+    names.add(match[2].toLowerCase());
+    if (names.size === MAX_MENTIONS) break;
+  }
+  return [...names];
+};
+
+module.exports = { extractMentionNames };
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Parse before/after/around/limit from a history request's query string.
+// Returns { options } for Message.getHistoryPage, or { error } to send back as a 400.
+const parseHistoryQuery = ({ before, after, around, limit }) => {
+  const cursors = { before, after, around };
+  const provided = Object.keys(cursors).filter(key => cursors[key]);
+
+  if (provided.length > 1) {
+    return { error: 'Use only one of before, after or around' };
+  }
+
+  if (provided.length === 1 && !mongoose.Types.ObjectId.isValid(cursors[provided[0]])) {
+    return { error: 'Invalid message ID' };
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  return {
+    options: {
+      ...(provided.length === 1 ? { [provided[0]]: cursors[provided[0]] } : {}),
+      limit: pageSize
+    }
+  };
+};
+
+module.exports = { parseHistoryQuery };
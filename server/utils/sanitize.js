@@ -0,0 +1,50 @@
+// Inline code spans and fenced code blocks (an unclosed fence runs to the end, as clients render it)
+const CODE_SEGMENTS = /(```[\s\S]*?(?:```|$)|`[^`\n]+`)/g;
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g;
+// An & that doesn't already start one of the entities below, so escaping twice changes nothing
+const UNESCAPED_CHARACTERS = /&(?!(?:amp|lt|gt);)|[<>]/g;
+const ESCAPED_CHARACTERS = /&(amp|lt|gt);/g;
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;' };
+const CHARACTERS = { amp: '&', lt: '<', gt: '>' };
+
+// Apply change to the prose of a message, leaving its code spans and blocks alone. Escaping
+// adds no backticks or line breaks, so escaped text splits into the same segments.
+const mapProse = (content, change) => content
+  .split(CODE_SEGMENTS)
+  .map((segment, index) => (index % 2 === 1 ? segment : change(segment)))
+  .join('');
+
+// Normalize user-written text: line endings become \n, invisible control characters go and
+// the ends are trimmed. For text that is only ever shown as written (poll options, location
+// labels, scheduled messages not sent yet). Returns '' for anything that isn't a string.
+const normalizeContent = (content) => {
+  if (typeof content !== 'string') {
+    return '';
+  }
+
+  return content
+    .replace(/\r\n?/g, '\n')
+    .replace(CONTROL_CHARACTERS, '')
+    .trim();
+};
+
+// Clean message text before it is stored: normalized as above, with &, < and > in the prose
+// HTML-escaped so no client can ever render markup from it (Vec<String> is stored as
+// Vec&lt;String&gt;). Code is kept character for character. Escaping is idempotent, so
+// text can safely pass through here more than once; the price is that a literal &lt; typed
+// outside code reads as <. Returns '' for anything that isn't a string.
+const sanitizeContent = (content) => mapProse(
+  normalizeContent(content),
+  prose => prose.replace(UNESCAPED_CHARACTERS, character => ENTITIES[character])
+);
+
+// Stored message text back as it was written, for measuring it or looking for links in it
+const unescapeContent = (content) => mapProse(
+  content,
+  prose => prose.replace(ESCAPED_CHARACTERS, (entity, name) => CHARACTERS[name])
+);
+
+// Message text with its code spans and blocks blanked out, for scanning only the prose
+const removeCode = (content) => content.replace(CODE_SEGMENTS, ' ');
+
+module.exports = { normalizeContent, sanitizeContent, unescapeContent, removeCode };